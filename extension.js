@@ -1,5 +1,32 @@
 const vscode = require("vscode");
 const axios = require("axios");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const YAML = require("yaml");
+const { buildSchema, graphql, GraphQLError } = require("graphql");
+const { WebSocketServer } = require("ws");
+
+const DOCUMENTS_PAGE_SIZE = 50;
+const HISTORY_LIMIT = 20;
+const REQUEST_LOG_LIMIT = 200;
+const CHANGE_EVENT_LIMIT = 200;
+const RECORD_UPSTREAM_TIMEOUT = 30000; // ms before the recording proxy answers 504
+const CHANGE_EVENT_TYPES = [
+  "document.created",
+  "document.updated",
+  "document.deleted",
+  "collection.cleared",
+];
+const API_CACHE_KEY = "mockman.apiCache";
+const IDEMPOTENT_METHODS = new Set(["GET", "PUT", "DELETE"]);
+
+const DEFAULT_PROFILE = {
+  id: "default",
+  name: "Default",
+  baseUrl: "https://api.mockman.online",
+  loginUrl: "https://mockman.online/login",
+};
 
 /**
  * Tree Item for Collections & Fields
@@ -14,43 +41,437 @@ class MockmanTreeItem extends vscode.TreeItem {
   }
 }
 
+/**
+ * Named accounts, each with its own API key and server
+ */
+class ProfileManager {
+  constructor(context) {
+    this.context = context;
+    this._onDidChangeProfile = new vscode.EventEmitter();
+    this.onDidChangeProfile = this._onDidChangeProfile.event;
+
+    this.statusBarItem = vscode.window.createStatusBarItem(
+      vscode.StatusBarAlignment.Left,
+      101
+    );
+    this.statusBarItem.command = "mockman.switchProfile";
+    context.subscriptions.push(this.statusBarItem);
+    this.updateStatusBar();
+  }
+
+  getProfiles() {
+    return [
+      DEFAULT_PROFILE,
+      ...this.context.globalState.get("mockman.profiles", []),
+    ];
+  }
+
+  get active() {
+    const id = this.context.globalState.get(
+      "mockman.activeProfile",
+      DEFAULT_PROFILE.id
+    );
+    return this.getProfiles().find((p) => p.id === id) || DEFAULT_PROFILE;
+  }
+
+  secretKey(profile) {
+    // The default profile keeps the key name used before profiles existed
+    return profile.id === DEFAULT_PROFILE.id
+      ? "mockman.apiKey"
+      : `mockman.apiKey.${profile.id}`;
+  }
+
+  getApiKey(profile = this.active) {
+    return this.context.secrets.get(this.secretKey(profile));
+  }
+
+  storeApiKey(apiKey, profile = this.active) {
+    return this.context.secrets.store(this.secretKey(profile), apiKey);
+  }
+
+  deleteApiKey(profile = this.active) {
+    return this.context.secrets.delete(this.secretKey(profile));
+  }
+
+  async setActive(id) {
+    await this.context.globalState.update("mockman.activeProfile", id);
+    this.updateStatusBar();
+    this._onDidChangeProfile.fire(this.active);
+  }
+
+  async addProfile({ name, baseUrl, loginUrl }) {
+    const profile = {
+      id: `${name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-${generateId().slice(0, 6)}`,
+      name,
+      baseUrl: baseUrl.replace(/\/+$/, ""),
+      loginUrl,
+    };
+    const saved = this.context.globalState.get("mockman.profiles", []);
+    await this.context.globalState.update("mockman.profiles", [
+      ...saved,
+      profile,
+    ]);
+    return profile;
+  }
+
+  async removeProfile(profile) {
+    const wasActive = profile.id === this.active.id;
+    const saved = this.context.globalState.get("mockman.profiles", []);
+    await this.context.globalState.update(
+      "mockman.profiles",
+      saved.filter((p) => p.id !== profile.id)
+    );
+    await this.deleteApiKey(profile);
+    if (wasActive) {
+      await this.setActive(DEFAULT_PROFILE.id);
+    }
+  }
+
+  updateStatusBar() {
+    const profile = this.active;
+    this.statusBarItem.text = `$(account) ${profile.name}`;
+    this.statusBarItem.tooltip = `MockMan profile: ${profile.name} (${profile.baseUrl})\nClick to switch`;
+    this.statusBarItem.show();
+  }
+}
+
+/**
+ * Quick pick for switching, adding and removing profiles
+ */
+async function switchProfile(profiles) {
+  const active = profiles.active;
+  const items = [
+    ...profiles.getProfiles().map((profile) => ({
+      label: `${profile.id === active.id ? "$(check)" : "$(account)"} ${
+        profile.name
+      }`,
+      description: profile.baseUrl,
+      profile,
+    })),
+    { label: "", kind: vscode.QuickPickItemKind.Separator },
+    { label: "$(add) Add Profile…", action: "add" },
+    { label: "$(trash) Remove Profile…", action: "remove" },
+  ];
+  const choice = await vscode.window.showQuickPick(items, {
+    placeHolder: `Active MockMan profile: ${active.name}`,
+  });
+  if (!choice) return;
+
+  if (choice.action === "add") {
+    await addProfile(profiles);
+  } else if (choice.action === "remove") {
+    await removeProfile(profiles);
+  } else if (choice.profile.id !== active.id) {
+    await profiles.setActive(choice.profile.id);
+    vscode.window.showInformationMessage(
+      `Switched to MockMan profile "${choice.profile.name}".`
+    );
+  }
+}
+
+async function addProfile(profiles) {
+  const name = await vscode.window.showInputBox({
+    prompt: "Profile name",
+    placeHolder: "e.g. Team, Staging",
+    validateInput: (v) =>
+      !v.trim()
+        ? "Enter a name"
+        : profiles.getProfiles().some((p) => p.name === v.trim())
+          ? "A profile with this name already exists"
+          : null,
+  });
+  if (!name) return;
+
+  const baseUrl = await vscode.window.showInputBox({
+    prompt: "API base URL",
+    value: DEFAULT_PROFILE.baseUrl,
+    validateInput: (v) =>
+      /^https?:\/\/\S+$/.test(v.trim()) ? null : "Enter an http(s) URL",
+  });
+  if (!baseUrl) return;
+
+  const loginUrl = await vscode.window.showInputBox({
+    prompt: "Login page URL",
+    value:
+      baseUrl.trim() === DEFAULT_PROFILE.baseUrl
+        ? DEFAULT_PROFILE.loginUrl
+        : `${baseUrl.trim().replace(/\/+$/, "")}/login`,
+    validateInput: (v) =>
+      /^https?:\/\/\S+$/.test(v.trim()) ? null : "Enter an http(s) URL",
+  });
+  if (!loginUrl) return;
+
+  const profile = await profiles.addProfile({
+    name: name.trim(),
+    baseUrl: baseUrl.trim(),
+    loginUrl: loginUrl.trim(),
+  });
+  await profiles.setActive(profile.id);
+  const selection = await vscode.window.showInformationMessage(
+    `Profile "${profile.name}" created. Login to connect it to an account.`,
+    "Login"
+  );
+  if (selection === "Login") {
+    vscode.commands.executeCommand("mockman.login");
+  }
+}
+
+async function removeProfile(profiles) {
+  const removable = profiles
+    .getProfiles()
+    .filter((p) => p.id !== DEFAULT_PROFILE.id);
+  if (removable.length === 0) {
+    vscode.window.showInformationMessage("There are no profiles to remove.");
+    return;
+  }
+  const choice = await vscode.window.showQuickPick(
+    removable.map((profile) => ({
+      label: profile.name,
+      description: profile.baseUrl,
+      profile,
+    })),
+    { placeHolder: "Select a profile to remove" }
+  );
+  if (!choice) return;
+
+  const confirm = await vscode.window.showWarningMessage(
+    `Remove profile "${choice.profile.name}" and its stored API key?`,
+    { modal: true },
+    "Remove"
+  );
+  if (confirm !== "Remove") return;
+  await profiles.removeProfile(choice.profile);
+  vscode.window.showInformationMessage(
+    `Profile "${choice.profile.name}" removed.`
+  );
+}
+
+/**
+ * Shared HTTP client for the MockMan API: retries, cancellation, ETags and
+ * an offline cache of last-known responses
+ */
+class MockmanApiClient {
+  constructor(context, profiles) {
+    this.context = context;
+    this.profiles = profiles;
+    // cacheKey(url) -> { etag, data, fetchedAt }
+    this.cache = context.globalState.get(API_CACHE_KEY, {});
+    const legacy = Object.keys(this.cache).filter((key) => key.includes("/"));
+    if (legacy.length) {
+      // Older versions keyed entries by URLs that contain the API key
+      for (const key of legacy) delete this.cache[key];
+      this.persist();
+    }
+  }
+
+  /**
+   * URLs carry the API key, so entries are stored under a hash of the URL
+   */
+  cacheKey(url) {
+    return crypto.createHash("sha256").update(url).digest("hex");
+  }
+
+  get baseUrl() {
+    return this.profiles.active.baseUrl;
+  }
+
+  get(path, options) {
+    return this.request({ ...options, method: "GET", path });
+  }
+
+  post(path, data, options) {
+    return this.request({ ...options, method: "POST", path, data });
+  }
+
+  put(path, data, options) {
+    return this.request({ ...options, method: "PUT", path, data });
+  }
+
+  delete(path, options) {
+    return this.request({ ...options, method: "DELETE", path });
+  }
+
+  /**
+   * Send a request. With `cache: true` the response is kept so later calls
+   * can revalidate with If-None-Match (`notModified: true` when it still
+   * holds), and fall back to it (`stale: true`) when the server can't be
+   * reached.
+   */
+  async request({ path, cache = false, retries, ...options }) {
+    const method = (options.method || "GET").toUpperCase();
+    const url = `${this.baseUrl}${path}`;
+    const cached = cache ? this.cache[this.cacheKey(url)] : undefined;
+    const maxRetries = retries ?? (IDEMPOTENT_METHODS.has(method) ? 3 : 0);
+    const headers = { ...options.headers };
+    if (cached?.etag) headers["If-None-Match"] = cached.etag;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const res = await axios.request({
+          timeout: 10000,
+          ...options,
+          method,
+          url,
+          headers,
+          validateStatus:
+            options.validateStatus ||
+            ((status) =>
+              (status >= 200 && status < 300) || (!!cached && status === 304)),
+        });
+
+        if (cached && res.status === 304) {
+          // Only fetchedAt changed; it's persisted with the next new response
+          cached.fetchedAt = Date.now();
+          return {
+            ...res,
+            status: 200,
+            data: cached.data,
+            stale: false,
+            notModified: true,
+          };
+        }
+        if (cache) {
+          this.cache[this.cacheKey(url)] = {
+            etag: res.headers.etag,
+            data: res.data,
+            fetchedAt: Date.now(),
+          };
+          await this.persist();
+        }
+        return res;
+      } catch (error) {
+        if (axios.isCancel(error)) throw error;
+
+        const status = error.response?.status;
+        const retryable = !error.response || status === 429 || status >= 500;
+        if (retryable && attempt < maxRetries) {
+          await sleep(
+            backoffDelay(attempt, error.response?.headers?.["retry-after"]),
+            options.signal
+          );
+          continue;
+        }
+        if (cached && retryable) {
+          return {
+            status: 200,
+            headers: {},
+            data: cached.data,
+            stale: true,
+            fetchedAt: cached.fetchedAt,
+          };
+        }
+        throw error;
+      }
+    }
+  }
+
+  async clearCache() {
+    this.cache = {};
+    await this.persist();
+  }
+
+  async persist() {
+    try {
+      await this.context.globalState.update(API_CACHE_KEY, this.cache);
+    } catch {
+      // The cache is an optimisation; the next response is fetched in full
+    }
+  }
+}
+
+/**
+ * Exponential backoff with jitter, honouring Retry-After when the server sends one
+ */
+function backoffDelay(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (retryAfter && !Number.isNaN(seconds)) {
+    return Math.min(seconds * 1000, 10000);
+  }
+  return 500 * 2 ** attempt + Math.random() * 250;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new axios.CanceledError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new axios.CanceledError());
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Human readable message for a failed API call
+ */
+function describeError(error) {
+  return error.response?.data?.message || error.message;
+}
+
 /**
  * Tree Data Provider
  */
 class MockmanProvider {
-  constructor(context) {
+  constructor(context, profiles, api) {
     this.context = context;
+    this.profiles = profiles;
+    this.api = api;
     this.collections = [];
+    this.staleSince = null; // Set while showing cached collections offline
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this._onDidFetchCollections = new vscode.EventEmitter();
+    this.onDidFetchCollections = this._onDidFetchCollections.event;
     this.apiKey = null;
+    this.documentPages = new Map(); // collectionId -> { items, page, hasMore }
+    this.documentCounts = new Map(); // collectionId -> number of documents
   }
 
   async getApiKey() {
     if (this.apiKey) return this.apiKey;
-    this.apiKey = await this.context.secrets.get("mockman.apiKey");
+    this.apiKey = await this.profiles.getApiKey();
     return this.apiKey;
   }
 
+  get baseUrl() {
+    return this.api.baseUrl;
+  }
+
   async refresh() {
     const apiKey = await this.getApiKey();
+    this.documentPages.clear();
     if (!apiKey) {
       this.collections = [];
+      this.documentCounts.clear();
+      this.staleSince = null;
       this._onDidChangeTreeData.fire();
       return;
     }
 
     try {
-      const res = await axios.get(
-        `https://api.mockman.online/collections/${apiKey}`,
-        { timeout: 5000 }
-      );
+      const res = await this.api.get(`/collections/${apiKey}`, {
+        cache: true,
+        timeout: 5000,
+      });
       this.collections = res.data || [];
+      this.staleSince = res.stale ? res.fetchedAt : null;
+      if (!res.stale) {
+        this._onDidFetchCollections.fire({
+          apiKey,
+          collections: this.collections,
+        });
+        this.loadDocumentCounts(apiKey);
+      }
     } catch (error) {
       vscode.window.showErrorMessage(
-        `Error fetching collections: ${error.message}`
+        `Error fetching collections: ${describeError(error)}`
       );
       this.collections = [];
+      this.staleSince = null;
     }
 
     this._onDidChangeTreeData.fire();
@@ -62,249 +483,856 @@ class MockmanProvider {
 
   getChildren(element) {
     if (!element) {
-      return this.collections.map(
-        (c) =>
-          new MockmanTreeItem(
-            c.collectionName,
-            vscode.TreeItemCollapsibleState.Collapsed,
-            {
-              command: "mockman.showEndpoints",
-              title: "Show Endpoints",
-              arguments: [c],
-            },
-            new vscode.ThemeIcon("file-submodule"),
-            c
-          )
+      return this.collections.map((c) => {
+        const item = new MockmanTreeItem(
+          c.collectionName,
+          vscode.TreeItemCollapsibleState.Collapsed,
+          {
+            command: "mockman.showEndpoints",
+            title: "Show Endpoints",
+            arguments: [c],
+          },
+          new vscode.ThemeIcon("file-submodule"),
+          c
+        );
+        item.id = c._id;
+        item.description = documentCountLabel(this.documentCounts.get(c._id));
+        return item;
+      });
+    }
+
+    switch (element.contextValue) {
+      case "collection":
+        return this.getCollectionChildren(element.collectionData);
+      case "relation":
+        return this.getCollectionChildren(element.collectionData, element.id);
+      case "referencedBy":
+        return this.getReferencingChildren(element.collectionData, element.id);
+      case "documents":
+        return this.getDocumentChildren(element.collectionData, element.id);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Fields and documents of a collection. Related collections nest under
+   * their reference fields, so ids are scoped by the path to the node.
+   */
+  getCollectionChildren(collection, parentId = collection._id) {
+    const fields = (collection.fields || []).map((f) => {
+      const target = f.ref && this.findCollection(f.ref);
+      if (!target) {
+        return new MockmanTreeItem(
+          `${f.fieldName} (${f.fieldType})`,
+          vscode.TreeItemCollapsibleState.None,
+          null,
+          new vscode.ThemeIcon("symbol-field")
+        );
+      }
+      const item = new MockmanTreeItem(
+        `${f.fieldName} (${f.fieldType})`,
+        vscode.TreeItemCollapsibleState.Collapsed,
+        null,
+        new vscode.ThemeIcon("references"),
+        target
       );
-    } else {
-      const collection = this.collections.find(
-        (col) => col.collectionName === element.label
+      item.id = `${parentId}/${f.fieldName}`;
+      item.description = `→ ${target.collectionName}`;
+      item.contextValue = "relation";
+      return item;
+    });
+
+    const items = [...fields];
+    if (referencingFields(collection, this.collections).length) {
+      const referencedBy = new MockmanTreeItem(
+        "Referenced by",
+        vscode.TreeItemCollapsibleState.Collapsed,
+        null,
+        new vscode.ThemeIcon("references"),
+        collection
       );
-      if (!collection) return [];
+      referencedBy.id = `${parentId}/referencedBy`;
+      referencedBy.contextValue = "referencedBy";
+      items.push(referencedBy);
+    }
 
-      return collection.fields.map(
-        (f) =>
-          new MockmanTreeItem(
-            `${f.fieldName} (${f.fieldType})`,
-            vscode.TreeItemCollapsibleState.None,
-            null,
-            new vscode.ThemeIcon("symbol-field")
-          )
+    const documents = new MockmanTreeItem(
+      "Documents",
+      vscode.TreeItemCollapsibleState.Collapsed,
+      null,
+      new vscode.ThemeIcon("files"),
+      collection
+    );
+    documents.id = `${parentId}/documents`;
+    documents.description = documentCountLabel(
+      this.documentCounts.get(collection._id)
+    );
+    documents.contextValue = "documents";
+    items.push(documents);
+
+    return items;
+  }
+
+  getReferencingChildren(collection, parentId) {
+    return referencingFields(collection, this.collections).map(
+      ({ source, field }) => {
+        const item = new MockmanTreeItem(
+          `${source.collectionName}.${field.fieldName}`,
+          vscode.TreeItemCollapsibleState.Collapsed,
+          null,
+          new vscode.ThemeIcon("references"),
+          source
+        );
+        item.id = `${parentId}/${source._id}.${field.fieldName}`;
+        item.description = `→ ${collection.collectionName}`;
+        item.contextValue = "relation";
+        return item;
+      }
+    );
+  }
+
+  findCollection(collectionName) {
+    return this.collections.find((c) => c.collectionName === collectionName);
+  }
+
+  async getDocumentChildren(collection, parentId) {
+    let page = this.documentPages.get(collection._id);
+    if (!page) {
+      try {
+        page = await this.loadDocuments(collection._id);
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Error fetching documents: ${
+            error.response?.data?.message || error.message
+          }`
+        );
+        return [];
+      }
+    }
+
+    const items = page.items.map((doc) => {
+      const item = new MockmanTreeItem(
+        documentLabel(doc),
+        vscode.TreeItemCollapsibleState.None,
+        {
+          command: "vscode.open",
+          title: "Open Document",
+          arguments: [documentUri(collection._id, doc._id)],
+        },
+        new vscode.ThemeIcon("json"),
+        collection
+      );
+      item.id = `${parentId}/${doc._id}`;
+      item.description = doc._id;
+      item.contextValue = "document";
+      item.documentId = doc._id;
+      return item;
+    });
+
+    if (page.hasMore) {
+      const more = new MockmanTreeItem(
+        "Load more…",
+        vscode.TreeItemCollapsibleState.None,
+        {
+          command: "mockman.loadMoreDocuments",
+          title: "Load More Documents",
+          arguments: [collection],
+        },
+        new vscode.ThemeIcon("ellipsis")
+      );
+      more.contextValue = "loadMore";
+      items.push(more);
+    }
+
+    return items;
+  }
+
+  /**
+   * Fetch the next page of documents for a collection
+   */
+  async loadDocuments(collectionId, signal) {
+    const apiKey = await this.getApiKey();
+    const page = this.documentPages.get(collectionId) || {
+      items: [],
+      page: 0,
+      hasMore: true,
+    };
+
+    const res = await this.api.get(
+      `/collections/${apiKey}/${collectionId}/documents`,
+      {
+        params: { page: page.page + 1, limit: DOCUMENTS_PAGE_SIZE },
+        timeout: 5000,
+        signal,
+      }
+    );
+    const docs = Array.isArray(res.data) ? res.data : res.data?.documents || [];
+
+    // Guard against servers that ignore paging and return everything
+    const known = new Set(page.items.map((d) => d._id));
+    const fresh = docs.filter((d) => !known.has(d._id));
+
+    page.items.push(...fresh);
+    page.page++;
+    page.hasMore = fresh.length > 0 && docs.length >= DOCUMENTS_PAGE_SIZE;
+    this.documentPages.set(collectionId, page);
+    return page;
+  }
+
+  async loadMoreDocuments(collection) {
+    try {
+      await this.loadDocuments(collection._id);
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Error fetching documents: ${
+          error.response?.data?.message || error.message
+        }`
       );
     }
+    this._onDidChangeTreeData.fire();
+  }
+
+  /**
+   * Count every collection's documents in the background for the tree
+   */
+  async loadDocumentCounts(apiKey) {
+    const collections = this.collections;
+    for (const c of collections) {
+      try {
+        const documents = await fetchAllDocuments(this.api, apiKey, c._id, {
+          cache: true,
+        });
+        if (this.collections !== collections) return;
+        this.documentCounts.set(c._id, documents.length);
+      } catch {
+        this.documentCounts.delete(c._id);
+      }
+    }
+    this._onDidChangeTreeData.fire();
+  }
+
+  setDocumentCount(collectionId, count) {
+    this.documentCounts.set(collectionId, count);
+    this._onDidChangeTreeData.fire();
+  }
+
+  async refreshDocumentCount(collectionId) {
+    const apiKey = await this.getApiKey();
+    try {
+      const documents = await fetchAllDocuments(this.api, apiKey, collectionId);
+      this.documentCounts.set(collectionId, documents.length);
+    } catch {
+      this.documentCounts.delete(collectionId);
+    }
+    this._onDidChangeTreeData.fire();
+  }
+
+  updateCachedDocument(collectionId, doc) {
+    const page = this.documentPages.get(collectionId);
+    if (!page) return;
+    const index = page.items.findIndex((d) => d._id === doc._id);
+    if (index === -1) {
+      page.items.unshift(doc);
+    } else {
+      page.items[index] = doc;
+    }
+    this._onDidChangeTreeData.fire();
+  }
+
+  removeCachedDocument(collectionId, documentId) {
+    const page = this.documentPages.get(collectionId);
+    if (!page) return;
+    page.items = page.items.filter((d) => d._id !== documentId);
+    this._onDidChangeTreeData.fire();
   }
 }
 
 /**
- * Webview for Endpoints
+ * Virtual file system exposing documents as mockman:/<collectionId>/<documentId>.json
  */
-class EndpointsWebview {
-  constructor(context, provider) {
-    this.context = context;
+class MockmanFileSystemProvider {
+  constructor(provider) {
     this.provider = provider;
-    this.panel = null;
+    this._onDidChangeFile = new vscode.EventEmitter();
+    this.onDidChangeFile = this._onDidChangeFile.event;
   }
 
-  async show(collection) {
-    const title = `Endpoints for ${collection.collectionName}`;
-    if (this.panel) {
-      this.panel.title = title;
-      this.panel.reveal();
-      this.updateContent(collection);
-      return;
+  parseUri(uri) {
+    const [collectionId, file] = uri.path.split("/").filter(Boolean);
+    if (!collectionId || !file || !file.endsWith(".json")) {
+      throw vscode.FileSystemError.FileNotFound(uri);
     }
+    return { collectionId, documentId: file.slice(0, -".json".length) };
+  }
 
-    this.panel = vscode.window.createWebviewPanel(
-      "mockmanEndpoints",
-      title,
-      vscode.ViewColumn.Beside,
-      { enableScripts: true, retainContextWhenHidden: true }
-    );
+  async documentPath(uri) {
+    const apiKey = await this.provider.getApiKey();
+    if (!apiKey) {
+      throw vscode.FileSystemError.Unavailable("Please login first.");
+    }
+    const { collectionId, documentId } = this.parseUri(uri);
+    return {
+      collectionId,
+      documentId,
+      path: `/collections/${apiKey}/${collectionId}/documents/${documentId}`,
+    };
+  }
 
-    this.panel.webview.html = await this.getWebviewContent();
-    this.panel.onDidDispose(
-      () => {
-        this.panel = null;
-      },
-      null,
-      this.context.subscriptions
-    );
+  watch() {
+    return new vscode.Disposable(() => {});
+  }
 
-    this.panel.webview.onDidReceiveMessage(
-      async (message) => {
-        switch (message.command) {
-          case "showInfo":
-            vscode.window.showInformationMessage(message.message);
-            break;
-          case "showError":
-            vscode.window.showErrorMessage(message.message);
-            break;
-        }
-      },
-      undefined,
-      this.context.subscriptions
-    );
+  stat(uri) {
+    this.parseUri(uri);
+    return {
+      type: vscode.FileType.File,
+      ctime: 0,
+      mtime: Date.now(),
+      size: 0,
+    };
+  }
 
-    this.updateContent(collection);
+  async readFile(uri) {
+    const { path } = await this.documentPath(uri);
+    try {
+      const res = await this.provider.api.get(path, { timeout: 5000 });
+      return Buffer.from(JSON.stringify(res.data, null, 2), "utf8");
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw vscode.FileSystemError.FileNotFound(uri);
+      }
+      throw vscode.FileSystemError.Unavailable(
+        error.response?.data?.message || error.message
+      );
+    }
   }
 
-  async updateContent(collection) {
-    const apiKey = await this.provider.getApiKey();
-    if (!apiKey || !this.panel) return;
+  async writeFile(uri, content) {
+    const { path, collectionId, documentId } = await this.documentPath(uri);
+    let body;
+    try {
+      body = JSON.parse(Buffer.from(content).toString("utf8"));
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new Error("A document must be a JSON object.");
+    }
+    delete body._id;
 
-    // No need to fetch documents since we're showing patterns only
-    this.panel.webview.postMessage({
-      command: "endpoints",
-      data: {
-        collection,
-        apiKey,
-      },
-    });
+    const collection = this.provider.collections.find(
+      (c) => c._id === collectionId
+    );
+    const errors = collection ? writeValidationErrors(collection, [body]) : [];
+    if (errors.length) {
+      throw new Error(validationMessage(collection, errors));
+    }
+
+    try {
+      const res = await this.provider.api.put(path, body);
+      this.provider.updateCachedDocument(collectionId, {
+        ...body,
+        ...res.data,
+        _id: documentId,
+      });
+    } catch (error) {
+      throw vscode.FileSystemError.Unavailable(
+        error.response?.data?.message || error.message
+      );
+    }
+    this._onDidChangeFile.fire([{ type: vscode.FileChangeType.Changed, uri }]);
   }
 
-  async getWebviewContent() {
-    const nonce = getNonce();
-    const baseUrl = "https://api.mockman.online";
-    return `
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${this.panel.webview.cspSource} 'unsafe-inline' https:; script-src 'nonce-${nonce}';">
-        <title>MockMan Endpoints</title>
-        <link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">
-        <style>
-          body { background-color: #1a1a1a; color: #ffffff; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
-          .endpoint { background-color: #2d2d2d; padding: 0.75rem; margin: 0.5rem 0; border-radius: 0.5rem; cursor: pointer; transition: background-color 0.2s; display: flex; justify-content: space-between; align-items: center; word-break: break-all; }
-          .endpoint:hover { background-color: #3d3d3d; }
-          .endpoint strong { color: #60a5fa; margin-right: 0.5rem; }
-          .endpoint-description { flex-grow: 1; margin-left: 1rem; font-size: 0.875rem; word-break: break-all; }
-          .copy-btn { background: none; border: none; color: #60a5fa; cursor: pointer; font-size: 1rem; padding: 0 0.5rem; flex-shrink: 0; }
-          .error-msg { color: #ef4444; padding: 1rem; background: #2d2d2d; border-radius: 0.5rem; margin: 1rem 0; }
-          #dynamicEndpoints { max-height: 60vh; overflow-y: auto; }
-        </style>
-      </head>
-      <body class="p-4 sm:p-6 max-w-full mx-auto overflow-x-hidden">
-        <div class="mb-6">
-          <h1 class="text-xl sm:text-2xl font-bold mb-4 text-white">Collection Endpoints</h1>
-          <p class="text-sm text-gray-400 mb-4">Base URL: <strong>${baseUrl}</strong><br>Click to copy full URLs (use :collectionId, :apiKey, :documentId as placeholders).</p>
-        </div>
-        <div id="dynamicEndpoints" class="space-y-2 w-full"></div>
-        <script nonce="${nonce}">
-          const vscode = acquireVsCodeApi();
-          const dynamicEndpoints = document.getElementById('dynamicEndpoints');
-          const baseUrl = '${baseUrl}';
-          function copyToClipboard(text) {
-            navigator.clipboard.writeText(text).then(() => {
-              vscode.postMessage({ command: 'showInfo', message: 'Endpoint copied to clipboard!' });
-            }).catch(err => {
-              vscode.postMessage({ command: 'showError', message: 'Failed to copy endpoint.' });
-            });
-          }
-          function escapeHtml(unsafe) {
-            return unsafe
-              .replace(/&/g, "&amp;")
-              .replace(/</g, "&lt;")
-              .replace(/>/g, "&gt;")
-              .replace(/"/g, "&quot;")
-              .replace(/'/g, "&#039;");
-          }
-          window.addEventListener('message', event => {
-            const message = event.data;
-            if (message.command === 'endpoints') {
-              const data = message.data;
-              let endpointHtml = '<h3 class="text-lg font-semibold mb-2 text-gray-300">Collection Level</h3>';
-              endpointHtml += [
-                '<div class="endpoint" onclick="copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '\\')">',
-                  '<span><strong>GET</strong> /collections/' + escapeHtml(data.apiKey) + '</span>',
-                  '<span class="endpoint-description">Get all collections</span>',
-                  '<button class="copy-btn" onclick="event.stopPropagation(); copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '\\')">📋</button>',
-                '</div>',
-                '<div class="endpoint" onclick="copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/by-name/' + escapeHtml(data.collection.collectionName) + '\\')">',
-                  '<span><strong>GET</strong> /collections/' + escapeHtml(data.apiKey) + '/by-name/' + escapeHtml(data.collection.collectionName) + '</span>',
-                  '<span class="endpoint-description">Get collection by name</span>',
-                  '<button class="copy-btn" onclick="event.stopPropagation(); copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/by-name/' + escapeHtml(data.collection.collectionName) + '\\')">📋</button>',
-                '</div>',
-                '<div class="endpoint" onclick="copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '\\')">',
-                  '<span><strong>GET</strong> /collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '</span>',
-                  '<span class="endpoint-description">Get collection by ID</span>',
-                  '<button class="copy-btn" onclick="event.stopPropagation(); copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '\\')">📋</button>',
-                '</div>'
-              ].join('');
-              endpointHtml += '<h3 class="text-lg font-semibold mt-4 mb-2 text-gray-300">Document Level</h3>';
-              endpointHtml += [
-                '<div class="endpoint" onclick="copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents\\')">',
-                  '<span><strong>POST</strong> /collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents</span>',
-                  '<span class="endpoint-description">Add documents</span>',
-                  '<button class="copy-btn" onclick="event.stopPropagation(); copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents\\')">📋</button>',
-                '</div>',
-                '<div class="endpoint" onclick="copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents\\')">',
-                  '<span><strong>GET</strong> /collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents</span>',
-                  '<span class="endpoint-description">Get all documents</span>',
-                  '<button class="copy-btn" onclick="event.stopPropagation(); copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents\\')">📋</button>',
-                '</div>',
-                '<div class="endpoint" onclick="copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents/:documentId\\')">',
-                  '<span><strong>GET</strong> /collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents/:documentId</span>',
-                  '<span class="endpoint-description">Get document by ID</span>',
-                  '<button class="copy-btn" onclick="event.stopPropagation(); copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents/:documentId\\')">📋</button>',
-                '</div>',
-                '<div class="endpoint" onclick="copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents/:documentId\\')">',
-                  '<span><strong>PUT</strong> /collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents/:documentId</span>',
-                  '<span class="endpoint-description">Update document by ID</span>',
-                  '<button class="copy-btn" onclick="event.stopPropagation(); copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents/:documentId\\')">📋</button>',
-                '</div>',
-                '<div class="endpoint" onclick="copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents/:documentId\\')">',
-                  '<span><strong>DELETE</strong> /collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents/:documentId</span>',
-                  '<span class="endpoint-description">Delete document by ID</span>',
-                  '<button class="copy-btn" onclick="event.stopPropagation(); copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents/:documentId\\')">📋</button>',
-                '</div>',
-                '<div class="endpoint" onclick="copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents\\')">',
-                  '<span><strong>DELETE</strong> /collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents</span>',
-                  '<span class="endpoint-description">Delete all documents</span>',
-                  '<button class="copy-btn" onclick="event.stopPropagation(); copyToClipboard(\\'' + baseUrl + '/collections/' + escapeHtml(data.apiKey) + '/' + escapeHtml(data.collection._id) + '/documents\\')">📋</button>',
-                '</div>'
-              ].join('');
-              dynamicEndpoints.innerHTML = endpointHtml;
-            } else if (message.command === 'endpointsError') {
-              dynamicEndpoints.innerHTML = '<div class="text-red-500 p-4">' + escapeHtml(message.message) + '</div>';
-            }
-          });
-        </script>
-      </body>
-      </html>
-    `;
+  async delete(uri) {
+    const { path, collectionId, documentId } = await this.documentPath(uri);
+    try {
+      await this.provider.api.delete(path);
+    } catch (error) {
+      throw vscode.FileSystemError.Unavailable(
+        error.response?.data?.message || error.message
+      );
+    }
+    this.provider.removeCachedDocument(collectionId, documentId);
+    this.provider.refreshDocumentCount(collectionId);
+    this._onDidChangeFile.fire([{ type: vscode.FileChangeType.Deleted, uri }]);
+  }
+
+  readDirectory() {
+    throw vscode.FileSystemError.NoPermissions();
+  }
+
+  createDirectory() {
+    throw vscode.FileSystemError.NoPermissions();
+  }
+
+  rename() {
+    throw vscode.FileSystemError.NoPermissions();
   }
 }
 
 /**
- * Webview for Template Browser
+ * Problems panel diagnostics for documents that drift from their
+ * collection's fields, on open mockman:/ documents and on demand
  */
-class TemplateBrowserWebview {
+class DocumentValidator {
+  constructor(context, provider, workspaceSync) {
+    this.provider = provider;
+    this.workspaceSync = workspaceSync;
+    this.diagnostics = vscode.languages.createDiagnosticCollection("mockman");
+    this.reported = new Map(); // collectionId -> uris from Validate Collection
+
+    context.subscriptions.push(
+      this.diagnostics,
+      vscode.workspace.onDidOpenTextDocument((document) =>
+        this.validateTextDocument(document)
+      ),
+      vscode.workspace.onDidChangeTextDocument((event) =>
+        this.validateTextDocument(event.document)
+      )
+    );
+    vscode.workspace.textDocuments.forEach((document) =>
+      this.validateTextDocument(document)
+    );
+  }
+
+  validateTextDocument(document) {
+    if (document.uri.scheme !== "mockman") return;
+    const [collectionId] = document.uri.path.split("/").filter(Boolean);
+    const collection = this.provider.collections.find(
+      (c) => c._id === collectionId
+    );
+    if (!collection) return;
+
+    const text = document.getText();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = null; // Syntax errors are reported by the JSON language service
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      this.diagnostics.delete(document.uri);
+      return;
+    }
+    this.diagnostics.set(
+      document.uri,
+      documentDiagnostics(text, validateDocument(collection, data))
+    );
+  }
+
+  /**
+   * Check every stored document of a collection, replacing the diagnostics
+   * of its previous run. Drift is also summarised on the collection's
+   * .mockman/collections definition when there is one.
+   */
+  async validateCollection(collection, apiKey) {
+    const documents = await fetchAllDocuments(
+      this.provider.api,
+      apiKey,
+      collection._id
+    );
+    this.clear(collection._id);
+
+    const uris = [];
+    const drift = new Map(); // kind:field -> { problem, count }
+    let problemCount = 0;
+    for (const document of documents) {
+      const problems = validateDocument(collection, document);
+      if (!problems.length) continue;
+      const uri = documentUri(collection._id, document._id);
+      const open = vscode.workspace.textDocuments.find(
+        (d) => d.uri.toString() === uri.toString()
+      );
+      if (open) {
+        this.validateTextDocument(open);
+      } else {
+        this.diagnostics.set(
+          uri,
+          documentDiagnostics(JSON.stringify(document, null, 2), problems)
+        );
+      }
+      uris.push(uri);
+      problemCount += problems.length;
+      for (const problem of problems) {
+        const key = `${problem.kind}:${problem.field}`;
+        const entry = drift.get(key) || { problem, count: 0 };
+        entry.count++;
+        drift.set(key, entry);
+      }
+    }
+
+    const definition = await this.reportDrift(
+      collection,
+      documents.length,
+      drift
+    );
+    if (definition) uris.push(definition);
+    this.reported.set(collection._id, uris);
+    return {
+      documents: documents.length,
+      invalid: uris.length - (definition ? 1 : 0),
+      problems: problemCount,
+    };
+  }
+
+  async reportDrift(collection, total, drift) {
+    const uri =
+      this.workspaceSync.folder &&
+      this.workspaceSync.fileFor(collection.collectionName);
+    if (!uri || !drift.size) return null;
+    let text;
+    try {
+      text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString(
+        "utf8"
+      );
+    } catch {
+      return null; // Collection isn't versioned in this workspace
+    }
+
+    const fieldsRange = jsonKeyRange(text, "fields");
+    const diagnostics = [...drift.values()].map(({ problem, count }) => {
+      const at =
+        problem.kind === "unknown-field"
+          ? fieldsRange
+          : jsonValueRange(text, problem.field) || fieldsRange;
+      const diagnostic = new vscode.Diagnostic(
+        at,
+        `${count} of ${total} documents: ${problem.message}`,
+        vscode.DiagnosticSeverity.Warning
+      );
+      diagnostic.source = "MockMan";
+      diagnostic.code = problem.kind;
+      return diagnostic;
+    });
+    this.diagnostics.set(uri, diagnostics);
+    return uri;
+  }
+
+  clear(collectionId) {
+    for (const uri of this.reported.get(collectionId) || []) {
+      this.diagnostics.delete(uri);
+    }
+    this.reported.delete(collectionId);
+  }
+
+  clearAll() {
+    this.diagnostics.clear();
+    this.reported.clear();
+  }
+}
+
+/**
+ * Links, hovers, CodeLenses and completion for MockMan URLs in source files
+ */
+class MockmanUrlProvider {
   constructor(context, provider) {
+    this.provider = provider;
+    this._onDidChangeCodeLenses = new vscode.EventEmitter();
+    this.onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+
+    context.subscriptions.push(
+      this._onDidChangeCodeLenses,
+      provider.onDidChangeTreeData(() => this._onDidChangeCodeLenses.fire()),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("mockman.codeLens")) {
+          this._onDidChangeCodeLenses.fire();
+        }
+      })
+    );
+  }
+
+  get baseUrls() {
+    return [...new Set([this.provider.baseUrl, DEFAULT_PROFILE.baseUrl])];
+  }
+
+  /**
+   * Every MockMan collection URL in a document, resolved against the
+   * active profile's collections
+   */
+  findUrls(document) {
+    const text = document.getText();
+    const pattern = mockmanUrlPattern(this.baseUrls);
+    const urls = [];
+    let match;
+    while ((match = pattern.exec(text))) {
+      const url = parseMockmanUrl(match, this.provider.collections);
+      if (!url) continue;
+      const start = document.positionAt(match.index);
+      urls.push({
+        ...url,
+        range: new vscode.Range(
+          start,
+          document.positionAt(match.index + match[0].length)
+        ),
+      });
+    }
+    return urls;
+  }
+
+  provideDocumentLinks(document) {
+    return this.findUrls(document)
+      .filter((url) => url.collection)
+      .map((url) => {
+        const link = new vscode.DocumentLink(
+          url.range,
+          url.documentId
+            ? documentUri(url.collection._id, url.documentId)
+            : commandUri("mockman.showEndpoints", [url.collection])
+        );
+        link.tooltip = url.documentId
+          ? `Open ${url.collection.collectionName} document ${url.documentId}`
+          : `Show endpoints for ${url.collection.collectionName}`;
+        return link;
+      });
+  }
+
+  provideHover(document, position) {
+    const url = this.findUrls(document).find((u) => u.range.contains(position));
+    if (!url?.collectionRef) return null;
+
+    // Names come from the API and the document, so they're escaped and
+    // only the two links below may run commands
+    const markdown = new vscode.MarkdownString(undefined, true);
+    markdown.isTrusted = {
+      enabledCommands: ["mockman.showEndpoints", "mockman.openDocuments"],
+    };
+    if (!url.collection) {
+      markdown.appendMarkdown(
+        this.provider.collections.length
+          ? `⚠️ No MockMan collection ${escapeMarkdown(
+              url.collectionRef
+            )} in profile **${escapeMarkdown(
+              this.provider.profiles.active.name
+            )}**.`
+          : "Sign in to MockMan to resolve this collection."
+      );
+      return new vscode.Hover(markdown, url.range);
+    }
+
+    const collection = url.collection;
+    markdown.appendMarkdown(
+      `**MockMan: ${escapeMarkdown(collection.collectionName)}** · ${escapeMarkdown(
+        collection._id
+      )}\n\n`
+    );
+    if (url.documentId) {
+      markdown.appendMarkdown(`Document ${escapeMarkdown(url.documentId)}\n\n`);
+    }
+    const fields = collection.fields || [];
+    if (fields.length) {
+      markdown.appendMarkdown("| Field | Type |\n| --- | --- |\n");
+      for (const f of fields) {
+        markdown.appendMarkdown(
+          `| ${escapeMarkdown(f.fieldName)} | ${escapeMarkdown(f.fieldType)}${
+            f.ref ? ` → ${escapeMarkdown(f.ref)}` : ""
+          } |\n`
+        );
+      }
+      markdown.appendMarkdown("\n");
+    } else {
+      markdown.appendMarkdown("_No fields defined._\n\n");
+    }
+    markdown.appendMarkdown(
+      `[Open endpoints](${commandUri("mockman.showEndpoints", [
+        collection,
+      ])}) · [Open documents](${commandUri("mockman.openDocuments", [
+        collection,
+        url.documentId,
+      ])})`
+    );
+    return new vscode.Hover(markdown, url.range);
+  }
+
+  provideCodeLenses(document) {
+    if (!vscode.workspace.getConfiguration("mockman").get("codeLens", true)) {
+      return [];
+    }
+    const lenses = [];
+    const lines = new Set();
+    for (const url of this.findUrls(document)) {
+      if (!url.collection || lines.has(url.range.start.line)) continue;
+      lines.add(url.range.start.line);
+      const method = requestMethodNear(document, url.range.start.line);
+      lenses.push(
+        new vscode.CodeLens(url.range, {
+          title: "$(play) Send request",
+          tooltip: `${method} ${url.path}`,
+          command: "mockman.sendUrlRequest",
+          arguments: [url.collection, method, url.path],
+        }),
+        new vscode.CodeLens(url.range, {
+          title: "Open endpoints",
+          command: "mockman.showEndpoints",
+          arguments: [url.collection],
+        }),
+        new vscode.CodeLens(url.range, {
+          title: "Open documents",
+          command: "mockman.openDocuments",
+          arguments: [url.collection, url.documentId],
+        })
+      );
+    }
+    return lenses;
+  }
+
+  /**
+   * Collection IDs, names, routes and field names while typing a URL
+   */
+  provideCompletionItems(document, position) {
+    const prefix = document.lineAt(position).text.slice(0, position.character);
+    let start = -1;
+    let base;
+    for (const url of this.baseUrls) {
+      const index = prefix.lastIndexOf(`${url}/collections/`);
+      if (index > start) {
+        start = index;
+        base = url;
+      }
+    }
+    if (start === -1) return [];
+    const tail = prefix.slice(start + base.length + "/collections/".length);
+    if (/[\s"'`]/.test(tail)) return [];
+    const collections = this.provider.collections;
+    const item = (label, kind, detail, insertText = label) =>
+      Object.assign(new vscode.CompletionItem(label, kind), {
+        detail,
+        insertText,
+        filterText: insertText,
+      });
+
+    let match = tail.match(/^[^/]+\/([^/?]*)$/);
+    if (match) {
+      return [
+        ...collections.map((c) =>
+          item(
+            c.collectionName,
+            vscode.CompletionItemKind.Module,
+            `MockMan collection ${c._id}`,
+            c._id
+          )
+        ),
+        item("by-name", vscode.CompletionItemKind.Keyword, "Look up by name"),
+      ];
+    }
+
+    match = tail.match(/^[^/]+\/by-name\/([^/?]*)$/);
+    if (match) {
+      return collections.map((c) =>
+        item(
+          c.collectionName,
+          vscode.CompletionItemKind.Module,
+          `MockMan collection ${c._id}`
+        )
+      );
+    }
+
+    match = tail.match(/^[^/]+\/([^/?]+)\/([^/?]*)$/);
+    if (match) {
+      return collections.some((c) => c._id === match[1])
+        ? [item("documents", vscode.CompletionItemKind.Keyword, "Documents")]
+        : [];
+    }
+
+    match = tail.match(/^[^/]+\/([^/?]+)\/documents\?(?:.*&)?([^&]*)$/);
+    const collection = match && collections.find((c) => c._id === match[1]);
+    if (!collection) return [];
+    const [key, value] = match[2].split("=");
+    if (value === undefined) {
+      return documentQueryParameters(collection).map((p) =>
+        item(p.name, vscode.CompletionItemKind.Property, p.description)
+      );
+    }
+    if (key === "sort" || key === "fields" || key === "expand") {
+      return (collection.fields || [])
+        .filter((f) => key !== "expand" || f.ref)
+        .map((f) =>
+          item(
+            f.fieldName,
+            vscode.CompletionItemKind.Field,
+            f.fieldType + (f.ref ? ` → ${f.ref}` : "")
+          )
+        );
+    }
+    return [];
+  }
+}
+
+/**
+ * Webview for Endpoints
+ */
+class EndpointsWebview {
+  constructor(context, provider, scenarios, localServer, auth) {
     this.context = context;
     this.provider = provider;
+    this.scenarios = scenarios;
+    this.localServer = localServer;
+    this.auth = auth;
     this.panel = null;
+    this.collection = null;
+    this.allDocuments = null; // Every document of the collection, for live query counts
+    this.abortController = null; // Cancels in-flight requests when the panel closes
+
+    context.subscriptions.push(
+      scenarios.onDidChangeScenario(({ collectionId, scenario }) => {
+        if (this.collection?._id !== collectionId) return;
+        this.panel?.webview.postMessage({
+          command: "scenario",
+          data: scenario,
+        });
+      }),
+      auth.onDidChangeAuth(({ collectionId, auth }) => {
+        if (this.collection?._id !== collectionId) return;
+        this.panel?.webview.postMessage({ command: "auth", data: auth });
+      }),
+      localServer.onDidChangeState(() => {
+        this.allDocuments = null;
+        this.panel?.webview.postMessage({
+          command: "target",
+          data: this.requestTarget(),
+        });
+      })
+    );
   }
 
-  async show() {
-    const apiKey = await this.provider.getApiKey();
+  /**
+   * Where the runner sends requests: the local mock server while it runs,
+   * so scenarios, auth and query parameters apply, otherwise MockMan
+   */
+  requestTarget() {
+    return this.localServer.isRunning
+      ? { local: true, baseUrl: this.localServer.baseUrl }
+      : { local: false, baseUrl: this.provider.baseUrl };
+  }
+
+  /**
+   * Open the panel for a collection, optionally loading a request into the
+   * runner and sending it when `request.send` is set
+   */
+  async show(collection, request) {
+    const title = `Endpoints for ${collection.collectionName}`;
     if (this.panel) {
+      this.panel.title = title;
       this.panel.reveal();
+      this.updateContent(collection, request);
       return;
     }
 
     this.panel = vscode.window.createWebviewPanel(
-      "mockmanTemplateBrowser",
-      "MockMan Templates",
-      vscode.ViewColumn.One,
+      "mockmanEndpoints",
+      title,
+      vscode.ViewColumn.Beside,
       { enableScripts: true, retainContextWhenHidden: true }
     );
+    this.abortController = new AbortController();
 
     this.panel.webview.html = await this.getWebviewContent();
     this.panel.onDidDispose(
       () => {
+        this.abortController.abort();
         this.panel = null;
+        this.collection = null;
+        this.allDocuments = null;
       },
       null,
       this.context.subscriptions
@@ -312,71 +1340,67 @@ class TemplateBrowserWebview {
 
     this.panel.webview.onDidReceiveMessage(
       async (message) => {
-        const apiKey = await this.provider.getApiKey();
         switch (message.command) {
-          case "login":
-            vscode.commands.executeCommand("mockman.login");
+          case "sendRequest":
+            await this.sendRequest(message);
             break;
-          case "getTemplates":
-            if (!apiKey) {
-              this.showLoginError();
-              return;
-            }
-            try {
-              const templateRes = await axios.get(
-                `https://api.mockman.online/templates/${apiKey}`,
-                { timeout: 5000 }
-              );
-              this.panel.webview.postMessage({
-                command: "templates",
-                data: templateRes.data.templates,
-              });
-            } catch (error) {
-              this.handleError(error, "fetching templates");
-            }
+          case "countDocuments":
+            await this.countDocuments(message.query);
             break;
-          case "getPreview":
-            if (!apiKey) {
-              this.showLoginError();
-              return;
-            }
-            try {
-              const previewRes = await axios.get(
-                `https://api.mockman.online/templates/${apiKey}/${message.category}/preview`,
-                { timeout: 5000 }
+          case "copySnippet":
+            await this.copySnippet(message);
+            break;
+          case "runGraphQL":
+            await this.runGraphQL(message);
+            break;
+          case "exportGraphQL":
+            vscode.commands.executeCommand("mockman.exportGraphQLSchema");
+            break;
+          case "showEventFeed":
+            vscode.commands.executeCommand("mockman.showEventFeed");
+            break;
+          case "saveScenario":
+            if (this.collection) {
+              const scenario = await this.scenarios.set(
+                this.collection._id,
+                message.scenario
+              );
+              vscode.window.showInformationMessage(
+                `✅ Scenario "${scenarioLabel(scenario)}" saved for ${this.collection.collectionName}.`
               );
-              this.panel.webview.postMessage({
-                command: "preview",
-                data: previewRes.data,
-              });
-            } catch (error) {
-              this.handleError(error, "fetching preview");
             }
             break;
-          case "createCollection":
-            if (!apiKey) {
-              this.showLoginError();
-              return;
-            }
-            try {
-              const createRes = await axios.post(
-                `https://api.mockman.online/templates/${apiKey}/create`,
-                {
-                  category: message.category,
-                  count: message.count,
-                },
-                { timeout: 10000 }
+          case "saveAuth":
+            if (this.collection) {
+              const auth = await this.auth.set(
+                this.collection._id,
+                message.auth
               );
-              this.panel.webview.postMessage({
-                command: "createSuccess",
-                data: createRes.data,
-              });
               vscode.window.showInformationMessage(
-                `✅ Collection "${createRes.data.collection.name}" created with ${createRes.data.collection.documentCount} documents`
+                auth.mode === "none"
+                  ? `✅ ${this.collection.collectionName} no longer requires credentials.`
+                  : `✅ ${this.collection.collectionName} now requires a ${authLabel(auth)} on the local server.`
               );
-              vscode.commands.executeCommand("mockman.refresh");
-            } catch (error) {
-              this.handleError(error, "creating collection");
+            }
+            break;
+          case "issueToken": {
+            const expiry = TOKEN_EXPIRIES.find((e) => e.id === message.expires);
+            const issued = this.auth.issueToken({
+              sub: message.sub,
+              role: message.role,
+              expiresIn: expiry ? expiry.seconds : 3600,
+              claims: message.claims,
+            });
+            this.panel?.webview.postMessage({ command: "token", data: issued });
+            break;
+          }
+          case "clearHistory":
+            if (this.collection) {
+              await this.context.workspaceState.update(
+                historyKey(this.collection._id),
+                undefined
+              );
+              await this.postHistory();
             }
             break;
           case "showInfo":
@@ -391,173 +1415,9300 @@ class TemplateBrowserWebview {
       this.context.subscriptions
     );
 
-    if (!apiKey) {
-      this.panel.webview.postMessage({ command: "noApiKey" });
-    } else {
-      this.panel.webview.postMessage({ command: "getTemplates" });
+    this.updateContent(collection, request);
+  }
+
+  async updateContent(collection, request) {
+    const apiKey = await this.provider.getApiKey();
+    if (!apiKey || !this.panel) return;
+    this.collection = collection;
+
+    this.panel.webview.postMessage({
+      command: "endpoints",
+      data: {
+        collection,
+        apiKey,
+        baseUrl: this.provider.baseUrl,
+        sampleBody: sampleDocument(collection),
+        snippetLanguages: SNIPPET_GENERATORS.map((g) => g.label),
+        history: this.panelHistory(apiKey),
+        queryParams: documentQueryParameters(collection).map((param) => ({
+          name: param.name,
+          description: param.description,
+        })),
+        scenario: this.scenarios.get(collection._id),
+        auth: this.auth.get(collection._id),
+        tokenExpiries: TOKEN_EXPIRIES.map((e) => ({
+          id: e.id,
+          label: e.label,
+        })),
+        scenarioPresets: SCENARIO_PRESETS.map((preset) => ({
+          id: preset.id,
+          label: preset.label,
+          scenario: scenarioFromPreset(preset),
+        })),
+        request,
+        graphql: this.graphqlInfo(apiKey, collection),
+        realtime: eventStreamUrls(this.localServer, apiKey, collection),
+        target: this.requestTarget(),
+      },
+    });
+    if (request?.send) this.sendRequest(request);
+
+    // Real document IDs for the :documentId picker
+    try {
+      const page =
+        this.provider.documentPages.get(collection._id) ||
+        (await this.provider.loadDocuments(
+          collection._id,
+          this.abortController.signal
+        ));
+      this.panel?.webview.postMessage({
+        command: "documentIds",
+        data: page.items.map((d) => ({ id: d._id, label: documentLabel(d) })),
+      });
+    } catch (error) {
+      if (axios.isCancel(error)) return;
+      this.panel?.webview.postMessage({
+        command: "documentIds",
+        data: [],
+        error: describeError(error),
+      });
+    }
+  }
+
+  /**
+   * Run a request from the panel through the extension host. Headers are
+   * only sent to the local mock server.
+   */
+  async sendRequest({ method, path, body, headers }) {
+    const collection = this.collection;
+    if (!collection || !this.panel) return;
+    if (typeof path !== "string" || !path.startsWith("/collections/")) {
+      this.panel.webview.postMessage({
+        command: "response",
+        data: { error: "Only MockMan collection routes can be requested." },
+      });
+      return;
     }
+
+    const local = this.localServer.isRunning;
+    const started = Date.now();
+    let result;
+    try {
+      const res = local
+        ? await axios.request({
+            method,
+            url: `${this.localServer.baseUrl}${path}`,
+            data: body,
+            headers,
+            timeout: 10000,
+            signal: this.abortController.signal,
+            validateStatus: () => true,
+          })
+        : await this.provider.api.request({
+            method,
+            path,
+            data: body,
+            retries: 0,
+            signal: this.abortController.signal,
+            validateStatus: () => true,
+          });
+      result = {
+        status: res.status,
+        statusText: res.statusText,
+        headers: { ...res.headers },
+        data: res.data,
+        duration: Date.now() - started,
+      };
+    } catch (error) {
+      if (axios.isCancel(error)) return;
+      result = { error: error.message, duration: Date.now() - started };
+    }
+
+    this.panel?.webview.postMessage({ command: "response", data: result });
+
+    // Keep the API key out of the stored paths
+    const apiKey = await this.provider.getApiKey();
+    const maskPath = (entryPath) =>
+      apiKey ? entryPath.split(apiKey).join("{apiKey}") : entryPath;
+    const history = [
+      {
+        method,
+        path: maskPath(path),
+        body,
+        status: result.status,
+        duration: result.duration,
+        timestamp: Date.now(),
+        local,
+      },
+      ...this.getHistory(collection._id).map((entry) => ({
+        ...entry,
+        path: maskPath(entry.path),
+      })),
+    ].slice(0, HISTORY_LIMIT);
+    await this.context.workspaceState.update(
+      historyKey(collection._id),
+      history
+    );
+    if (this.collection === collection) await this.postHistory();
+
+    if (method !== "GET" && result.status < 400 && !local) {
+      this.provider.documentPages.delete(collection._id);
+      this.provider.refreshDocumentCount(collection._id);
+      this.allDocuments = null;
+    }
+  }
+
+  /**
+   * Count the documents a query would return on the local mock server:
+   * its own documents while it runs, otherwise the collection on MockMan
+   */
+  async countDocuments(queryString) {
+    const collection = this.collection;
+    if (!collection || !this.panel) return;
+    let result;
+    try {
+      if (this.localServer.isRunning) {
+        await this.localServer.store.load();
+        this.allDocuments = {
+          collectionId: collection._id,
+          documents: this.localServer.store.getDocuments(collection._id),
+          local: true,
+        };
+      } else if (
+        this.allDocuments?.collectionId !== collection._id ||
+        this.allDocuments.local
+      ) {
+        const apiKey = await this.provider.getApiKey();
+        this.allDocuments = {
+          collectionId: collection._id,
+          documents: await fetchAllDocuments(
+            this.provider.api,
+            apiKey,
+            collection._id
+          ),
+        };
+      }
+      const query = new URLSearchParams(queryString);
+      const matched = queryDocuments(
+        collection,
+        this.allDocuments.documents,
+        query
+      );
+      result = {
+        total: matched.length,
+        returned: pageDocuments(matched, query).documents.length,
+      };
+    } catch (error) {
+      if (axios.isCancel(error)) return;
+      result = { error: describeError(error) };
+    }
+    this.panel?.webview.postMessage({
+      command: "queryCount",
+      query: queryString,
+      data: result,
+    });
+  }
+
+  /**
+   * Endpoint URL, starter query and SDL for the GraphQL tab
+   */
+  graphqlInfo(apiKey, collection) {
+    const collections = this.provider.collections;
+    let sdl;
+    try {
+      sdl = buildGraphQLSdl(collections);
+    } catch (error) {
+      sdl = `# Could not generate a schema: ${error.message}`;
+    }
+    return {
+      url: `${this.localServer.configuredBaseUrl}/graphql/${apiKey}`,
+      running: this.localServer.isRunning,
+      sampleQuery: graphqlSampleQuery(collections, collection),
+      sdl,
+    };
+  }
+
+  /**
+   * Execute a query from the GraphQL tab in-process against the local store
+   */
+  async runGraphQL({ query, variables }) {
+    if (!this.panel) return;
+    const started = Date.now();
+    let result;
+    try {
+      result = await this.localServer.executeGraphQL({
+        query,
+        variables: variables?.trim() ? JSON.parse(variables) : undefined,
+      });
+    } catch (error) {
+      result = { errors: [{ message: error.message }] };
+    }
+    this.panel?.webview.postMessage({
+      command: "graphqlResult",
+      data: result,
+      duration: Date.now() - started,
+    });
+  }
+
+  async copySnippet(message) {
+    const apiKey = await this.provider.getApiKey();
+    if (!apiKey || !this.collection) return;
+    const snippet = generateSnippet(message.language, {
+      collection: this.collection,
+      baseUrl: this.provider.baseUrl,
+      apiKey,
+      method: message.method,
+      path: message.path,
+      description: message.description,
+      documentId: message.documentId,
+    });
+    await vscode.env.clipboard.writeText(snippet);
+    vscode.window.showInformationMessage(
+      `📋 Copied ${message.language} snippet for ${message.method} ${message.description}.`
+    );
+  }
+
+  getHistory(collectionId = this.collection?._id) {
+    if (!collectionId) return [];
+    return this.context.workspaceState.get(historyKey(collectionId), []);
+  }
+
+  /**
+   * History entries with the current API key put back into their paths, so
+   * the panel can replay them
+   */
+  panelHistory(apiKey) {
+    return this.getHistory().map((entry) => ({
+      ...entry,
+      path: apiKey ? entry.path.split("{apiKey}").join(apiKey) : entry.path,
+    }));
+  }
+
+  async postHistory() {
+    const apiKey = await this.provider.getApiKey();
+    this.panel?.webview.postMessage({
+      command: "history",
+      data: this.panelHistory(apiKey),
+    });
+  }
+
+  async getWebviewContent() {
+    const nonce = getNonce();
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${this.panel.webview.cspSource} 'unsafe-inline' https:; script-src 'nonce-${nonce}';">
+        <title>MockMan Endpoints</title>
+        <link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">
+        <style>
+          body { background-color: #1a1a1a; color: #ffffff; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+          .tab-btn { padding: 0.25rem 1rem; border-bottom: 2px solid transparent; color: #9ca3af; }
+          .tab-btn.active { border-color: #60a5fa; color: #ffffff; }
+          .endpoint { background-color: #2d2d2d; padding: 0.75rem; margin: 0.5rem 0; border-radius: 0.5rem; cursor: pointer; transition: background-color 0.2s; display: flex; justify-content: space-between; align-items: center; word-break: break-all; }
+          .endpoint:hover { background-color: #3d3d3d; }
+          .endpoint.selected { outline: 1px solid #60a5fa; }
+          .endpoint strong { color: #60a5fa; margin-right: 0.5rem; }
+          .endpoint-description { flex-grow: 1; margin-left: 1rem; font-size: 0.875rem; word-break: break-all; }
+          .copy-btn, .run-btn, .snippet-btn { background: none; border: none; color: #60a5fa; cursor: pointer; font-size: 1rem; padding: 0 0.5rem; flex-shrink: 0; }
+          .error-msg { color: #ef4444; padding: 1rem; background: #2d2d2d; border-radius: 0.5rem; margin: 1rem 0; }
+          .json-view { background-color: #2d2d2d; padding: 1rem; border-radius: 0.5rem; max-height: 400px; overflow: auto; font-family: monospace; font-size: 0.875rem; white-space: pre; }
+          .field { width: 100%; padding: 0.5rem; background: #1f2937; color: #ffffff; border: 1px solid #4b5563; border-radius: 0.5rem; font-family: monospace; font-size: 0.875rem; }
+          .status-ok { color: #34d399; }
+          .status-error { color: #ef4444; }
+          .history-item { background-color: #2d2d2d; padding: 0.5rem 0.75rem; margin: 0.25rem 0; border-radius: 0.5rem; cursor: pointer; font-size: 0.875rem; word-break: break-all; }
+          .history-item:hover { background-color: #3d3d3d; }
+          #dynamicEndpoints { max-height: 60vh; overflow-y: auto; }
+          #snippetMenu { position: fixed; z-index: 10; background: #1f2937; border: 1px solid #4b5563; border-radius: 0.5rem; padding: 0.25rem 0; min-width: 12rem; }
+          #snippetMenu button { display: block; width: 100%; text-align: left; padding: 0.25rem 0.75rem; font-size: 0.875rem; color: #ffffff; }
+          #snippetMenu button:hover { background: #3d3d3d; }
+        </style>
+      </head>
+      <body class="p-4 sm:p-6 max-w-full mx-auto overflow-x-hidden">
+        <div class="mb-6">
+          <h1 class="text-xl sm:text-2xl font-bold mb-4 text-white">Collection Endpoints</h1>
+          <div class="flex mb-4 border-b border-gray-700">
+            <button class="tab-btn active" data-tab="restTab">REST</button>
+            <button class="tab-btn" data-tab="graphqlTab">GraphQL</button>
+          </div>
+        </div>
+        <div id="restTab">
+        <p class="text-sm text-gray-400 mb-4">Base URL: <strong id="baseUrl"></strong><br>Click to copy full URLs (use :collectionId, :apiKey, :documentId as placeholders), ▶ to run a request, or &lt;/&gt; to copy it as code.</p>
+        <details id="scenarioSection" class="mb-4">
+          <summary class="cursor-pointer text-lg font-semibold text-gray-300">Scenario: <span id="scenarioName"></span></summary>
+          <p class="text-sm text-gray-400 my-2">Applied to requests for this collection served by the local mock server.</p>
+          <div class="grid grid-cols-2 gap-2 text-sm">
+            <label class="col-span-2">Preset <select id="scenarioPreset" class="field"></select></label>
+            <label>Latency min (ms) <input id="latencyMin" type="number" min="0" class="field scenario-input"></label>
+            <label>Latency max (ms) <input id="latencyMax" type="number" min="0" class="field scenario-input"></label>
+            <label>Failure rate (%) <input id="failureRate" type="number" min="0" max="100" class="field scenario-input"></label>
+            <label>Failure status <select id="failureStatus" class="field scenario-input"><option>401</option><option>404</option><option>429</option><option>500</option></select></label>
+            <label>Forced status <select id="forceStatus" class="field scenario-input"><option value="">None</option><option>401</option><option>404</option><option>429</option><option>500</option></select></label>
+            <label>Document lists <select id="listMode" class="field scenario-input"><option value="normal">Normal</option><option value="empty">Empty list</option><option value="paginated">Paginated</option></select></label>
+            <label>Page size <input id="pageSize" type="number" min="1" class="field scenario-input"></label>
+            <label class="col-span-2">Error body (JSON, optional) <textarea id="scenarioBody" rows="3" class="field scenario-input"></textarea></label>
+          </div>
+          <button id="saveScenarioBtn" class="mt-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold py-1 px-4 rounded-lg">Save Scenario</button>
+        </details>
+        <details id="authSection" class="mb-4">
+          <summary class="cursor-pointer text-lg font-semibold text-gray-300">Auth: <span id="authName"></span></summary>
+          <p class="text-sm text-gray-400 my-2">Enforced by the local mock server with realistic 401 and 403 responses. While this collection requires credentials, its routes also accept <code>-</code> in place of your API key, so front-end code doesn't need the account key.</p>
+          <div class="grid grid-cols-2 gap-2 text-sm">
+            <label class="col-span-2">Require <select id="authMode" class="field"><option value="none">Account API key only</option><option value="bearer">Bearer token (test JWT)</option><option value="apiKey">API key header</option></select></label>
+            <label class="col-span-2 auth-apiKey">Header name <input id="authHeaderName" class="field"></label>
+            <label class="col-span-2 auth-apiKey">Keys (one per line, optionally followed by a role) <textarea id="authKeys" rows="3" class="field" placeholder="mk_test_4f1c reader"></textarea></label>
+            <button id="generateKeyBtn" class="col-span-2 text-left text-blue-400 underline auth-apiKey">+ Generate key</button>
+            <label class="auth-required">Read roles (comma-separated, empty for any) <input id="authReadRoles" class="field" placeholder="viewer"></label>
+            <label class="auth-required">Write roles (comma-separated, empty for any) <input id="authWriteRoles" class="field" placeholder="editor, admin"></label>
+          </div>
+          <button id="saveAuthBtn" class="mt-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold py-1 px-4 rounded-lg">Save Auth</button>
+          <div class="auth-bearer mt-4">
+            <h4 class="font-semibold text-gray-300 mb-2">Issue a test token</h4>
+            <p class="text-sm text-gray-400 mb-2">Tokens are signed with this workspace's secret and accepted by every collection that requires a bearer token. Roles are read from the <code>role</code> and <code>roles</code> claims.</p>
+            <div class="grid grid-cols-2 gap-2 text-sm">
+              <label>Subject (sub) <input id="tokenSub" class="field" value="user-1"></label>
+              <label>Role <input id="tokenRole" class="field" placeholder="editor"></label>
+              <label class="col-span-2">Expires <select id="tokenExpires" class="field"></select></label>
+              <label class="col-span-2">Extra claims (JSON, optional) <textarea id="tokenClaims" rows="2" class="field" placeholder='{ "email": "ann@example.com" }'></textarea></label>
+            </div>
+            <button id="issueTokenBtn" class="mt-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold py-1 px-4 rounded-lg">Issue Token</button>
+            <div id="issuedToken" class="mt-2 text-sm" style="display: none;">
+              <div class="flex justify-between items-center">
+                <span class="text-gray-400">Send as <code>Authorization: Bearer &lt;token&gt;</code></span>
+                <span>
+                  <button id="useTokenBtn" class="text-blue-400 underline mr-2">Use in requests</button>
+                  <button id="copyTokenBtn" class="text-blue-400 underline">Copy</button>
+                </span>
+              </div>
+              <textarea id="tokenValue" rows="3" class="field" readonly></textarea>
+              <div id="tokenPayload" class="json-view mt-2"></div>
+            </div>
+          </div>
+        </details>
+        <div id="dynamicEndpoints" class="space-y-2 w-full"></div>
+        <div id="realtime" class="mt-4">
+          <div class="flex justify-between items-center">
+            <h3 class="text-lg font-semibold mb-2 text-gray-300">Realtime</h3>
+            <button id="eventFeedBtn" class="text-sm text-blue-400 underline">Open Event Feed</button>
+          </div>
+          <p class="text-sm text-gray-400 mb-2">Change events for this collection, streamed by the local mock server. Click to copy.</p>
+          <div id="realtimeUrls" class="space-y-2"></div>
+        </div>
+        <div id="snippetMenu" style="display: none;"></div>
+        <div id="runner" class="mt-6" style="display: none;">
+          <h3 class="text-lg font-semibold mb-2 text-gray-300">Request</h3>
+          <p class="mb-2 break-all"><strong id="runnerMethod" class="text-blue-400"></strong> <span id="runnerPath"></span></p>
+          <p id="runnerTarget" class="mb-2 text-sm text-gray-400"></p>
+          <div id="documentIdRow" class="mb-2" style="display: none;">
+            <label class="text-sm text-gray-400" for="documentId">:documentId</label>
+            <select id="documentId" class="field"></select>
+          </div>
+          <div id="queryRow" class="mb-2" style="display: none;">
+            <div class="flex justify-between items-center">
+              <span id="queryLabel" class="text-sm text-gray-400">Query parameters</span>
+              <span id="queryCount" class="text-sm text-gray-400"></span>
+            </div>
+            <div id="queryParams"></div>
+            <button id="addParamBtn" class="text-sm text-blue-400 underline">+ Add parameter</button>
+            <datalist id="queryKeys"></datalist>
+          </div>
+          <div id="headersRow" class="mb-2" style="display: none;">
+            <label class="text-sm text-gray-400" for="requestHeaders">Headers (one <code>Name: value</code> per line)</label>
+            <textarea id="requestHeaders" rows="2" class="field" placeholder="Authorization: Bearer &lt;token&gt;"></textarea>
+          </div>
+          <div id="bodyRow" class="mb-2" style="display: none;">
+            <label class="text-sm text-gray-400" for="requestBody">Body (JSON)</label>
+            <textarea id="requestBody" rows="8" class="field"></textarea>
+          </div>
+          <button id="sendBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg">Send</button>
+        </div>
+        <div id="responseSection" class="mt-6" style="display: none;">
+          <h3 class="text-lg font-semibold mb-2 text-gray-300">Response</h3>
+          <p class="mb-2 text-sm"><span id="responseStatus"></span> · <span id="responseTime"></span></p>
+          <details class="mb-2 text-sm">
+            <summary class="cursor-pointer text-gray-400">Headers</summary>
+            <div id="responseHeaders" class="json-view mt-2"></div>
+          </details>
+          <div id="responseBody" class="json-view"></div>
+        </div>
+        <div class="mt-6">
+          <div class="flex justify-between items-center">
+            <h3 class="text-lg font-semibold mb-2 text-gray-300">History</h3>
+            <button id="clearHistoryBtn" class="text-sm text-blue-400 underline">Clear</button>
+          </div>
+          <div id="history"></div>
+        </div>
+        </div>
+        <div id="graphqlTab" style="display: none;">
+          <p class="text-sm text-gray-400 mb-2">Endpoint: <strong id="graphqlUrl" class="break-all"></strong> <button id="copyGraphqlUrlBtn" class="copy-btn" title="Copy URL">📋</button></p>
+          <p id="graphqlServerNote" class="text-sm text-gray-400 mb-4"></p>
+          <label class="text-sm text-gray-400" for="graphqlQuery">Query</label>
+          <textarea id="graphqlQuery" rows="12" class="field mb-2"></textarea>
+          <label class="text-sm text-gray-400" for="graphqlVariables">Variables (JSON, optional)</label>
+          <textarea id="graphqlVariables" rows="3" class="field mb-2"></textarea>
+          <button id="runGraphqlBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg">Run</button>
+          <div id="graphqlResultSection" class="mt-6" style="display: none;">
+            <h3 class="text-lg font-semibold mb-2 text-gray-300">Result</h3>
+            <p class="mb-2 text-sm"><span id="graphqlStatus"></span> · <span id="graphqlTime"></span></p>
+            <div id="graphqlResult" class="json-view"></div>
+          </div>
+          <details class="mt-6">
+            <summary class="cursor-pointer text-lg font-semibold text-gray-300">Schema</summary>
+            <button id="exportGraphqlBtn" class="text-sm text-blue-400 underline my-2">Export SDL…</button>
+            <div id="graphqlSdl" class="json-view"></div>
+          </details>
+        </div>
+        <script nonce="${nonce}">
+          const vscode = acquireVsCodeApi();
+          const dynamicEndpoints = document.getElementById('dynamicEndpoints');
+          let baseUrl = '';
+          const runner = document.getElementById('runner');
+          const documentIdSelect = document.getElementById('documentId');
+          const requestBody = document.getElementById('requestBody');
+          let endpoints = [];
+          let selected = null;
+          let sampleBody = {};
+          let snippetLanguages = [];
+          let snippetEndpoint = null;
+          const snippetMenu = document.getElementById('snippetMenu');
+          let scenarioPresets = [];
+          let queryParams = [];
+          let countTimer = null;
+          let requestTarget = { local: false };
+          const queryParamsContainer = document.getElementById('queryParams');
+          const scenarioPreset = document.getElementById('scenarioPreset');
+          function copyToClipboard(text) {
+            navigator.clipboard.writeText(text).then(() => {
+              vscode.postMessage({ command: 'showInfo', message: 'Endpoint copied to clipboard!' });
+            }).catch(err => {
+              vscode.postMessage({ command: 'showError', message: 'Failed to copy endpoint.' });
+            });
+          }
+          function escapeHtml(unsafe) {
+            return String(unsafe)
+              .replace(/&/g, "&amp;")
+              .replace(/</g, "&lt;")
+              .replace(/>/g, "&gt;")
+              .replace(/"/g, "&quot;")
+              .replace(/'/g, "&#039;");
+          }
+          function buildEndpoints(data) {
+            const collectionsPath = '/collections/' + data.apiKey;
+            const documentsPath = collectionsPath + '/' + data.collection._id + '/documents';
+            return [
+              { group: 'Collection Level', method: 'GET', path: collectionsPath, description: 'Get all collections' },
+              { group: 'Collection Level', method: 'GET', path: collectionsPath + '/by-name/' + data.collection.collectionName, description: 'Get collection by name' },
+              { group: 'Collection Level', method: 'GET', path: collectionsPath + '/' + data.collection._id, description: 'Get collection by ID' },
+              { group: 'Document Level', method: 'POST', path: documentsPath, description: 'Add documents' },
+              { group: 'Document Level', method: 'GET', path: documentsPath, description: 'Get all documents (filter, search, sort and page with query parameters)' },
+              { group: 'Document Level', method: 'GET', path: documentsPath + '/:documentId', description: 'Get document by ID' },
+              { group: 'Document Level', method: 'PUT', path: documentsPath + '/:documentId', description: 'Update document by ID' },
+              { group: 'Document Level', method: 'DELETE', path: documentsPath + '/:documentId', description: 'Delete document by ID' },
+              { group: 'Document Level', method: 'DELETE', path: documentsPath, description: 'Delete all documents' }
+            ];
+          }
+          function renderEndpoints() {
+            let endpointHtml = '';
+            let group = null;
+            endpoints.forEach((endpoint, index) => {
+              if (endpoint.group !== group) {
+                group = endpoint.group;
+                endpointHtml += '<h3 class="text-lg font-semibold ' + (index ? 'mt-4 ' : '') + 'mb-2 text-gray-300">' + escapeHtml(group) + '</h3>';
+              }
+              endpointHtml += [
+                '<div class="endpoint' + (selected === endpoint ? ' selected' : '') + '" data-index="' + index + '">',
+                  '<span><strong>' + endpoint.method + '</strong> ' + escapeHtml(endpoint.path) + '</span>',
+                  '<span class="endpoint-description">' + escapeHtml(endpoint.description) + '</span>',
+                  '<button class="run-btn" data-action="run" data-index="' + index + '" title="Run request">▶</button>',
+                  '<button class="copy-btn" data-action="copy" data-index="' + index + '" title="Copy URL">📋</button>',
+                  '<button class="snippet-btn" data-action="snippet" data-index="' + index + '" title="Copy as…">&lt;/&gt;</button>',
+                '</div>'
+              ].join('');
+            });
+            dynamicEndpoints.innerHTML = endpointHtml;
+          }
+          function showSnippetMenu(endpoint, button) {
+            snippetEndpoint = endpoint;
+            snippetMenu.innerHTML = '<div class="px-3 py-1 text-xs text-gray-400">Copy as…</div>' +
+              snippetLanguages.map(language => '<button data-language="' + escapeHtml(language) + '">' + escapeHtml(language) + '</button>').join('');
+            snippetMenu.style.display = 'block';
+            const rect = button.getBoundingClientRect();
+            snippetMenu.style.top = Math.min(rect.bottom, window.innerHeight - snippetMenu.offsetHeight) + 'px';
+            snippetMenu.style.left = Math.max(0, rect.right - snippetMenu.offsetWidth) + 'px';
+          }
+          function hideSnippetMenu() {
+            snippetMenu.style.display = 'none';
+            snippetEndpoint = null;
+          }
+          function isListEndpoint(endpoint) {
+            return endpoint.method === 'GET' && endpoint.path.endsWith('/documents');
+          }
+          function queryString() {
+            return new URLSearchParams(queryParams.filter(p => p.name).map(p => [p.name, p.value])).toString();
+          }
+          function renderQueryParams() {
+            queryParamsContainer.innerHTML = queryParams.map((param, index) =>
+              '<div class="flex gap-2 mb-1" data-index="' + index + '">' +
+                '<input class="field" list="queryKeys" data-key="name" placeholder="name" value="' + escapeHtml(param.name) + '">' +
+                '<input class="field" data-key="value" placeholder="value" value="' + escapeHtml(param.value) + '">' +
+                '<button class="copy-btn" data-action="remove" title="Remove parameter">✕</button>' +
+              '</div>'
+            ).join('');
+          }
+          function scheduleCount() {
+            clearTimeout(countTimer);
+            document.getElementById('queryCount').textContent = 'Counting…';
+            countTimer = setTimeout(() => {
+              vscode.postMessage({ command: 'countDocuments', query: queryString() });
+            }, 300);
+          }
+          function selectEndpoint(endpoint, body) {
+            const queryIndex = endpoint.path.indexOf('?');
+            queryParams = [];
+            if (queryIndex !== -1) {
+              new URLSearchParams(endpoint.path.slice(queryIndex + 1)).forEach((value, name) => queryParams.push({ name, value }));
+              endpoint = { ...endpoint, path: endpoint.path.slice(0, queryIndex) };
+            }
+            selected = endpoint;
+            renderEndpoints();
+            runner.style.display = 'block';
+            document.getElementById('runnerMethod').textContent = endpoint.method;
+            document.getElementById('runnerPath').textContent = endpoint.path;
+            document.getElementById('documentIdRow').style.display = endpoint.path.includes(':documentId') ? 'block' : 'none';
+            document.getElementById('queryRow').style.display = isListEndpoint(endpoint) ? 'block' : 'none';
+            if (isListEndpoint(endpoint)) {
+              renderQueryParams();
+              scheduleCount();
+            }
+            const hasBody = endpoint.method === 'POST' || endpoint.method === 'PUT';
+            document.getElementById('bodyRow').style.display = hasBody ? 'block' : 'none';
+            if (hasBody) {
+              requestBody.value = JSON.stringify(body !== undefined ? body : sampleBody, null, 2);
+            }
+          }
+          function renderScenario(scenario) {
+            const preset = scenarioPresets.find(p => p.id === scenario.preset);
+            document.getElementById('scenarioName').textContent = preset ? preset.label : 'Custom';
+            scenarioPreset.value = scenario.preset;
+            document.getElementById('latencyMin').value = scenario.latencyMin;
+            document.getElementById('latencyMax').value = scenario.latencyMax;
+            document.getElementById('failureRate').value = scenario.failureRate;
+            document.getElementById('failureStatus').value = String(scenario.failureStatus);
+            document.getElementById('forceStatus').value = scenario.forceStatus ? String(scenario.forceStatus) : '';
+            document.getElementById('listMode').value = scenario.listMode;
+            document.getElementById('pageSize').value = scenario.pageSize;
+            document.getElementById('scenarioBody').value = scenario.body === null ? '' : JSON.stringify(scenario.body, null, 2);
+          }
+          function readScenario() {
+            const bodyText = document.getElementById('scenarioBody').value.trim();
+            return {
+              preset: scenarioPreset.value,
+              latencyMin: document.getElementById('latencyMin').value,
+              latencyMax: document.getElementById('latencyMax').value,
+              failureRate: document.getElementById('failureRate').value,
+              failureStatus: document.getElementById('failureStatus').value,
+              forceStatus: document.getElementById('forceStatus').value || null,
+              listMode: document.getElementById('listMode').value,
+              pageSize: document.getElementById('pageSize').value,
+              body: bodyText ? JSON.parse(bodyText) : null
+            };
+          }
+          function renderAuth(auth) {
+            document.getElementById('authName').textContent =
+              auth.mode === 'bearer' ? 'Bearer token' : auth.mode === 'apiKey' ? auth.headerName + ' header' : 'None';
+            document.getElementById('authMode').value = auth.mode;
+            document.getElementById('authHeaderName').value = auth.headerName;
+            document.getElementById('authKeys').value = auth.keys.map(k => k.role ? k.key + ' ' + k.role : k.key).join('\\n');
+            document.getElementById('authReadRoles').value = auth.readRoles.join(', ');
+            document.getElementById('authWriteRoles').value = auth.writeRoles.join(', ');
+            showAuthFields();
+          }
+          function showAuthFields() {
+            const mode = document.getElementById('authMode').value;
+            document.querySelectorAll('.auth-apiKey').forEach(el => { el.style.display = mode === 'apiKey' ? '' : 'none'; });
+            document.querySelectorAll('.auth-bearer').forEach(el => { el.style.display = mode === 'bearer' ? '' : 'none'; });
+            document.querySelectorAll('.auth-required').forEach(el => { el.style.display = mode === 'none' ? 'none' : ''; });
+          }
+          function readAuth() {
+            return {
+              mode: document.getElementById('authMode').value,
+              headerName: document.getElementById('authHeaderName').value.trim(),
+              keys: document.getElementById('authKeys').value.split('\\n').map(line => {
+                const [key, role] = line.trim().split(' ').filter(Boolean);
+                return { key: key || '', role: role || null };
+              }).filter(k => k.key),
+              readRoles: document.getElementById('authReadRoles').value,
+              writeRoles: document.getElementById('authWriteRoles').value
+            };
+          }
+          function renderTarget(target) {
+            document.getElementById('runnerTarget').textContent = target.local
+              ? 'Sent to the local mock server at ' + target.baseUrl + ', with the scenario and auth set for this collection.'
+              : 'Sent to MockMan. Scenarios, auth, ?expand= and the query parameters below are applied by the local mock server only; start it (MockMan: Start Local Server) to try them here.';
+            document.getElementById('queryLabel').textContent = target.local
+              ? 'Query parameters'
+              : 'Query parameters (local mock server only)';
+            document.getElementById('headersRow').style.display = target.local ? 'block' : 'none';
+            requestTarget = target;
+            if (selected && isListEndpoint(selected)) scheduleCount();
+          }
+          function readHeaders() {
+            const headers = {};
+            if (!requestTarget.local) return headers;
+            for (const line of document.getElementById('requestHeaders').value.split('\\n')) {
+              if (!line.trim()) continue;
+              const colon = line.indexOf(':');
+              if (colon < 1) throw new Error('Expected "Name: value" but got "' + line.trim() + '"');
+              headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+            }
+            return headers;
+          }
+          function renderResponse(result) {
+            document.getElementById('responseSection').style.display = 'block';
+            const status = document.getElementById('responseStatus');
+            if (result.error) {
+              status.className = 'status-error';
+              status.textContent = result.error;
+            } else {
+              status.className = result.status < 400 ? 'status-ok' : 'status-error';
+              status.textContent = result.status + ' ' + (result.statusText || '');
+            }
+            document.getElementById('responseTime').textContent = result.duration + ' ms';
+            document.getElementById('responseHeaders').textContent = JSON.stringify(result.headers || {}, null, 2);
+            document.getElementById('responseBody').textContent =
+              result.data === undefined ? '' : typeof result.data === 'string' ? result.data : JSON.stringify(result.data, null, 2);
+          }
+          function renderHistory(history) {
+            const container = document.getElementById('history');
+            if (!history.length) {
+              container.innerHTML = '<p class="text-sm text-gray-500">No requests yet.</p>';
+              return;
+            }
+            container.innerHTML = history.map((entry, index) =>
+              '<div class="history-item" data-index="' + index + '">' +
+                '<span class="' + (entry.status && entry.status < 400 ? 'status-ok' : 'status-error') + '">' + escapeHtml(entry.status || 'ERR') + '</span> ' +
+                '<strong class="text-blue-400">' + escapeHtml(entry.method) + '</strong> ' + escapeHtml(entry.path) +
+                (entry.local ? ' <span class="text-gray-500">· local</span>' : '') +
+                ' <span class="text-gray-500">· ' + escapeHtml(entry.duration) + ' ms · ' + escapeHtml(new Date(entry.timestamp).toLocaleTimeString()) + '</span>' +
+              '</div>'
+            ).join('');
+            container.querySelectorAll('.history-item').forEach(item => {
+              item.addEventListener('click', () => {
+                const entry = history[Number(item.dataset.index)];
+                const endpoint = { method: entry.method, path: entry.path, description: '' };
+                selectEndpoint(endpoint, entry.body);
+              });
+            });
+          }
+          dynamicEndpoints.addEventListener('click', event => {
+            const target = event.target.closest('[data-index]');
+            if (!target) return;
+            const endpoint = endpoints[Number(target.dataset.index)];
+            if (target.dataset.action === 'run') {
+              selectEndpoint(endpoint);
+            } else if (target.dataset.action === 'snippet') {
+              event.stopPropagation();
+              showSnippetMenu(endpoint, target);
+            } else {
+              copyToClipboard(baseUrl + endpoint.path);
+            }
+          });
+          document.getElementById('sendBtn').addEventListener('click', () => {
+            if (!selected) return;
+            let path = selected.path;
+            if (path.includes(':documentId')) {
+              if (!documentIdSelect.value) {
+                vscode.postMessage({ command: 'showError', message: 'Pick a document ID first.' });
+                return;
+              }
+              path = path.replace(':documentId', encodeURIComponent(documentIdSelect.value));
+            }
+            if (isListEndpoint(selected) && queryString()) {
+              path += '?' + queryString();
+            }
+            let body;
+            if (selected.method === 'POST' || selected.method === 'PUT') {
+              try {
+                body = JSON.parse(requestBody.value || '{}');
+              } catch (err) {
+                vscode.postMessage({ command: 'showError', message: 'Invalid JSON body: ' + err.message });
+                return;
+              }
+            }
+            let headers;
+            try {
+              headers = readHeaders();
+            } catch (err) {
+              vscode.postMessage({ command: 'showError', message: 'Invalid headers: ' + err.message });
+              return;
+            }
+            document.getElementById('responseStatus').textContent = 'Sending...';
+            vscode.postMessage({ command: 'sendRequest', method: selected.method, path, body, headers });
+          });
+          snippetMenu.addEventListener('click', event => {
+            event.stopPropagation();
+            const language = event.target.dataset.language;
+            if (!language || !snippetEndpoint) return;
+            vscode.postMessage({
+              command: 'copySnippet',
+              language,
+              method: snippetEndpoint.method,
+              path: snippetEndpoint.path,
+              description: snippetEndpoint.description,
+              documentId: documentIdSelect.value
+            });
+            hideSnippetMenu();
+          });
+          document.addEventListener('click', hideSnippetMenu);
+          document.addEventListener('keydown', event => {
+            if (event.key === 'Escape') hideSnippetMenu();
+          });
+          document.getElementById('addParamBtn').addEventListener('click', () => {
+            queryParams.push({ name: '', value: '' });
+            renderQueryParams();
+            queryParamsContainer.lastElementChild.querySelector('input').focus();
+          });
+          queryParamsContainer.addEventListener('input', event => {
+            const row = event.target.closest('[data-index]');
+            if (!row) return;
+            queryParams[Number(row.dataset.index)][event.target.dataset.key] = event.target.value;
+            scheduleCount();
+          });
+          queryParamsContainer.addEventListener('click', event => {
+            if (event.target.dataset.action !== 'remove') return;
+            queryParams.splice(Number(event.target.closest('[data-index]').dataset.index), 1);
+            renderQueryParams();
+            scheduleCount();
+          });
+          scenarioPreset.addEventListener('change', () => {
+            const preset = scenarioPresets.find(p => p.id === scenarioPreset.value);
+            if (preset) renderScenario(preset.scenario);
+          });
+          document.querySelectorAll('.scenario-input').forEach(input => {
+            input.addEventListener('input', () => { scenarioPreset.value = 'custom'; });
+          });
+          document.getElementById('saveScenarioBtn').addEventListener('click', () => {
+            let scenario;
+            try {
+              scenario = readScenario();
+            } catch (err) {
+              vscode.postMessage({ command: 'showError', message: 'Invalid JSON error body: ' + err.message });
+              return;
+            }
+            vscode.postMessage({ command: 'saveScenario', scenario });
+          });
+          document.getElementById('authMode').addEventListener('change', showAuthFields);
+          document.getElementById('generateKeyBtn').addEventListener('click', () => {
+            const bytes = crypto.getRandomValues(new Uint8Array(12));
+            const key = 'mk_test_' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+            const keys = document.getElementById('authKeys');
+            keys.value = (keys.value.trim() ? keys.value.trim() + '\\n' : '') + key;
+          });
+          document.getElementById('saveAuthBtn').addEventListener('click', () => {
+            vscode.postMessage({ command: 'saveAuth', auth: readAuth() });
+          });
+          document.getElementById('issueTokenBtn').addEventListener('click', () => {
+            const claimsText = document.getElementById('tokenClaims').value.trim();
+            let claims = {};
+            try {
+              claims = claimsText ? JSON.parse(claimsText) : {};
+              if (!claims || typeof claims !== 'object' || Array.isArray(claims)) throw new Error('Enter a JSON object');
+            } catch (err) {
+              vscode.postMessage({ command: 'showError', message: 'Invalid extra claims: ' + err.message });
+              return;
+            }
+            vscode.postMessage({
+              command: 'issueToken',
+              sub: document.getElementById('tokenSub').value.trim(),
+              role: document.getElementById('tokenRole').value.trim(),
+              expires: document.getElementById('tokenExpires').value,
+              claims
+            });
+          });
+          document.getElementById('useTokenBtn').addEventListener('click', () => {
+            const field = document.getElementById('requestHeaders');
+            const lines = field.value.split('\\n').filter(line => line.trim() && line.split(':')[0].trim().toLowerCase() !== 'authorization');
+            field.value = ['Authorization: Bearer ' + document.getElementById('tokenValue').value, ...lines].join('\\n');
+            vscode.postMessage({ command: 'showInfo', message: requestTarget.local
+              ? 'The token will be sent with requests from this panel.'
+              : 'The token will be sent once the local mock server is running.' });
+          });
+          document.getElementById('copyTokenBtn').addEventListener('click', () => {
+            navigator.clipboard.writeText(document.getElementById('tokenValue').value).then(() => {
+              vscode.postMessage({ command: 'showInfo', message: 'Token copied to clipboard!' });
+            });
+          });
+          document.getElementById('clearHistoryBtn').addEventListener('click', () => {
+            vscode.postMessage({ command: 'clearHistory' });
+          });
+          document.querySelectorAll('.tab-btn').forEach(button => {
+            button.addEventListener('click', () => {
+              document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b === button));
+              document.getElementById('restTab').style.display = button.dataset.tab === 'restTab' ? 'block' : 'none';
+              document.getElementById('graphqlTab').style.display = button.dataset.tab === 'graphqlTab' ? 'block' : 'none';
+            });
+          });
+          const graphqlQuery = document.getElementById('graphqlQuery');
+          let graphqlCollectionId = null;
+          function renderGraphql(graphql, collectionId) {
+            document.getElementById('graphqlUrl').textContent = graphql.url;
+            document.getElementById('graphqlServerNote').textContent = graphql.running
+              ? 'Served by the running local mock server. Run executes against the same offline copy.'
+              : 'Start the local mock server to call this URL from your app. Run works without it, against the offline copy.';
+            document.getElementById('graphqlSdl').textContent = graphql.sdl;
+            // Keep the user's query unless the panel switched collections
+            if (collectionId !== graphqlCollectionId || !graphqlQuery.value.trim()) {
+              graphqlQuery.value = graphql.sampleQuery;
+              document.getElementById('graphqlResultSection').style.display = 'none';
+            }
+            graphqlCollectionId = collectionId;
+          }
+          document.getElementById('copyGraphqlUrlBtn').addEventListener('click', () => {
+            copyToClipboard(document.getElementById('graphqlUrl').textContent);
+          });
+          document.getElementById('runGraphqlBtn').addEventListener('click', () => {
+            const variables = document.getElementById('graphqlVariables').value;
+            if (variables.trim()) {
+              try {
+                JSON.parse(variables);
+              } catch (err) {
+                vscode.postMessage({ command: 'showError', message: 'Invalid JSON variables: ' + err.message });
+                return;
+              }
+            }
+            document.getElementById('graphqlResultSection').style.display = 'block';
+            document.getElementById('graphqlStatus').className = '';
+            document.getElementById('graphqlStatus').textContent = 'Running...';
+            vscode.postMessage({ command: 'runGraphQL', query: graphqlQuery.value, variables });
+          });
+          document.getElementById('realtimeUrls').addEventListener('click', event => {
+            const row = event.target.closest('[data-url]');
+            if (row) copyToClipboard(row.dataset.url);
+          });
+          document.getElementById('eventFeedBtn').addEventListener('click', () => {
+            vscode.postMessage({ command: 'showEventFeed' });
+          });
+          document.getElementById('exportGraphqlBtn').addEventListener('click', () => {
+            vscode.postMessage({ command: 'exportGraphQL' });
+          });
+          window.addEventListener('message', event => {
+            const message = event.data;
+            if (message.command === 'endpoints') {
+              const data = message.data;
+              baseUrl = data.baseUrl;
+              document.getElementById('baseUrl').textContent = baseUrl;
+              endpoints = buildEndpoints(data);
+              sampleBody = data.sampleBody;
+              snippetLanguages = data.snippetLanguages;
+              hideSnippetMenu();
+              scenarioPresets = data.scenarioPresets;
+              document.getElementById('queryKeys').innerHTML = data.queryParams.map(p =>
+                '<option value="' + escapeHtml(p.name) + '">' + escapeHtml(p.description) + '</option>'
+              ).join('');
+              scenarioPreset.innerHTML = scenarioPresets.map(p => '<option value="' + escapeHtml(p.id) + '">' + escapeHtml(p.label) + '</option>').join('') +
+                '<option value="custom">Custom</option>';
+              renderScenario(data.scenario);
+              document.getElementById('tokenExpires').innerHTML = data.tokenExpiries.map(e =>
+                '<option value="' + escapeHtml(e.id) + '">' + escapeHtml(e.label) + '</option>'
+              ).join('');
+              renderAuth(data.auth);
+              selected = null;
+              renderTarget(data.target);
+              runner.style.display = 'none';
+              document.getElementById('responseSection').style.display = 'none';
+              renderEndpoints();
+              renderHistory(data.history);
+              renderGraphql(data.graphql, data.collection._id);
+              document.getElementById('realtimeUrls').innerHTML = [
+                { label: 'SSE', url: data.realtime.sse, description: 'Server-Sent Events (EventSource)' },
+                { label: 'WS', url: data.realtime.ws, description: 'WebSocket, one JSON message per event' }
+              ].map(stream =>
+                '<div class="endpoint" data-url="' + escapeHtml(stream.url) + '">' +
+                  '<span><strong>' + stream.label + '</strong> ' + escapeHtml(stream.url) + '</span>' +
+                  '<span class="endpoint-description">' + escapeHtml(stream.description) + '</span>' +
+                '</div>'
+              ).join('');
+              if (data.request) {
+                selectEndpoint({ method: data.request.method, path: data.request.path, description: '' }, data.request.body);
+                if (data.request.send) {
+                  document.getElementById('responseStatus').textContent = 'Sending...';
+                }
+              }
+            } else if (message.command === 'documentIds') {
+              documentIdSelect.innerHTML = message.data.length
+                ? message.data.map(d => '<option value="' + escapeHtml(d.id) + '">' + escapeHtml(d.label) + ' (' + escapeHtml(d.id) + ')</option>').join('')
+                : '<option value="">' + escapeHtml(message.error || 'No documents in this collection') + '</option>';
+            } else if (message.command === 'response') {
+              renderResponse(message.data);
+            } else if (message.command === 'history') {
+              renderHistory(message.data);
+            } else if (message.command === 'queryCount') {
+              if (message.query !== queryString()) return;
+              const count = document.getElementById('queryCount');
+              count.className = 'text-sm ' + (message.data.error ? 'status-error' : 'text-gray-400');
+              count.textContent = message.data.error
+                ? message.data.error
+                : message.data.total + ' matching · ' + message.data.returned + ' returned';
+            } else if (message.command === 'graphqlResult') {
+              const errors = message.data.errors || [];
+              const status = document.getElementById('graphqlStatus');
+              status.className = errors.length ? 'status-error' : 'status-ok';
+              status.textContent = errors.length ? errors.length + ' error' + (errors.length === 1 ? '' : 's') : 'OK';
+              document.getElementById('graphqlTime').textContent = message.duration + ' ms';
+              document.getElementById('graphqlResult').textContent = JSON.stringify(message.data, null, 2);
+            } else if (message.command === 'scenario') {
+              renderScenario(message.data);
+            } else if (message.command === 'auth') {
+              renderAuth(message.data);
+            } else if (message.command === 'target') {
+              renderTarget(message.data);
+            } else if (message.command === 'token') {
+              document.getElementById('issuedToken').style.display = 'block';
+              document.getElementById('tokenValue').value = message.data.token;
+              document.getElementById('tokenPayload').textContent = JSON.stringify(message.data.claims, null, 2);
+            } else if (message.command === 'endpointsError') {
+              dynamicEndpoints.innerHTML = '<div class="text-red-500 p-4">' + escapeHtml(message.message) + '</div>';
+            }
+          });
+        </script>
+      </body>
+      </html>
+    `;
+  }
+}
+
+/**
+ * Webview for Template Browser
+ */
+class TemplateBrowserWebview {
+  constructor(context, provider) {
+    this.context = context;
+    this.provider = provider;
+    this.panel = null;
+    this.abortController = null;
+    this.previews = new Map(); // category -> { fields, rows }
+  }
+
+  async show() {
+    const apiKey = await this.provider.getApiKey();
+    if (this.panel) {
+      this.panel.reveal();
+      return;
+    }
+
+    this.panel = vscode.window.createWebviewPanel(
+      "mockmanTemplateBrowser",
+      "MockMan Templates",
+      vscode.ViewColumn.One,
+      { enableScripts: true, retainContextWhenHidden: true }
+    );
+    this.abortController = new AbortController();
+    const signal = this.abortController.signal;
+
+    this.panel.webview.html = await this.getWebviewContent();
+    this.panel.onDidDispose(
+      () => {
+        this.abortController.abort();
+        this.panel = null;
+        this.previews.clear();
+      },
+      null,
+      this.context.subscriptions
+    );
+
+    this.panel.webview.onDidReceiveMessage(
+      async (message) => {
+        const apiKey = await this.provider.getApiKey();
+        switch (message.command) {
+          case "login":
+            vscode.commands.executeCommand("mockman.login");
+            break;
+          case "getTemplates":
+            if (!apiKey) {
+              this.showLoginError();
+              return;
+            }
+            try {
+              const templateRes = await this.provider.api.get(
+                `/templates/${apiKey}`,
+                { cache: true, timeout: 5000, signal }
+              );
+              const templates = (templateRes.data.templates || []).map(
+                normalizeTemplate
+              );
+              const groups = new Set(templates.map((t) => t.group));
+              this.panel.webview.postMessage({
+                command: "templates",
+                data: {
+                  templates,
+                  groups: [
+                    ...TEMPLATE_GROUPS.map((g) => g.label),
+                    "Other",
+                  ].filter((label) => groups.has(label)),
+                  tags: [...new Set(templates.flatMap((t) => t.tags))].sort(),
+                  kits: STARTER_KITS,
+                  fieldTypes: FIELD_TYPES,
+                },
+                staleSince: templateRes.stale ? templateRes.fetchedAt : null,
+              });
+            } catch (error) {
+              this.handleError(error, "fetching templates");
+            }
+            break;
+          case "getPreview":
+            if (!apiKey) {
+              this.showLoginError();
+              return;
+            }
+            try {
+              const previewRes = await this.provider.api.get(
+                `/templates/${apiKey}/${message.category}/preview`,
+                { cache: true, timeout: 5000, signal }
+              );
+              const preview = templatePreview(previewRes.data);
+              this.previews.set(message.category, preview);
+              this.panel.webview.postMessage({
+                command: "preview",
+                category: message.category,
+                data: {
+                  fields: preview.fields,
+                  rows: templatePreviewRows(
+                    preview,
+                    preview.fields.map((f) => ({ ...f, include: true }))
+                  ),
+                },
+              });
+            } catch (error) {
+              this.handleError(error, "fetching preview");
+            }
+            break;
+          case "previewRows": {
+            const preview = this.previews.get(message.category);
+            if (!preview) break;
+            this.panel.webview.postMessage({
+              command: "previewRows",
+              category: message.category,
+              data: templatePreviewRows(preview, message.fields),
+            });
+            break;
+          }
+          case "createCollection":
+            if (!apiKey) {
+              this.showLoginError();
+              return;
+            }
+            await this.createFromTemplate(apiKey, message, signal);
+            break;
+          case "createKit":
+            if (!apiKey) {
+              this.showLoginError();
+              return;
+            }
+            await this.createKit(apiKey, message);
+            break;
+          case "showInfo":
+            vscode.window.showInformationMessage(message.message);
+            break;
+          case "showError":
+            vscode.window.showErrorMessage(message.message);
+            break;
+        }
+      },
+      undefined,
+      this.context.subscriptions
+    );
+
+    if (!apiKey) {
+      this.panel.webview.postMessage({ command: "noApiKey" });
+    } else {
+      this.panel.webview.postMessage({ command: "getTemplates" });
+    }
+  }
+
+  async reload() {
+    if (!this.panel) return;
+    const apiKey = await this.provider.getApiKey();
+    this.panel.webview.postMessage({
+      command: apiKey ? "getTemplates" : "noApiKey",
+    });
+  }
+
+  /**
+   * Create a collection from a template. Unchanged templates of up to 1000
+   * rows are created by MockMan from its own template data; customised
+   * fields and larger counts are generated here.
+   */
+  async createFromTemplate(
+    apiKey,
+    { category, collectionName, count, fields },
+    signal
+  ) {
+    const preview = this.previews.get(category);
+    if (!preview) return;
+    const kept = fields.filter((f) => f.include);
+    const customised =
+      collectionName !== category ||
+      kept.length !== preview.fields.length ||
+      kept.some(
+        (f, i) =>
+          f.key !== preview.fields[i].key ||
+          f.fieldName !== f.key ||
+          f.fieldType !== preview.fields[i].fieldType
+      );
+
+    if (!customised && count <= 1000) {
+      try {
+        const createRes = await this.provider.api.post(
+          `/templates/${apiKey}/create`,
+          { category, count },
+          { signal }
+        );
+        this.panel?.webview.postMessage({ command: "createSuccess" });
+        vscode.window.showInformationMessage(
+          `✅ Collection "${createRes.data.collection.name}" created with ${createRes.data.collection.documentCount} documents`
+        );
+        vscode.commands.executeCommand("mockman.refresh");
+      } catch (error) {
+        if (axios.isCancel(error)) return;
+        this.createFailed(`Error creating collection: ${describeError(error)}`);
+      }
+      return;
+    }
+
+    // Generators follow the template's field names through renames
+    const schema = kept.map((f) => ({
+      fieldName: f.fieldName,
+      fieldType: f.fieldType,
+      generator: defaultGeneratorForField({
+        fieldName: f.key || f.fieldName,
+        fieldType: f.fieldType,
+      }),
+    }));
+    const problem =
+      validateSchema(collectionName, schema) ||
+      (this.provider.findCollection(collectionName)
+        ? `A collection named "${collectionName}" already exists.`
+        : null);
+    if (problem) {
+      this.createFailed(`⚠️ ${problem}`);
+      return;
+    }
+
+    let created = 0;
+    try {
+      await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Creating "${collectionName}" with ${count} documents`,
+        },
+        async (progress) => {
+          const collection = await createCollection(
+            this.provider.api,
+            apiKey,
+            collectionName,
+            schema,
+            []
+          );
+          await postDocumentsInBatches(
+            this.provider.api,
+            apiKey,
+            collection._id,
+            generateDocuments(schema, count),
+            (batch) => {
+              created += batch;
+              progress.report({
+                message: `${created}/${count}`,
+                increment: (batch / count) * 100,
+              });
+            }
+          );
+        }
+      );
+      this.panel?.webview.postMessage({ command: "createSuccess" });
+      vscode.window.showInformationMessage(
+        `✅ Collection "${collectionName}" created with ${count} documents`
+      );
+    } catch (error) {
+      this.createFailed(
+        `Error creating "${collectionName}" after ${created} of ${count} documents: ${describeError(
+          error
+        )}`
+      );
+    }
+    vscode.commands.executeCommand("mockman.refresh");
+  }
+
+  async createKit(apiKey, { kit: kitId, prefix, count }) {
+    const kit = STARTER_KITS.find((k) => k.id === kitId);
+    if (!kit) return;
+    if (!/^[A-Za-z0-9_-]*$/.test(prefix)) {
+      this.createFailed(
+        "⚠️ Use letters, digits, dashes and underscores in the prefix."
+      );
+      return;
+    }
+    const existing = kit.collections
+      .map((c) => prefix + c.collectionName)
+      .filter((name) => this.provider.findCollection(name));
+    if (existing.length) {
+      this.createFailed(
+        `⚠️ ${existing.join(", ")} already exist${
+          existing.length === 1 ? "s" : ""
+        }. Add a prefix to create the ${kit.label} kit alongside them.`
+      );
+      return;
+    }
+
+    let current;
+    try {
+      const created = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Creating the ${kit.label} starter kit`,
+        },
+        (progress) =>
+          createStarterKit(
+            this.provider.api,
+            apiKey,
+            kit,
+            { prefix, count },
+            (collectionName) => {
+              current = collectionName;
+              progress.report({
+                message: collectionName,
+                increment: 100 / kit.collections.length,
+              });
+            }
+          )
+      );
+      this.panel?.webview.postMessage({ command: "createSuccess" });
+      vscode.window.showInformationMessage(
+        `✅ ${kit.label} kit created: ${created.join(", ")} with ${count} documents each`
+      );
+    } catch (error) {
+      this.createFailed(
+        `Error creating "${current}" for the ${kit.label} kit: ${describeError(
+          error
+        )}`
+      );
+    }
+    vscode.commands.executeCommand("mockman.refresh");
+  }
+
+  createFailed(message) {
+    vscode.window.showErrorMessage(message);
+    this.panel?.webview.postMessage({ command: "createFailed" });
+  }
+
+  showLoginError() {
+    vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+    this.panel.webview.postMessage({
+      command: "error",
+      message: "Please login first (MockMan: Login).",
+    });
+  }
+
+  handleError(error, action) {
+    if (axios.isCancel(error)) return;
+    const errorMessage = describeError(error);
+    vscode.window.showErrorMessage(`Error ${action}: ${errorMessage}`);
+    this.panel.webview.postMessage({ command: "error", message: errorMessage });
+  }
+
+  async getWebviewContent() {
+    const nonce = getNonce();
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${this.panel.webview.cspSource} 'unsafe-inline' https:; script-src 'nonce-${nonce}';">
+        <title>MockMan Templates</title>
+        <link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">
+        <style>
+          body { background-color: #1a1a1a; color: #ffffff; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+          .field { padding: 0.5rem; background: #1f2937; color: #ffffff; border: 1px solid #4b5563; border-radius: 0.5rem; font-size: 0.875rem; }
+          .card { background-color: #2d2d2d; padding: 0.75rem; border-radius: 0.5rem; cursor: pointer; border: 1px solid transparent; transition: background-color 0.2s; }
+          .card:hover { background-color: #3d3d3d; }
+          .card.selected { border-color: #60a5fa; }
+          .tag { display: inline-block; font-size: 0.75rem; padding: 0 0.5rem; margin: 0.125rem; border-radius: 9999px; background: #374151; color: #d1d5db; }
+          button.tag { cursor: pointer; }
+          .tag.active { background: #2563eb; color: #ffffff; }
+          .mapping-table, .preview-table { width: 100%; font-size: 0.8rem; border-collapse: collapse; }
+          .mapping-table td { padding: 0.25rem 0.5rem; }
+          .mapping-table th { color: #60a5fa; text-align: left; padding: 0.25rem 0.5rem; }
+          .preview-table th, .preview-table td { border: 1px solid #4b5563; padding: 0.25rem 0.5rem; text-align: left; max-width: 16rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+          .preview-table th { background: #2d2d2d; color: #60a5fa; }
+          .loader { display: none; width: 20px; height: 20px; border: 2px solid #f3f3f3; border-top: 2px solid #60a5fa; border-radius: 50%; animation: spin 0.8s linear infinite; margin-left: 0.5rem; }
+          @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
+          .btn-loading { opacity: 0.7; cursor: not-allowed; }
+          .error-msg { color: #ef4444; padding: 1rem; background: #2d2d2d; border-radius: 0.5rem; margin: 1rem 0; }
+          #templates { max-height: 50vh; overflow-y: auto; }
+        </style>
+      </head>
+      <body class="p-4 sm:p-6 max-w-full mx-auto overflow-x-hidden">
+        <div class="mb-6">
+          <h1 class="text-2xl sm:text-3xl font-bold mb-4 text-white">MockMan Template Gallery</h1>
+          <p class="text-gray-400">Search 50+ templates, preview their sample data, customise the fields and create collections, or set up a whole demo backend with a starter kit.</p>
+          <div id="loginPrompt" class="error-msg" style="display: none;">
+            <p>⚠️ Please login to access templates. <button id="loginBtn" class="text-blue-400 underline cursor-pointer">Login Now</button></p>
+          </div>
+          <div id="staleNotice" class="text-sm text-yellow-400 mt-2" style="display: none;"></div>
+        </div>
+        <div class="mb-8" id="kitSection" style="display: none;">
+          <h2 class="text-xl font-semibold mb-2 text-gray-300">Starter Kits</h2>
+          <div id="kits" class="grid grid-cols-1 sm:grid-cols-2 gap-3"></div>
+          <div id="kitForm" class="mt-4" style="display: none;">
+            <div id="kitCollections" class="text-sm mb-3"></div>
+            <div class="flex flex-col sm:flex-row items-start sm:items-end space-y-2 sm:space-y-0 sm:space-x-4">
+              <label class="text-sm text-gray-400">Name prefix (optional)<br><input id="kitPrefix" class="field" placeholder="demo_"></label>
+              <label class="text-sm text-gray-400">Rows per collection<br><input id="kitCount" type="number" min="1" max="10000" value="20" class="field w-24"></label>
+              <button id="createKitBtn" class="create-btn bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg flex items-center">
+                <span class="create-text">Create Kit</span>
+                <span class="loader"></span>
+              </button>
+            </div>
+          </div>
+        </div>
+        <div class="mb-6" id="templateSection" style="display: none;">
+          <h2 class="text-xl font-semibold mb-2 text-gray-300">Templates</h2>
+          <div class="flex flex-col sm:flex-row gap-2">
+            <input id="search" class="field flex-grow" placeholder="Search templates…">
+            <select id="groupFilter" class="field"></select>
+          </div>
+          <div id="tagFilters" class="my-2"></div>
+          <p id="resultCount" class="text-sm text-gray-500 mb-2"></p>
+          <div id="templates" class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3"></div>
+        </div>
+        <div class="mb-8" id="detailSection" style="display: none;">
+          <h2 id="detailTitle" class="text-xl font-semibold text-gray-300"></h2>
+          <p id="detailDescription" class="text-sm text-gray-400 mb-4"></p>
+          <h3 class="text-lg font-semibold mb-2 text-gray-300">Sample Data</h3>
+          <div id="preview" class="overflow-x-auto mb-4"></div>
+          <h3 class="text-lg font-semibold mb-2 text-gray-300">Fields</h3>
+          <table class="mapping-table">
+            <thead><tr><th>Keep</th><th>Template field</th><th>Field name</th><th>Type</th><th></th></tr></thead>
+            <tbody id="fields"></tbody>
+          </table>
+          <button id="addFieldBtn" class="text-sm text-blue-400 underline mt-1 mb-4">+ Add field</button>
+          <div class="flex flex-col sm:flex-row items-start sm:items-end space-y-2 sm:space-y-0 sm:space-x-4">
+            <label class="text-sm text-gray-400">Collection name<br><input id="collectionName" class="field"></label>
+            <label class="text-sm text-gray-400">Rows<br><input id="rowCount" type="number" min="1" max="10000" value="10" class="field w-24"></label>
+            <button id="createBtn" class="create-btn bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg flex items-center">
+              <span class="create-text">Create Collection</span>
+              <span class="loader"></span>
+            </button>
+          </div>
+          <p class="text-sm text-gray-500 mt-2">Up to 10000 rows. Unchanged templates of up to 1000 rows use MockMan's template data; customised fields and larger counts are generated locally. New collections appear in your Collections sidebar.</p>
+        </div>
+        <script nonce="${nonce}">
+          const vscode = acquireVsCodeApi();
+          const loginPrompt = document.getElementById('loginPrompt');
+          const kitSection = document.getElementById('kitSection');
+          const templateSection = document.getElementById('templateSection');
+          const detailSection = document.getElementById('detailSection');
+          const searchInput = document.getElementById('search');
+          const groupFilter = document.getElementById('groupFilter');
+          const fieldsBody = document.getElementById('fields');
+          const kitPrefix = document.getElementById('kitPrefix');
+          let state = { templates: [], groups: [], tags: [], kits: [], fieldTypes: [] };
+          let activeTags = new Set();
+          let selected = null;
+          let selectedKit = null;
+          let fields = [];
+          let previewRows = [];
+          function escapeHtml(unsafe) {
+            return String(unsafe)
+              .replace(/&/g, "&amp;")
+              .replace(/</g, "&lt;")
+              .replace(/>/g, "&gt;")
+              .replace(/"/g, "&quot;")
+              .replace(/'/g, "&#039;");
+          }
+          function setCreating(creating) {
+            document.querySelectorAll('.create-btn').forEach(btn => {
+              btn.disabled = creating;
+              btn.classList.toggle('btn-loading', creating);
+              btn.querySelector('.loader').style.display = creating ? 'inline-block' : 'none';
+            });
+          }
+          function showSections(visible) {
+            [kitSection, templateSection].forEach(section => { section.style.display = visible ? 'block' : 'none'; });
+            if (!visible) detailSection.style.display = 'none';
+          }
+          function showLoginPrompt(html) {
+            if (html) loginPrompt.innerHTML = html;
+            loginPrompt.style.display = 'block';
+            showSections(false);
+            document.getElementById('loginBtn').addEventListener('click', () => {
+              vscode.postMessage({ command: 'login' });
+            });
+          }
+          function matchingTemplates() {
+            const query = searchInput.value.trim().toLowerCase();
+            return state.templates.filter(t =>
+              (!groupFilter.value || t.group === groupFilter.value) &&
+              [...activeTags].every(tag => t.tags.includes(tag)) &&
+              (!query || [t.displayName, t.category, t.description, t.group].concat(t.tags).join(' ').toLowerCase().includes(query))
+            );
+          }
+          function renderTemplates() {
+            const templates = matchingTemplates();
+            document.getElementById('resultCount').textContent = templates.length + ' of ' + state.templates.length + ' templates';
+            document.getElementById('templates').innerHTML = templates.map(t =>
+              '<div class="card' + (selected && selected.category === t.category ? ' selected' : '') + '" data-category="' + escapeHtml(t.category) + '">' +
+                '<div class="flex justify-between items-start"><strong>' + escapeHtml(t.displayName) + '</strong><span class="text-xs text-gray-400">' + escapeHtml(t.group) + '</span></div>' +
+                (t.description ? '<p class="text-sm text-gray-400 my-1">' + escapeHtml(t.description) + '</p>' : '') +
+                '<div>' + t.tags.map(tag => '<span class="tag">' + escapeHtml(tag) + '</span>').join('') + '</div>' +
+              '</div>'
+            ).join('') || '<p class="text-sm text-gray-500">No templates match.</p>';
+          }
+          function renderTagFilters() {
+            document.getElementById('tagFilters').innerHTML = state.tags.map(tag =>
+              '<button class="tag' + (activeTags.has(tag) ? ' active' : '') + '" data-tag="' + escapeHtml(tag) + '">' + escapeHtml(tag) + '</button>'
+            ).join('');
+          }
+          function renderKits() {
+            document.getElementById('kits').innerHTML = state.kits.map(kit =>
+              '<div class="card' + (selectedKit === kit ? ' selected' : '') + '" data-kit="' + escapeHtml(kit.id) + '">' +
+                '<strong>' + escapeHtml(kit.label) + '</strong>' +
+                '<p class="text-sm text-gray-400 my-1">' + escapeHtml(kit.description) + '</p>' +
+                '<div>' + kit.collections.map(c => '<span class="tag">' + escapeHtml(c.collectionName) + '</span>').join('') + '</div>' +
+              '</div>'
+            ).join('');
+          }
+          function renderKitForm() {
+            const prefix = kitPrefix.value.trim();
+            document.getElementById('kitCollections').innerHTML = selectedKit.collections.map(c =>
+              '<p class="mb-1"><strong class="text-blue-400">' + escapeHtml(prefix + c.collectionName) + '</strong> ' +
+                c.fields.map(f => escapeHtml(f.fieldName + (f.ref ? ' → ' + prefix + f.ref : ''))).join(', ') +
+              '</p>'
+            ).join('');
+          }
+          function selectTemplate(template) {
+            selected = template;
+            fields = [];
+            renderTemplates();
+            detailSection.style.display = 'block';
+            document.getElementById('detailTitle').textContent = template.displayName;
+            document.getElementById('detailDescription').textContent = template.description;
+            document.getElementById('collectionName').value = template.category;
+            document.getElementById('preview').innerHTML = '<p class="text-sm text-gray-500">Loading preview…</p>';
+            fieldsBody.innerHTML = '';
+            vscode.postMessage({ command: 'getPreview', category: template.category });
+          }
+          function renderFields() {
+            fieldsBody.innerHTML = fields.map((f, index) =>
+              '<tr data-index="' + index + '">' +
+                '<td><input type="checkbox" data-key="include"' + (f.include ? ' checked' : '') + '></td>' +
+                '<td class="text-gray-400">' + (f.key ? escapeHtml(f.key) : '<em>new</em>') + '</td>' +
+                '<td><input class="field w-full" data-key="fieldName" value="' + escapeHtml(f.fieldName) + '"></td>' +
+                '<td><select class="field" data-key="fieldType">' + state.fieldTypes.map(t =>
+                  '<option value="' + escapeHtml(t) + '"' + (t === f.fieldType ? ' selected' : '') + '>' + escapeHtml(t) + '</option>'
+                ).join('') + '</select></td>' +
+                '<td>' + (f.key ? '' : '<button class="text-blue-400" data-action="remove" title="Remove field">✕</button>') + '</td>' +
+              '</tr>'
+            ).join('');
+          }
+          function renderPreview() {
+            const preview = document.getElementById('preview');
+            const names = fields.filter(f => f.include).map(f => f.fieldName);
+            if (!names.length) {
+              preview.innerHTML = '<p class="text-sm text-gray-500">Keep at least one field.</p>';
+              return;
+            }
+            preview.innerHTML = '<table class="preview-table"><thead><tr>' +
+              names.map(n => '<th>' + escapeHtml(n) + '</th>').join('') +
+              '</tr></thead><tbody>' +
+              previewRows.map(row => '<tr>' + names.map(n => {
+                const value = row[n];
+                return '<td>' + escapeHtml(value === undefined ? '' : value !== null && typeof value === 'object' ? JSON.stringify(value) : value) + '</td>';
+              }).join('') + '</tr>').join('') +
+              '</tbody></table>';
+          }
+          function requestPreview() {
+            vscode.postMessage({ command: 'previewRows', category: selected.category, fields });
+          }
+          searchInput.addEventListener('input', renderTemplates);
+          groupFilter.addEventListener('change', renderTemplates);
+          document.getElementById('tagFilters').addEventListener('click', event => {
+            const tag = event.target.dataset.tag;
+            if (!tag) return;
+            if (activeTags.has(tag)) activeTags.delete(tag); else activeTags.add(tag);
+            renderTagFilters();
+            renderTemplates();
+          });
+          document.getElementById('templates').addEventListener('click', event => {
+            const card = event.target.closest('[data-category]');
+            if (!card) return;
+            const template = state.templates.find(t => t.category === card.dataset.category);
+            if (template) selectTemplate(template);
+          });
+          document.getElementById('kits').addEventListener('click', event => {
+            const card = event.target.closest('[data-kit]');
+            if (!card) return;
+            selectedKit = state.kits.find(k => k.id === card.dataset.kit);
+            renderKits();
+            renderKitForm();
+            document.getElementById('kitForm').style.display = 'block';
+          });
+          kitPrefix.addEventListener('input', renderKitForm);
+          fieldsBody.addEventListener('input', event => {
+            const row = event.target.closest('tr[data-index]');
+            if (!row || !event.target.dataset.key) return;
+            const field = fields[Number(row.dataset.index)];
+            const key = event.target.dataset.key;
+            field[key] = key === 'include' ? event.target.checked : event.target.value;
+            if (key !== 'fieldName') requestPreview();
+          });
+          fieldsBody.addEventListener('change', event => {
+            if (event.target.dataset.key === 'fieldName') requestPreview();
+          });
+          fieldsBody.addEventListener('click', event => {
+            if (event.target.dataset.action !== 'remove') return;
+            fields.splice(Number(event.target.closest('tr[data-index]').dataset.index), 1);
+            renderFields();
+            requestPreview();
+          });
+          document.getElementById('addFieldBtn').addEventListener('click', () => {
+            if (!selected || !fields.length) return;
+            fields.push({ key: null, fieldName: 'field' + (fields.length + 1), fieldType: 'string', include: true });
+            renderFields();
+            requestPreview();
+          });
+          document.getElementById('createBtn').addEventListener('click', () => {
+            const count = parseInt(document.getElementById('rowCount').value);
+            const collectionName = document.getElementById('collectionName').value.trim();
+            if (!selected || !fields.length || !collectionName || !(count >= 1 && count <= 10000)) {
+              vscode.postMessage({ command: 'showError', message: 'Pick a template, enter a collection name and a row count between 1 and 10000.' });
+              return;
+            }
+            setCreating(true);
+            vscode.postMessage({
+              command: 'createCollection',
+              category: selected.category,
+              collectionName,
+              count,
+              fields: fields.map(f => Object.assign({}, f, { fieldName: f.fieldName.trim() }))
+            });
+          });
+          document.getElementById('createKitBtn').addEventListener('click', () => {
+            const count = parseInt(document.getElementById('kitCount').value);
+            if (!selectedKit || !(count >= 1 && count <= 10000)) {
+              vscode.postMessage({ command: 'showError', message: 'Enter a row count between 1 and 10000.' });
+              return;
+            }
+            setCreating(true);
+            vscode.postMessage({ command: 'createKit', kit: selectedKit.id, prefix: kitPrefix.value.trim(), count });
+          });
+          window.addEventListener('message', event => {
+            const message = event.data;
+            switch (message.command) {
+              case 'getTemplates':
+                vscode.postMessage({ command: 'getTemplates' });
+                break;
+              case 'templates': {
+                state = message.data;
+                loginPrompt.style.display = 'none';
+                showSections(true);
+                const staleNotice = document.getElementById('staleNotice');
+                staleNotice.style.display = message.staleSince ? 'block' : 'none';
+                staleNotice.textContent = message.staleSince
+                  ? '⚠️ Offline: showing templates cached on ' + new Date(message.staleSince).toLocaleString() + '.'
+                  : '';
+                groupFilter.innerHTML = '<option value="">All categories</option>' +
+                  state.groups.map(g => '<option value="' + escapeHtml(g) + '">' + escapeHtml(g) + '</option>').join('');
+                activeTags = new Set([...activeTags].filter(tag => state.tags.includes(tag)));
+                selectedKit = selectedKit && state.kits.find(k => k.id === selectedKit.id);
+                renderTagFilters();
+                renderKits();
+                renderTemplates();
+                break;
+              }
+              case 'preview':
+                if (!selected || message.category !== selected.category) break;
+                fields = message.data.fields.map(f => Object.assign({}, f, { include: true }));
+                previewRows = message.data.rows;
+                renderFields();
+                renderPreview();
+                break;
+              case 'previewRows':
+                if (!selected || message.category !== selected.category) break;
+                previewRows = message.data;
+                renderPreview();
+                break;
+              case 'createSuccess':
+              case 'createFailed':
+                setCreating(false);
+                break;
+              case 'error':
+                setCreating(false);
+                showLoginPrompt('<p>' + escapeHtml(message.message) + ' <button id="loginBtn" class="text-blue-400 underline cursor-pointer">Login Now</button></p>');
+                break;
+              case 'noApiKey':
+                showLoginPrompt();
+                break;
+            }
+          });
+          vscode.postMessage({ command: 'getTemplates' });
+        </script>
+      </body>
+      </html>
+    `;
+  }
+}
+
+/**
+ * Webview for designing custom collection schemas
+ */
+class SchemaDesignerWebview {
+  constructor(context, provider) {
+    this.context = context;
+    this.provider = provider;
+    this.panel = null;
+    this.collection = null; // Set when editing an existing collection
+    this.referenceIds = {}; // Collection name -> document ids, for seeding references
+  }
+
+  async show(collection) {
+    this.collection = collection || null;
+    const title = collection
+      ? `Edit Schema: ${collection.collectionName}`
+      : "New MockMan Collection";
+
+    if (this.panel) {
+      this.panel.title = title;
+      this.panel.reveal();
+      this.postSchema();
+      return;
+    }
+
+    this.panel = vscode.window.createWebviewPanel(
+      "mockmanSchemaDesigner",
+      title,
+      vscode.ViewColumn.One,
+      { enableScripts: true, retainContextWhenHidden: true }
+    );
+
+    this.panel.webview.html = await this.getWebviewContent();
+    this.panel.onDidDispose(
+      () => {
+        this.panel = null;
+        this.referenceIds = {};
+      },
+      null,
+      this.context.subscriptions
+    );
+
+    this.panel.webview.onDidReceiveMessage(
+      async (message) => {
+        switch (message.command) {
+          case "ready":
+            this.postSchema();
+            break;
+          case "preview": {
+            let referenceIds = {};
+            try {
+              referenceIds = await this.getReferenceIds(message.fields);
+            } catch {
+              // Reference fields preview empty without them
+            }
+            this.panel?.webview.postMessage({
+              command: "previewRows",
+              data: generateDocuments(message.fields, 5, referenceIds),
+            });
+            break;
+          }
+          case "save":
+            await this.save(message);
+            break;
+          case "showError":
+            vscode.window.showErrorMessage(message.message);
+            break;
+        }
+      },
+      undefined,
+      this.context.subscriptions
+    );
+  }
+
+  postSchema() {
+    const collection = this.collection;
+    this.panel.webview.postMessage({
+      command: "schema",
+      data: {
+        mode: collection ? "edit" : "create",
+        collectionName: collection?.collectionName || "",
+        fields: (collection?.fields || []).map((f) => ({
+          fieldName: f.fieldName,
+          fieldType: f.fieldType,
+          generator: defaultGeneratorForField(f),
+          ref: f.ref || "",
+          originalName: f.fieldName,
+        })),
+        collections: this.provider.collections.map((c) => c.collectionName),
+        generators: Object.entries(FIELD_GENERATORS).map(([key, g]) => ({
+          key,
+          label: g.label,
+          fieldType: g.fieldType,
+        })),
+        fieldTypes: FIELD_TYPES,
+      },
+    });
+  }
+
+  async save({ collectionName, fields, count }) {
+    const apiKey = await this.provider.getApiKey();
+    if (!apiKey) {
+      vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+      this.panel.webview.postMessage({ command: "saveFailed" });
+      return;
+    }
+
+    const problem = validateSchema(collectionName, fields);
+    if (problem) {
+      vscode.window.showErrorMessage(`⚠️ ${problem}`);
+      this.panel.webview.postMessage({ command: "saveFailed" });
+      return;
+    }
+
+    const dangling = fields.find(
+      (f) => f.ref && !this.provider.findCollection(f.ref)
+    );
+    if (dangling) {
+      vscode.window.showErrorMessage(
+        `⚠️ "${dangling.fieldName}" references unknown collection "${dangling.ref}".`
+      );
+      this.panel.webview.postMessage({ command: "saveFailed" });
+      return;
+    }
+
+    const schema = fields.map((f) => ({
+      fieldName: f.fieldName,
+      fieldType: f.fieldType,
+      generator: f.generator,
+      ...(f.ref ? { ref: f.ref } : {}),
+    }));
+
+    try {
+      if (this.collection) {
+        const renamedFields = {};
+        for (const f of fields) {
+          if (f.originalName && f.originalName !== f.fieldName) {
+            renamedFields[f.originalName] = f.fieldName;
+          }
+        }
+        await this.provider.api.put(
+          `/collections/${apiKey}/${this.collection._id}`,
+          { collectionName, fields: schema, renamedFields }
+        );
+        vscode.window.showInformationMessage(
+          `✅ Schema for "${collectionName}" updated`
+        );
+      } else {
+        await createCollection(
+          this.provider.api,
+          apiKey,
+          collectionName,
+          schema,
+          generateDocuments(schema, count, await this.getReferenceIds(schema))
+        );
+        vscode.window.showInformationMessage(
+          `✅ Collection "${collectionName}" created with ${count} documents`
+        );
+      }
+      this.panel.dispose();
+      vscode.commands.executeCommand("mockman.refresh");
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      vscode.window.showErrorMessage(
+        `Error saving collection: ${errorMessage}`
+      );
+      this.panel?.webview.postMessage({ command: "saveFailed" });
+    }
+  }
+
+  /**
+   * Document ids of the collections the fields reference, fetched once per panel
+   */
+  async getReferenceIds(fields) {
+    const missing = fields.filter((f) => f.ref && !this.referenceIds[f.ref]);
+    if (missing.length) {
+      const apiKey = await this.provider.getApiKey();
+      Object.assign(
+        this.referenceIds,
+        await fetchReferenceIds(
+          this.provider.api,
+          apiKey,
+          this.provider.collections,
+          missing
+        )
+      );
+    }
+    return this.referenceIds;
+  }
+
+  async getWebviewContent() {
+    const nonce = getNonce();
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${this.panel.webview.cspSource} 'unsafe-inline' https:; script-src 'nonce-${nonce}';">
+        <title>MockMan Schema Designer</title>
+        <link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">
+        <style>
+          body { background-color: #1a1a1a; color: #ffffff; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+          .field { padding: 0.5rem; background: #1f2937; color: #ffffff; border: 1px solid #4b5563; border-radius: 0.5rem; font-size: 0.875rem; }
+          .field-row { display: flex; gap: 0.5rem; align-items: center; margin: 0.5rem 0; }
+          .field-row input { flex: 2; }
+          .field-row select { flex: 1; }
+          .remove-btn { background: none; border: none; color: #ef4444; cursor: pointer; font-size: 1rem; padding: 0 0.5rem; }
+          .preview-table { width: 100%; font-size: 0.8rem; border-collapse: collapse; }
+          .preview-table th, .preview-table td { border: 1px solid #4b5563; padding: 0.25rem 0.5rem; text-align: left; max-width: 16rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+          .preview-table th { background: #2d2d2d; color: #60a5fa; }
+        </style>
+      </head>
+      <body class="p-4 sm:p-6 max-w-full mx-auto overflow-x-hidden">
+        <h1 id="heading" class="text-2xl sm:text-3xl font-bold mb-4 text-white">New Collection</h1>
+        <div class="mb-6">
+          <label class="text-sm text-gray-400" for="collectionName">Collection name</label>
+          <input id="collectionName" class="field w-full" placeholder="e.g. customers">
+        </div>
+        <div class="mb-6">
+          <h2 class="text-xl font-semibold mb-2 text-gray-300">Fields</h2>
+          <div id="fields"></div>
+          <button id="addFieldBtn" class="text-blue-400 underline text-sm mt-2">+ Add field</button>
+          <p class="text-sm text-gray-500 mt-2">Pick a collection in the last column to make a field a reference: seeded rows get ids of existing documents there.</p>
+          <p id="editHint" class="text-sm text-gray-500 mt-2" style="display: none;">Renamed fields are migrated on existing documents; removed fields are dropped.</p>
+        </div>
+        <div class="mb-6">
+          <div class="flex items-center space-x-4 mb-2">
+            <h2 class="text-xl font-semibold text-gray-300">Sample Rows</h2>
+            <button id="previewBtn" class="text-blue-400 underline text-sm">Refresh preview</button>
+          </div>
+          <div id="preview" class="overflow-x-auto"></div>
+        </div>
+        <div class="flex items-center space-x-4">
+          <input id="rowCount" type="number" min="0" max="1000" value="10" class="field w-24" title="Rows to generate">
+          <button id="saveBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg disabled:opacity-50">Create Collection</button>
+        </div>
+        <script nonce="${nonce}">
+          const vscode = acquireVsCodeApi();
+          const fieldsContainer = document.getElementById('fields');
+          const saveBtn = document.getElementById('saveBtn');
+          const rowCount = document.getElementById('rowCount');
+          let state = { mode: 'create', fields: [], generators: [], fieldTypes: [], collections: [] };
+          function escapeHtml(unsafe) {
+            return String(unsafe)
+              .replace(/&/g, "&amp;")
+              .replace(/</g, "&lt;")
+              .replace(/>/g, "&gt;")
+              .replace(/"/g, "&quot;")
+              .replace(/'/g, "&#039;");
+          }
+          function options(values, selected) {
+            return values.map(v =>
+              '<option value="' + escapeHtml(v.value) + '"' + (v.value === selected ? ' selected' : '') + '>' + escapeHtml(v.label) + '</option>'
+            ).join('');
+          }
+          function renderFields() {
+            const types = state.fieldTypes.map(t => ({ value: t, label: t }));
+            const generators = state.generators.map(g => ({ value: g.key, label: g.label }));
+            const references = [{ value: '', label: 'No reference' }].concat(
+              state.collections.map(name => ({ value: name, label: '→ ' + name + '._id' }))
+            );
+            fieldsContainer.innerHTML = state.fields.map((f, index) =>
+              '<div class="field-row" data-index="' + index + '">' +
+                '<input class="field" data-key="fieldName" value="' + escapeHtml(f.fieldName) + '" placeholder="fieldName">' +
+                '<select class="field" data-key="fieldType">' + options(types, f.fieldType) + '</select>' +
+                '<select class="field" data-key="generator"' + (f.ref ? ' disabled title="Generated from the referenced collection"' : '') + '>' + options(generators, f.generator) + '</select>' +
+                '<select class="field" data-key="ref" title="Reference another collection">' + options(references, f.ref || '') + '</select>' +
+                '<button class="remove-btn" data-action="remove" title="Remove field">✕</button>' +
+              '</div>'
+            ).join('');
+          }
+          function renderPreview(rows) {
+            const preview = document.getElementById('preview');
+            if (!state.fields.length) {
+              preview.innerHTML = '<p class="text-sm text-gray-500">Add fields to see sample rows.</p>';
+              return;
+            }
+            const names = state.fields.map(f => f.fieldName);
+            preview.innerHTML = '<table class="preview-table"><thead><tr>' +
+              names.map(n => '<th>' + escapeHtml(n) + '</th>').join('') +
+              '</tr></thead><tbody>' +
+              rows.map(row => '<tr>' + names.map(n => {
+                const value = row[n];
+                return '<td>' + escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value) + '</td>';
+              }).join('') + '</tr>').join('') +
+              '</tbody></table>';
+          }
+          function requestPreview() {
+            vscode.postMessage({ command: 'preview', fields: state.fields });
+          }
+          fieldsContainer.addEventListener('input', event => {
+            const row = event.target.closest('.field-row');
+            if (!row || !event.target.dataset.key) return;
+            const field = state.fields[Number(row.dataset.index)];
+            field[event.target.dataset.key] = event.target.value;
+            if (event.target.dataset.key === 'generator') {
+              const generator = state.generators.find(g => g.key === event.target.value);
+              if (generator) {
+                field.fieldType = generator.fieldType;
+                renderFields();
+              }
+            }
+            if (event.target.dataset.key === 'ref') renderFields();
+            if (event.target.tagName === 'SELECT') requestPreview();
+          });
+          fieldsContainer.addEventListener('change', event => {
+            if (event.target.dataset.key === 'fieldName') requestPreview();
+          });
+          fieldsContainer.addEventListener('click', event => {
+            if (event.target.dataset.action !== 'remove') return;
+            const row = event.target.closest('.field-row');
+            state.fields.splice(Number(row.dataset.index), 1);
+            renderFields();
+            requestPreview();
+          });
+          document.getElementById('addFieldBtn').addEventListener('click', () => {
+            state.fields.push({ fieldName: '', fieldType: 'string', generator: 'word' });
+            renderFields();
+            fieldsContainer.querySelector('.field-row:last-child input').focus();
+          });
+          document.getElementById('previewBtn').addEventListener('click', requestPreview);
+          saveBtn.addEventListener('click', () => {
+            const count = state.mode === 'create' ? parseInt(rowCount.value) || 0 : 0;
+            if (count < 0 || count > 1000) {
+              vscode.postMessage({ command: 'showError', message: 'Please enter a row count between 0 and 1000.' });
+              return;
+            }
+            saveBtn.disabled = true;
+            vscode.postMessage({
+              command: 'save',
+              collectionName: document.getElementById('collectionName').value.trim(),
+              fields: state.fields.map(f => Object.assign({}, f, { fieldName: f.fieldName.trim() })),
+              count
+            });
+          });
+          window.addEventListener('message', event => {
+            const message = event.data;
+            switch (message.command) {
+              case 'schema':
+                state = message.data;
+                const editing = state.mode === 'edit';
+                document.getElementById('heading').textContent = editing ? 'Edit Schema' : 'New Collection';
+                document.getElementById('collectionName').value = state.collectionName;
+                document.getElementById('editHint').style.display = editing ? 'block' : 'none';
+                rowCount.style.display = editing ? 'none' : 'inline-block';
+                saveBtn.textContent = editing ? 'Save Schema' : 'Create Collection';
+                saveBtn.disabled = false;
+                renderFields();
+                requestPreview();
+                break;
+              case 'previewRows':
+                renderPreview(message.data);
+                break;
+              case 'saveFailed':
+                saveBtn.disabled = false;
+                break;
+            }
+          });
+          vscode.postMessage({ command: 'ready' });
+        </script>
+      </body>
+      </html>
+    `;
+  }
+}
+
+/**
+ * Webview for mapping and importing files into a new collection
+ */
+class ImportWebview {
+  constructor(context, provider) {
+    this.context = context;
+    this.provider = provider;
+    this.panel = null;
+    this.datasets = [];
+  }
+
+  async show(uri) {
+    let datasets;
+    try {
+      datasets = (await readImportFile(uri)).filter((d) => d.documents.length);
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `⚠️ Could not read ${uri.path.split("/").pop()}: ${error.message}`
+      );
+      return;
+    }
+    if (!datasets.length) {
+      vscode.window.showWarningMessage(
+        "No records found to import. Expected an array of objects, a CSV with a header row, or JSON responses in a HAR/Postman file."
+      );
+      return;
+    }
+    this.datasets = datasets;
+
+    const title = `Import ${uri.path.split("/").pop()}`;
+    if (this.panel) {
+      this.panel.title = title;
+      this.panel.reveal();
+      this.postDatasets();
+      return;
+    }
+
+    this.panel = vscode.window.createWebviewPanel(
+      "mockmanImport",
+      title,
+      vscode.ViewColumn.One,
+      { enableScripts: true, retainContextWhenHidden: true }
+    );
+    this.panel.webview.html = await this.getWebviewContent();
+    this.panel.onDidDispose(
+      () => {
+        this.panel = null;
+        this.datasets = [];
+      },
+      null,
+      this.context.subscriptions
+    );
+
+    this.panel.webview.onDidReceiveMessage(
+      async (message) => {
+        switch (message.command) {
+          case "ready":
+            this.postDatasets();
+            break;
+          case "preview": {
+            const dataset = this.datasets[message.dataset];
+            if (!dataset) break;
+            this.panel.webview.postMessage({
+              command: "previewRows",
+              data: mapDocuments(
+                dataset.documents.slice(0, 5),
+                message.fields.filter((f) => f.include)
+              ),
+            });
+            break;
+          }
+          case "import":
+            await this.import(message);
+            break;
+          case "showError":
+            vscode.window.showErrorMessage(message.message);
+            break;
+        }
+      },
+      undefined,
+      this.context.subscriptions
+    );
+  }
+
+  postDatasets() {
+    this.panel.webview.postMessage({
+      command: "datasets",
+      data: {
+        datasets: this.datasets.map((d) => ({
+          name: d.name,
+          source: d.source,
+          count: d.documents.length,
+          fields: inferFieldMapping(d.documents).map((f) => ({
+            ...f,
+            include: true,
+          })),
+        })),
+        fieldTypes: FIELD_TYPES,
+      },
+    });
+  }
+
+  async import({ dataset: index, collectionName, fields }) {
+    const dataset = this.datasets[index];
+    const apiKey = await this.provider.getApiKey();
+    if (!dataset || !apiKey) {
+      vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+      this.panel?.webview.postMessage({ command: "importFailed" });
+      return;
+    }
+
+    const mapping = fields.filter((f) => f.include);
+    const schema = mapping.map(({ fieldName, fieldType }) => ({
+      fieldName,
+      fieldType,
+    }));
+    const problem =
+      validateSchema(collectionName, schema) ||
+      (this.provider.findCollection(collectionName)
+        ? `A collection named "${collectionName}" already exists.`
+        : null);
+    if (problem) {
+      vscode.window.showErrorMessage(`⚠️ ${problem}`);
+      this.panel?.webview.postMessage({ command: "importFailed" });
+      return;
+    }
+
+    const documents = mapDocuments(dataset.documents, mapping);
+    let imported = 0;
+    let collection = null;
+    try {
+      await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Importing ${documents.length} documents into "${collectionName}"`,
+        },
+        async (progress) => {
+          collection = await createCollection(
+            this.provider.api,
+            apiKey,
+            collectionName,
+            schema,
+            []
+          );
+          await postDocumentsInBatches(
+            this.provider.api,
+            apiKey,
+            collection._id,
+            documents,
+            (count) => {
+              imported += count;
+              progress.report({
+                message: `${imported}/${documents.length}`,
+                increment: (count / documents.length) * 100,
+              });
+            }
+          );
+        }
+      );
+      vscode.window.showInformationMessage(
+        `✅ Imported ${documents.length} documents into "${collectionName}"`
+      );
+      this.panel?.dispose();
+      vscode.commands.executeCommand("mockman.refresh");
+    } catch (error) {
+      // Don't leave a half-filled collection behind
+      let outcome = "Nothing was created";
+      if (collection) {
+        try {
+          await this.provider.api.delete(
+            `/collections/${apiKey}/${collection._id}`
+          );
+          outcome = "The new collection was removed";
+        } catch {
+          outcome = `"${collectionName}" remains with only ${imported} of ${documents.length} documents; delete it before importing again`;
+          vscode.commands.executeCommand("mockman.refresh");
+        }
+      }
+      vscode.window.showErrorMessage(
+        `Error importing into "${collectionName}": ${describeError(
+          error
+        )}. ${outcome}.`
+      );
+      this.panel?.webview.postMessage({ command: "importFailed" });
+    }
+  }
+
+  async getWebviewContent() {
+    const nonce = getNonce();
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${this.panel.webview.cspSource} 'unsafe-inline' https:; script-src 'nonce-${nonce}';">
+        <title>MockMan Import</title>
+        <link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">
+        <style>
+          body { background-color: #1a1a1a; color: #ffffff; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+          .field { padding: 0.5rem; background: #1f2937; color: #ffffff; border: 1px solid #4b5563; border-radius: 0.5rem; font-size: 0.875rem; }
+          .mapping-table, .preview-table { width: 100%; font-size: 0.8rem; border-collapse: collapse; }
+          .mapping-table td { padding: 0.25rem 0.5rem; }
+          .mapping-table th { color: #60a5fa; text-align: left; padding: 0.25rem 0.5rem; }
+          .preview-table th, .preview-table td { border: 1px solid #4b5563; padding: 0.25rem 0.5rem; text-align: left; max-width: 16rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+          .preview-table th { background: #2d2d2d; color: #60a5fa; }
+        </style>
+      </head>
+      <body class="p-4 sm:p-6 max-w-full mx-auto overflow-x-hidden">
+        <h1 class="text-2xl sm:text-3xl font-bold mb-4 text-white">Import into MockMan</h1>
+        <div id="datasetRow" class="mb-4" style="display: none;">
+          <label class="text-sm text-gray-400" for="dataset">Data set</label>
+          <select id="dataset" class="field w-full"></select>
+        </div>
+        <div class="mb-6">
+          <label class="text-sm text-gray-400" for="collectionName">Collection name</label>
+          <input id="collectionName" class="field w-full">
+          <p id="recordCount" class="text-sm text-gray-500 mt-1"></p>
+        </div>
+        <div class="mb-6">
+          <h2 class="text-xl font-semibold mb-2 text-gray-300">Fields</h2>
+          <table class="mapping-table">
+            <thead><tr><th>Import</th><th>Source</th><th>Field name</th><th>Type</th></tr></thead>
+            <tbody id="fields"></tbody>
+          </table>
+        </div>
+        <div class="mb-6">
+          <h2 class="text-xl font-semibold mb-2 text-gray-300">Preview</h2>
+          <div id="preview" class="overflow-x-auto"></div>
+        </div>
+        <button id="importBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg disabled:opacity-50">Import</button>
+        <script nonce="${nonce}">
+          const vscode = acquireVsCodeApi();
+          const datasetSelect = document.getElementById('dataset');
+          const fieldsBody = document.getElementById('fields');
+          const importBtn = document.getElementById('importBtn');
+          let state = { datasets: [], fieldTypes: [] };
+          let fields = [];
+          function escapeHtml(unsafe) {
+            return String(unsafe)
+              .replace(/&/g, "&amp;")
+              .replace(/</g, "&lt;")
+              .replace(/>/g, "&gt;")
+              .replace(/"/g, "&quot;")
+              .replace(/'/g, "&#039;");
+          }
+          function currentDataset() {
+            return state.datasets[Number(datasetSelect.value) || 0];
+          }
+          function selectDataset() {
+            const dataset = currentDataset();
+            fields = dataset.fields.map(f => Object.assign({}, f));
+            document.getElementById('collectionName').value = dataset.name;
+            document.getElementById('recordCount').textContent = dataset.count + ' records from ' + dataset.source;
+            renderFields();
+            requestPreview();
+          }
+          function renderFields() {
+            fieldsBody.innerHTML = fields.map((f, index) =>
+              '<tr data-index="' + index + '">' +
+                '<td><input type="checkbox" data-key="include"' + (f.include ? ' checked' : '') + '></td>' +
+                '<td class="text-gray-400">' + escapeHtml(f.key) + '</td>' +
+                '<td><input class="field w-full" data-key="fieldName" value="' + escapeHtml(f.fieldName) + '"></td>' +
+                '<td><select class="field" data-key="fieldType">' + state.fieldTypes.map(t =>
+                  '<option value="' + escapeHtml(t) + '"' + (t === f.fieldType ? ' selected' : '') + '>' + escapeHtml(t) + '</option>'
+                ).join('') + '</select></td>' +
+              '</tr>'
+            ).join('');
+          }
+          function renderPreview(rows) {
+            const preview = document.getElementById('preview');
+            const names = fields.filter(f => f.include).map(f => f.fieldName);
+            if (!names.length) {
+              preview.innerHTML = '<p class="text-sm text-gray-500">Select at least one field.</p>';
+              return;
+            }
+            preview.innerHTML = '<table class="preview-table"><thead><tr>' +
+              names.map(n => '<th>' + escapeHtml(n) + '</th>').join('') +
+              '</tr></thead><tbody>' +
+              rows.map(row => '<tr>' + names.map(n => {
+                const value = row[n];
+                return '<td>' + escapeHtml(value !== null && typeof value === 'object' ? JSON.stringify(value) : value) + '</td>';
+              }).join('') + '</tr>').join('') +
+              '</tbody></table>';
+          }
+          function requestPreview() {
+            vscode.postMessage({ command: 'preview', dataset: Number(datasetSelect.value) || 0, fields });
+          }
+          fieldsBody.addEventListener('input', event => {
+            const row = event.target.closest('tr[data-index]');
+            if (!row || !event.target.dataset.key) return;
+            const field = fields[Number(row.dataset.index)];
+            const key = event.target.dataset.key;
+            field[key] = key === 'include' ? event.target.checked : event.target.value;
+            if (key !== 'fieldName') requestPreview();
+          });
+          fieldsBody.addEventListener('change', event => {
+            if (event.target.dataset.key === 'fieldName') requestPreview();
+          });
+          datasetSelect.addEventListener('change', selectDataset);
+          importBtn.addEventListener('click', () => {
+            importBtn.disabled = true;
+            vscode.postMessage({
+              command: 'import',
+              dataset: Number(datasetSelect.value) || 0,
+              collectionName: document.getElementById('collectionName').value.trim(),
+              fields: fields.map(f => Object.assign({}, f, { fieldName: f.fieldName.trim() }))
+            });
+          });
+          window.addEventListener('message', event => {
+            const message = event.data;
+            switch (message.command) {
+              case 'datasets':
+                state = message.data;
+                datasetSelect.innerHTML = state.datasets.map((d, index) =>
+                  '<option value="' + index + '">' + escapeHtml(d.name + ' (' + d.source + ') · ' + d.count + ' records') + '</option>'
+                ).join('');
+                document.getElementById('datasetRow').style.display = state.datasets.length > 1 ? 'block' : 'none';
+                importBtn.disabled = false;
+                selectDataset();
+                break;
+              case 'previewRows':
+                renderPreview(message.data);
+                break;
+              case 'importFailed':
+                importBtn.disabled = false;
+                break;
+            }
+          });
+          vscode.postMessage({ command: 'ready' });
+        </script>
+      </body>
+      </html>
+    `;
+  }
+}
+
+/**
+ * Git-friendly collection definitions under .mockman/collections
+ */
+class WorkspaceSync {
+  constructor(context, provider) {
+    this.context = context;
+    this.provider = provider;
+    this.remoteContent = new Map(); // uri path -> remote JSON text
+
+    this._onDidChangeRemote = new vscode.EventEmitter();
+    context.subscriptions.push(
+      vscode.workspace.registerTextDocumentContentProvider("mockman-remote", {
+        onDidChange: this._onDidChangeRemote.event,
+        provideTextDocumentContent: (uri) =>
+          this.remoteContent.get(uri.path) || "",
+      })
+    );
+  }
+
+  get folder() {
+    const root = vscode.workspace.workspaceFolders?.[0]?.uri;
+    return root && vscode.Uri.joinPath(root, ".mockman", "collections");
+  }
+
+  get baseKey() {
+    // Each profile is a different account, with its own last synced state
+    const profile = this.provider.profiles.active;
+    return profile.id === DEFAULT_PROFILE.id
+      ? "mockman.syncBase"
+      : `mockman.syncBase.${profile.id}`;
+  }
+
+  getBase() {
+    return this.context.workspaceState.get(this.baseKey, {});
+  }
+
+  async setBase(name, hash) {
+    const base = { ...this.getBase(), [name]: hash };
+    await this.context.workspaceState.update(this.baseKey, base);
+  }
+
+  fileFor(name) {
+    return vscode.Uri.joinPath(this.folder, `${definitionFileName(name)}.json`);
+  }
+
+  async readLocal() {
+    const local = new Map();
+    let entries = [];
+    try {
+      entries = await vscode.workspace.fs.readDirectory(this.folder);
+    } catch {
+      return local; // No .mockman folder yet
+    }
+    for (const [file, type] of entries) {
+      if (type !== vscode.FileType.File || !file.endsWith(".json")) continue;
+      const uri = vscode.Uri.joinPath(this.folder, file);
+      try {
+        const raw = await vscode.workspace.fs.readFile(uri);
+        const data = JSON.parse(Buffer.from(raw).toString("utf8"));
+        if (!data.collectionName || !Array.isArray(data.fields)) {
+          throw new Error("missing collectionName or fields");
+        }
+        local.set(data.collectionName, {
+          uri,
+          definition: {
+            collectionName: data.collectionName,
+            id: data.id,
+            fields: data.fields,
+            documents: Array.isArray(data.documents) ? data.documents : [],
+          },
+        });
+      } catch (error) {
+        vscode.window.showWarningMessage(
+          `⚠️ Skipping ${file}: ${error.message}`
+        );
+      }
+    }
+    return local;
+  }
+
+  async readRemote(apiKey) {
+    const res = await this.provider.api.get(`/collections/${apiKey}`);
+    const remote = new Map();
+    for (const c of res.data || []) {
+      remote.set(c.collectionName, {
+        collectionName: c.collectionName,
+        id: c._id,
+        fields: (c.fields || []).map((f) => ({
+          fieldName: f.fieldName,
+          fieldType: f.fieldType,
+          ...(f.ref ? { ref: f.ref } : {}),
+        })),
+        documents: await fetchAllDocuments(this.provider.api, apiKey, c._id),
+      });
+    }
+    return remote;
+  }
+
+  /**
+   * Work out what each collection needs, comparing against the last synced state
+   */
+  plan(direction, local, remote) {
+    const base = this.getBase();
+    const names = new Set([...local.keys(), ...remote.keys()]);
+    const changes = [];
+
+    for (const name of [...names].sort()) {
+      const l = local.get(name)?.definition;
+      const r = remote.get(name);
+      const lHash = l && definitionHash(l);
+      const rHash = r && definitionHash(r);
+      if (lHash === rHash) continue;
+
+      let status;
+      if (!l) status = direction === "pull" ? "create" : null;
+      else if (!r) status = direction === "push" ? "create" : null;
+      else if (base[name] === lHash) {
+        status = direction === "pull" ? "update" : null; // Only remote changed
+      } else if (base[name] === rHash) {
+        status = direction === "push" ? "update" : null; // Only local changed
+      } else {
+        status = "conflict";
+      }
+      if (status) changes.push({ name, status, local: l, remote: r });
+    }
+    return changes;
+  }
+
+  async compare(change) {
+    const path = `/${definitionFileName(change.name)}.json`;
+    this.remoteContent.set(path, serializeDefinition(change.remote || {}));
+    const remoteUri = vscode.Uri.from({ scheme: "mockman-remote", path });
+    this._onDidChangeRemote.fire(remoteUri);
+
+    const localUri = this.fileFor(change.name);
+    if (!change.local) {
+      await vscode.window.showTextDocument(remoteUri);
+      return;
+    }
+    await vscode.commands.executeCommand(
+      "vscode.diff",
+      remoteUri,
+      localUri,
+      `${change.name}: MockMan ↔ Local`
+    );
+  }
+
+  /**
+   * Let the user review and pick changes; resolves to the selected ones
+   */
+  review(direction, changes) {
+    const descriptions = {
+      create:
+        direction === "pull" ? "new on MockMan" : "new in .mockman/collections",
+      update: direction === "pull" ? "changed on MockMan" : "changed locally",
+      conflict: "changed on both sides, applying overwrites the other side",
+    };
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.canSelectMany = true;
+    quickPick.title =
+      direction === "pull" ? "Pull from MockMan" : "Push to MockMan";
+    quickPick.placeholder =
+      "Select collections to apply. Use the compare button to review differences.";
+    quickPick.items = changes.map((change) => ({
+      label: `${change.status === "conflict" ? "$(warning)" : "$(diff)"} ${
+        change.name
+      }`,
+      description: descriptions[change.status],
+      change,
+      buttons: [{ iconPath: new vscode.ThemeIcon("diff"), tooltip: "Compare" }],
+    }));
+    quickPick.selectedItems = quickPick.items.filter(
+      (item) => item.change.status !== "conflict"
+    );
+
+    return new Promise((resolve) => {
+      let accepted = false;
+      quickPick.onDidTriggerItemButton(({ item }) => this.compare(item.change));
+      quickPick.onDidAccept(() => {
+        accepted = true;
+        resolve(quickPick.selectedItems.map((item) => item.change));
+        quickPick.hide();
+      });
+      quickPick.onDidHide(() => {
+        if (!accepted) resolve([]);
+        quickPick.dispose();
+      });
+      quickPick.show();
+    });
+  }
+
+  /**
+   * Write a definition file, removing the one it was read from if that
+   * was under another name
+   */
+  async writeLocal(definition, previousUri) {
+    const uri = this.fileFor(definition.collectionName);
+    await vscode.workspace.fs.createDirectory(this.folder);
+    await vscode.workspace.fs.writeFile(
+      uri,
+      Buffer.from(serializeDefinition(definition), "utf8")
+    );
+    if (previousUri && previousUri.toString() !== uri.toString()) {
+      try {
+        await vscode.workspace.fs.delete(previousUri);
+      } catch {
+        // Already gone
+      }
+    }
+    await this.setBase(definition.collectionName, definitionHash(definition));
+  }
+
+  async run(direction) {
+    if (!this.folder) {
+      vscode.window.showErrorMessage("Open a workspace folder first.");
+      return;
+    }
+    const apiKey = await this.provider.getApiKey();
+    if (!apiKey) {
+      vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+      return;
+    }
+
+    let local, remote;
+    try {
+      [local, remote] = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: "Comparing local and MockMan collections",
+        },
+        () => Promise.all([this.readLocal(), this.readRemote(apiKey)])
+      );
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Error fetching collections: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+      return;
+    }
+
+    const changes = this.plan(direction, local, remote);
+    if (changes.length === 0) {
+      vscode.window.showInformationMessage(
+        direction === "pull"
+          ? "✅ .mockman/collections is up to date with MockMan."
+          : "✅ MockMan is up to date with .mockman/collections."
+      );
+      return;
+    }
+
+    const selected = await this.review(direction, changes);
+    if (selected.length === 0) return;
+
+    const failed = [];
+    await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title:
+          direction === "pull" ? "Pulling collections" : "Pushing collections",
+      },
+      async (progress) => {
+        for (const change of selected) {
+          progress.report({
+            message: change.name,
+            increment: 100 / selected.length,
+          });
+          try {
+            const previousUri = local.get(change.name)?.uri;
+            if (direction === "pull") {
+              await this.writeLocal(change.remote, previousUri);
+            } else {
+              await this.pushOne(apiKey, change, previousUri);
+            }
+          } catch (error) {
+            failed.push(
+              `${change.name} (${
+                error.response?.data?.message || error.message
+              })`
+            );
+          }
+        }
+      }
+    );
+
+    if (failed.length) {
+      vscode.window.showErrorMessage(`⚠️ Failed: ${failed.join("; ")}`);
+    }
+    const done = selected.length - failed.length;
+    if (done > 0) {
+      vscode.window.showInformationMessage(
+        `✅ ${direction === "pull" ? "Pulled" : "Pushed"} ${done} collection(s).`
+      );
+      if (direction === "push")
+        vscode.commands.executeCommand("mockman.refresh");
+    }
+  }
+
+  /**
+   * Apply a local definition to MockMan. Existing collections are updated
+   * document by document, matched on `_id`, so ids survive the push and
+   * removals only happen once everything else has been written.
+   */
+  async pushOne(apiKey, change, previousUri) {
+    const { collectionName, fields } = change.local;
+    const withoutId = (doc) => {
+      const copy = { ...doc };
+      delete copy._id;
+      return copy;
+    };
+
+    let collectionId;
+    if (change.remote) {
+      collectionId = change.remote.id;
+      const api = this.provider.api;
+      const path = `/collections/${apiKey}/${collectionId}`;
+      const remoteDocs = new Map(
+        change.remote.documents.map((doc) => [doc._id, doc])
+      );
+      const keep = new Set();
+      const added = [];
+
+      await api.put(path, { collectionName, fields });
+      for (const doc of change.local.documents) {
+        const existing = doc._id && remoteDocs.get(doc._id);
+        if (!existing || keep.has(doc._id)) {
+          added.push(withoutId(doc));
+          continue;
+        }
+        keep.add(doc._id);
+        if (
+          JSON.stringify(withoutId(doc)) !== JSON.stringify(withoutId(existing))
+        ) {
+          await api.put(`${path}/documents/${doc._id}`, withoutId(doc));
+        }
+      }
+      await postDocumentsInBatches(api, apiKey, collectionId, added, () => {});
+      for (const id of remoteDocs.keys()) {
+        if (!keep.has(id)) await api.delete(`${path}/documents/${id}`);
+      }
+    } else {
+      collectionId = (
+        await createCollection(
+          this.provider.api,
+          apiKey,
+          collectionName,
+          fields,
+          change.local.documents.map(withoutId)
+        )
+      )._id;
+    }
+
+    // Pull back what the server stored so ids and base state line up
+    await this.writeLocal(
+      {
+        collectionName,
+        id: collectionId,
+        fields,
+        documents: await fetchAllDocuments(
+          this.provider.api,
+          apiKey,
+          collectionId
+        ),
+      },
+      previousUri
+    );
+  }
+}
+
+/**
+ * Offline snapshot of collections and their documents
+ */
+class LocalStore {
+  constructor(context, api, profiles) {
+    this.context = context;
+    this.api = api;
+    this.profiles = profiles;
+    // The key itself stays in secret storage; the cache only records which
+    // account it belongs to
+    this.apiKey = null;
+    this.account = null;
+    this.collections = [];
+    this.documents = {}; // collectionId -> documents
+    this.loaded = false;
+  }
+
+  get file() {
+    return vscode.Uri.joinPath(
+      this.context.globalStorageUri,
+      "local-store.json"
+    );
+  }
+
+  async load() {
+    if (this.loaded) return;
+    try {
+      const raw = await vscode.workspace.fs.readFile(this.file);
+      const data = JSON.parse(Buffer.from(raw).toString("utf8"));
+      this.account = data.account || null;
+      this.collections = data.collections || [];
+      this.documents = data.documents || {};
+    } catch {
+      // Nothing cached yet
+    }
+    this.loaded = true;
+  }
+
+  async clear() {
+    this.apiKey = null;
+    this.account = null;
+    this.collections = [];
+    this.documents = {};
+    this.loaded = true;
+    try {
+      await vscode.workspace.fs.delete(this.file);
+    } catch {
+      // Nothing cached
+    }
+  }
+
+  async save() {
+    await vscode.workspace.fs.createDirectory(this.context.globalStorageUri);
+    await vscode.workspace.fs.writeFile(
+      this.file,
+      Buffer.from(
+        JSON.stringify({
+          account: this.account,
+          collections: this.collections,
+          documents: this.documents,
+        })
+      )
+    );
+  }
+
+  async sync(apiKey, collections) {
+    await this.load();
+    const account = accountFingerprint(apiKey);
+    if (this.account !== account) {
+      this.documents = {};
+    }
+    this.apiKey = apiKey;
+    this.account = account;
+    this.collections = collections;
+
+    const results = await Promise.allSettled(
+      collections.map((c) =>
+        fetchAllDocuments(this.api, apiKey, c._id, { cache: true })
+      )
+    );
+    const documents = {};
+    collections.forEach((c, i) => {
+      const result = results[i];
+      if (result.status === "fulfilled") {
+        documents[c._id] = result.value;
+      } else {
+        // Keep the last good copy when a collection can't be fetched
+        documents[c._id] = this.documents[c._id] || [];
+      }
+    });
+    this.documents = documents;
+
+    try {
+      await this.save();
+    } catch (error) {
+      vscode.window.showWarningMessage(
+        `⚠️ Couldn't cache collections for offline use: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Read the signed-in key from secret storage and check the cache is its own
+   */
+  async unlock() {
+    await this.load();
+    const apiKey = await this.profiles.getApiKey();
+    if (!apiKey) {
+      throw new Error("Sign in to MockMan first.");
+    }
+    if (!this.account || this.account !== accountFingerprint(apiKey)) {
+      throw new Error(
+        "No cached collections yet. Refresh your collections while online first."
+      );
+    }
+    this.apiKey = apiKey;
+  }
+
+  getCollection(collectionId) {
+    return this.collections.find((c) => c._id === collectionId);
+  }
+
+  getDocuments(collectionId) {
+    if (!this.documents[collectionId]) {
+      this.documents[collectionId] = [];
+    }
+    return this.documents[collectionId];
+  }
+}
+
+function accountFingerprint(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+/**
+ * Per-collection response scenarios applied by the local mock server
+ */
+class ScenarioManager {
+  constructor(context) {
+    this.context = context;
+    this._onDidChangeScenario = new vscode.EventEmitter();
+    this.onDidChangeScenario = this._onDidChangeScenario.event;
+  }
+
+  get(collectionId) {
+    return normalizeScenario(
+      this.context.workspaceState.get(scenarioKey(collectionId))
+    );
+  }
+
+  async set(collectionId, scenario) {
+    const normalized = normalizeScenario(scenario);
+    await this.context.workspaceState.update(
+      scenarioKey(collectionId),
+      normalized.preset === "happy" ? undefined : normalized
+    );
+    this._onDidChangeScenario.fire({ collectionId, scenario: normalized });
+    return normalized;
+  }
+}
+
+/**
+ * Per-collection auth settings enforced by the local mock server, and the
+ * workspace secret that signs test tokens
+ */
+class AuthManager {
+  constructor(context) {
+    this.context = context;
+    this._onDidChangeAuth = new vscode.EventEmitter();
+    this.onDidChangeAuth = this._onDidChangeAuth.event;
+  }
+
+  get(collectionId) {
+    return normalizeAuth(
+      this.context.workspaceState.get(authKey(collectionId))
+    );
+  }
+
+  async set(collectionId, auth) {
+    const normalized = normalizeAuth(auth);
+    await this.context.workspaceState.update(
+      authKey(collectionId),
+      normalized.mode === "none" ? undefined : normalized
+    );
+    this._onDidChangeAuth.fire({ collectionId, auth: normalized });
+    return normalized;
+  }
+
+  get secret() {
+    let secret = this.context.workspaceState.get("mockman.authSecret");
+    if (!secret) {
+      secret = crypto.randomBytes(32).toString("hex");
+      this.context.workspaceState.update("mockman.authSecret", secret);
+    }
+    return secret;
+  }
+
+  /**
+   * Sign a test JWT. `expiresIn` is in seconds; negative issues an expired
+   * token and null one that never expires.
+   */
+  issueToken({ sub, role, expiresIn, claims = {} }) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      iss: "mockman",
+      sub: sub || "user-1",
+      ...(role ? { role } : {}),
+      iat: now,
+      ...(expiresIn === null || expiresIn === undefined
+        ? {}
+        : { exp: now + expiresIn }),
+      ...claims,
+    };
+    return { token: signJwt(payload, this.secret), claims: payload };
+  }
+}
+
+/**
+ * Prompt for claims and copy a test JWT to the clipboard
+ */
+async function issueTestToken(auth) {
+  const sub = await vscode.window.showInputBox({
+    prompt: "Subject (sub claim)",
+    value: "user-1",
+  });
+  if (sub === undefined) return;
+  const role = await vscode.window.showInputBox({
+    prompt: "Role (role claim), empty for none",
+    placeHolder: "editor",
+  });
+  if (role === undefined) return;
+  const expiry = await vscode.window.showQuickPick(
+    TOKEN_EXPIRIES.map((e) => ({ label: e.label, expiry: e })),
+    { placeHolder: "Token lifetime" }
+  );
+  if (!expiry) return;
+  const extra = await vscode.window.showInputBox({
+    prompt: "Extra claims as a JSON object (optional)",
+    placeHolder: '{ "email": "ann@example.com", "tenant": "acme" }',
+    validateInput: (value) => {
+      if (!value.trim()) return null;
+      try {
+        const claims = JSON.parse(value);
+        return claims && typeof claims === "object" && !Array.isArray(claims)
+          ? null
+          : "Enter a JSON object";
+      } catch (error) {
+        return `Invalid JSON: ${error.message}`;
+      }
+    },
+  });
+  if (extra === undefined) return;
+
+  const { token } = auth.issueToken({
+    sub: sub.trim(),
+    role: role.trim(),
+    expiresIn: expiry.expiry.seconds,
+    claims: extra.trim() ? JSON.parse(extra) : {},
+  });
+  await vscode.env.clipboard.writeText(token);
+  vscode.window.showInformationMessage(
+    `🔑 Test token for "${sub.trim() || "user-1"}" copied. Send it to the local server as "Authorization: Bearer <token>".`
+  );
+}
+
+/**
+ * Document change events, from the local mock server and from MockMan
+ * itself, fanned out to webhooks, the event stream and the event feed
+ */
+class ChangeEvents {
+  constructor() {
+    this.entries = []; // Most recent first, capped at CHANGE_EVENT_LIMIT
+    this.deliveries = Promise.resolve(); // Webhooks are called one event at a time
+
+    this._onDidAddEntry = new vscode.EventEmitter();
+    this.onDidAddEntry = this._onDidAddEntry.event;
+    this._onDidDeliver = new vscode.EventEmitter();
+    this.onDidDeliver = this._onDidDeliver.event;
+  }
+
+  get webhooks() {
+    return vscode.workspace
+      .getConfiguration("mockman")
+      .get("webhooks", [])
+      .map(normalizeWebhook)
+      .filter(Boolean);
+  }
+
+  /**
+   * Record a change and queue its webhook deliveries. `source` is "local"
+   * for the local mock server and "mockman" for changes seen on MockMan.
+   */
+  emit({ type, collection, document = null, count }, source) {
+    const event = {
+      id: generateId(),
+      type,
+      timestamp: new Date().toISOString(),
+      source,
+      collection: {
+        _id: collection._id,
+        collectionName: collection.collectionName,
+      },
+      documentId: document?._id ?? null,
+      document,
+      ...(count === undefined ? {} : { count }),
+    };
+    const entry = { id: event.id, event, deliveries: [] };
+    this.add(entry);
+    this.deliveries = this.deliveries.then(() => this.deliver(entry));
+    return event;
+  }
+
+  /**
+   * Record a payload posted to the local test listener
+   */
+  receive({ path, headers, body }) {
+    this.add({
+      id: generateId(),
+      received: { timestamp: new Date().toISOString(), path, headers, body },
+    });
+  }
+
+  add(entry) {
+    this.entries.unshift(entry);
+    this.entries.length = Math.min(this.entries.length, CHANGE_EVENT_LIMIT);
+    this._onDidAddEntry.fire(entry);
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  async deliver(entry) {
+    const { event } = entry;
+    const hooks = this.webhooks.filter(
+      (hook) =>
+        (!hook.events.length || hook.events.includes(event.type)) &&
+        (!hook.collections.length ||
+          hook.collections.includes(event.collection.collectionName))
+    );
+    if (!hooks.length) return;
+
+    entry.deliveries = await Promise.all(
+      hooks.map(async (hook) => {
+        const started = Date.now();
+        try {
+          const res = await axios.post(hook.url, event, {
+            headers: {
+              "X-MockMan-Event": event.type,
+              "X-MockMan-Delivery": event.id,
+            },
+            timeout: 10000,
+            validateStatus: () => true,
+          });
+          return {
+            url: hook.url,
+            status: res.status,
+            duration: Date.now() - started,
+          };
+        } catch (error) {
+          return {
+            url: hook.url,
+            error: describeError(error),
+            duration: Date.now() - started,
+          };
+        }
+      })
+    );
+    this._onDidDeliver.fire(entry);
+  }
+}
+
+/**
+ * A `mockman.webhooks` entry, given as a URL or as { url, events, collections }
+ */
+function normalizeWebhook(hook) {
+  const url = typeof hook === "string" ? hook : hook?.url;
+  if (typeof url !== "string" || !/^https?:\/\//.test(url)) return null;
+  const list = (value) =>
+    Array.isArray(value) ? value.filter((v) => typeof v === "string") : [];
+  return {
+    url,
+    events: list(hook.events),
+    collections: list(hook.collections),
+  };
+}
+
+/**
+ * Add a `mockman.webhooks` entry, pointing at a URL or the local server's
+ * test listener
+ */
+async function addWebhook(server) {
+  const listenerUrl = `${server.configuredBaseUrl}/webhooks/listener`;
+  const choice = await vscode.window.showQuickPick(
+    [
+      {
+        label: "$(radio-tower) Local test listener",
+        description: listenerUrl,
+        detail: "Deliveries show up in the event feed",
+        url: listenerUrl,
+      },
+      { label: "$(globe) Enter a URL…" },
+    ],
+    { placeHolder: "Where should change events be delivered?" }
+  );
+  if (!choice) return;
+
+  const url =
+    choice.url ||
+    (await vscode.window.showInputBox({
+      prompt: "Webhook URL",
+      placeHolder: "https://example.com/hooks/mockman",
+      validateInput: (value) =>
+        /^https?:\/\//.test(value) && URL.canParse(value)
+          ? null
+          : "Enter an http:// or https:// URL",
+    }));
+  if (!url) return;
+
+  const picked = await vscode.window.showQuickPick(
+    CHANGE_EVENT_TYPES.map((type) => ({ label: type, picked: true })),
+    { canPickMany: true, placeHolder: "Events to deliver" }
+  );
+  if (!picked?.length) return;
+
+  const config = vscode.workspace.getConfiguration("mockman");
+  const hook =
+    picked.length === CHANGE_EVENT_TYPES.length
+      ? { url }
+      : { url, events: picked.map((p) => p.label) };
+  await config.update(
+    "webhooks",
+    [...config.get("webhooks", []), hook],
+    vscode.ConfigurationTarget.Global
+  );
+  vscode.window.showInformationMessage(
+    choice.url && !server.isRunning
+      ? `✅ Webhook added. Start the local server to receive events on ${url}.`
+      : `✅ Webhook added: ${url}`
+  );
+}
+
+async function removeWebhook(url) {
+  const config = vscode.workspace.getConfiguration("mockman");
+  const hooks = config.get("webhooks", []);
+  if (!url) {
+    const choice = await vscode.window.showQuickPick(
+      hooks
+        .map(normalizeWebhook)
+        .filter(Boolean)
+        .map((hook) => ({
+          label: hook.url,
+          description: hook.events.join(", ") || "All events",
+        })),
+      {
+        placeHolder: hooks.length
+          ? "Select a webhook to remove"
+          : "No webhooks configured",
+      }
+    );
+    if (!choice) return;
+    url = choice.label;
+  }
+  await config.update(
+    "webhooks",
+    hooks.filter((hook) => normalizeWebhook(hook)?.url !== url),
+    vscode.ConfigurationTarget.Global
+  );
+  vscode.window.showInformationMessage(`🗑️ Webhook removed: ${url}`);
+}
+
+/**
+ * Whether a stream subscriber asked for an event, via `?collection=` (ids or
+ * names) and `?types=`, both comma-separated
+ */
+function eventStreamFilter(query) {
+  const list = (name) =>
+    (query.get(name) || "")
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  const collections = list("collection");
+  const types = list("types");
+  return (event) =>
+    (!collections.length ||
+      collections.includes(event.collection._id) ||
+      collections.includes(event.collection.collectionName)) &&
+    (!types.length || types.includes(event.type));
+}
+
+/**
+ * SSE and WebSocket URLs of the local server's event stream for a collection
+ */
+function eventStreamUrls(server, apiKey, collection) {
+  const url = `${server.configuredBaseUrl}/events/${apiKey}${
+    collection ? `?collection=${encodeURIComponent(collection._id)}` : ""
+  }`;
+  return { sse: url, ws: url.replace(/^http/, "ws") };
+}
+
+/**
+ * Polls MockMan for document changes made outside VS Code, turning them into
+ * change events and keeping the sidebar current (`mockman.autoRefresh`)
+ */
+class ChangeWatcher {
+  constructor(context, provider, events) {
+    this.provider = provider;
+    this.events = events;
+    this.snapshots = new Map(); // collectionId -> Map of documentId -> JSON
+    this.apiKey = null;
+    this.timer = null;
+    this.polling = false;
+
+    context.subscriptions.push(
+      this,
+      provider.onDidFetchCollections(() => this.schedule()),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (
+          event.affectsConfiguration("mockman.autoRefresh") ||
+          event.affectsConfiguration("mockman.autoRefreshInterval")
+        ) {
+          this.schedule();
+        }
+      })
+    );
+  }
+
+  get interval() {
+    const config = vscode.workspace.getConfiguration("mockman");
+    if (!config.get("autoRefresh", true)) return 0;
+    return Math.max(config.get("autoRefreshInterval", 30), 5) * 1000;
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const interval = this.interval;
+    if (!interval) {
+      this.snapshots.clear();
+      return;
+    }
+    this.timer = setTimeout(
+      () => this.poll().finally(() => this.schedule()),
+      interval
+    );
+  }
+
+  /**
+   * Revalidate the cached collection and document lists with their ETags,
+   * so unchanged collections cost a 304. A sidebar refresh for a changed
+   * collection list then revalidates the lists just polled.
+   */
+  async poll() {
+    // Skip while the window is in the background or offline
+    if (this.polling || !vscode.window.state.focused) return;
+    const apiKey = await this.provider.getApiKey();
+    if (!apiKey || this.provider.staleSince) return;
+    if (apiKey !== this.apiKey) {
+      this.snapshots.clear();
+      this.apiKey = apiKey;
+    }
+
+    this.polling = true;
+    try {
+      const options = { cache: true, retries: 0, timeout: 5000 };
+      const res = await this.provider.api.get(
+        `/collections/${apiKey}`,
+        options
+      );
+      if (res.stale) return;
+      const collections = res.data || [];
+      for (const id of this.snapshots.keys()) {
+        if (!collections.some((c) => c._id === id)) this.snapshots.delete(id);
+      }
+      for (const collection of collections) {
+        const documents = await this.provider.api.get(
+          `/collections/${apiKey}/${collection._id}/documents`,
+          options
+        );
+        if (documents.stale) return;
+        if (documents.notModified && this.snapshots.has(collection._id)) {
+          continue;
+        }
+        this.compare(collection, responseDocuments(documents));
+      }
+      if (
+        JSON.stringify(collections) !==
+        JSON.stringify(this.provider.collections)
+      ) {
+        await this.provider.refresh();
+      }
+    } catch {
+      // Try again on the next tick
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Emit events for the differences since the last poll and patch the tree.
+   * The first poll of a collection only records its documents.
+   */
+  compare(collection, documents) {
+    const previous = this.snapshots.get(collection._id);
+    const current = new Map(documents.map((d) => [d._id, JSON.stringify(d)]));
+    this.snapshots.set(collection._id, current);
+    if (!previous) return;
+
+    const changes = [];
+    for (const document of documents) {
+      const before = previous.get(document._id);
+      if (before === undefined) {
+        changes.push({ type: "document.created", document });
+      } else if (before !== current.get(document._id)) {
+        changes.push({ type: "document.updated", document });
+      }
+    }
+    for (const [id, json] of previous) {
+      if (!current.has(id)) {
+        changes.push({ type: "document.deleted", document: JSON.parse(json) });
+      }
+    }
+    if (!changes.length) return;
+
+    for (const change of changes) {
+      this.events.emit({ ...change, collection }, "mockman");
+      if (change.type === "document.deleted") {
+        this.provider.removeCachedDocument(collection._id, change.document._id);
+      } else {
+        this.provider.updateCachedDocument(collection._id, change.document);
+      }
+    }
+    this.provider.setDocumentCount(collection._id, documents.length);
+  }
+
+  dispose() {
+    clearTimeout(this.timer);
+  }
+}
+
+/**
+ * In-process HTTP server that mirrors the MockMan document routes offline
+ */
+class LocalMockServer {
+  constructor(context, store, scenarios, events, auth) {
+    this.context = context;
+    this.store = store;
+    this.scenarios = scenarios;
+    this.events = events;
+    this.auth = auth;
+    this.server = null;
+    this.port = null;
+    this.requestCount = 0;
+    this.requests = []; // Most recent first, capped at REQUEST_LOG_LIMIT
+    this.graphqlSchema = null; // { collections, schema }, rebuilt on sync
+    this.subscribers = new Set(); // Open SSE and WebSocket event streams
+    this.sockets = new WebSocketServer({ noServer: true });
+
+    this._onDidHandleRequest = new vscode.EventEmitter();
+    this.onDidHandleRequest = this._onDidHandleRequest.event;
+    this._onDidChangeState = new vscode.EventEmitter();
+    this.onDidChangeState = this._onDidChangeState.event;
+
+    this.statusBarItem = vscode.window.createStatusBarItem(
+      vscode.StatusBarAlignment.Left,
+      100
+    );
+    this.statusBarItem.command = "mockman.stopServer";
+    context.subscriptions.push(
+      this.statusBarItem,
+      events.onDidAddEntry(({ event }) => {
+        if (!event) return;
+        for (const subscriber of this.subscribers) {
+          if (subscriber.accepts(event)) subscriber.send(event);
+        }
+      })
+    );
+  }
+
+  get isRunning() {
+    return this.server !== null;
+  }
+
+  get baseUrl() {
+    return `http://localhost:${this.port}`;
+  }
+
+  /**
+   * Where the server listens, or will listen once started
+   */
+  get configuredBaseUrl() {
+    if (this.isRunning) return this.baseUrl;
+    const port = vscode.workspace.getConfiguration("mockman").get("port", 4000);
+    return `http://localhost:${port}`;
+  }
+
+  async start() {
+    if (this.isRunning) return;
+    await this.store.unlock();
+
+    const port = vscode.workspace.getConfiguration("mockman").get("port", 4000);
+    const server = http.createServer((req, res) =>
+      this.handleRequest(req, res)
+    );
+    server.on("upgrade", (req, socket, head) =>
+      this.handleUpgrade(req, socket, head)
+    );
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, "127.0.0.1", () => {
+        server.off("error", reject);
+        resolve();
+      });
+    });
+
+    this.server = server;
+    this.port = port;
+    this.requestCount = 0;
+    this.updateStatusBar();
+    vscode.commands.executeCommand("setContext", "mockman.serverRunning", true);
+    this._onDidChangeState.fire();
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+    const server = this.server;
+    this.server = null;
+    for (const subscriber of this.subscribers) subscriber.close();
+    this.subscribers.clear();
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(() => resolve()));
+    this.statusBarItem.hide();
+    vscode.commands.executeCommand(
+      "setContext",
+      "mockman.serverRunning",
+      false
+    );
+    this._onDidChangeState.fire();
+  }
+
+  dispose() {
+    this.stop();
+  }
+
+  updateStatusBar() {
+    if (!this.isRunning) return;
+    this.statusBarItem.text = `$(radio-tower) MockMan :${this.port} · ${this.requestCount} req`;
+    this.statusBarItem.tooltip = `MockMan local server running at ${this.baseUrl}\nClick to stop`;
+    this.statusBarItem.show();
+  }
+
+  async handleRequest(req, res) {
+    this.requestCount++;
+    this.updateStatusBar();
+    const started = Date.now();
+
+    const headers = {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+      // Echo preflight headers so custom API key headers are allowed
+      "Access-Control-Allow-Headers":
+        req.headers["access-control-request-headers"] ||
+        "Content-Type, Authorization",
+      "Access-Control-Expose-Headers":
+        "Retry-After, WWW-Authenticate, X-MockMan-Scenario, X-Total-Count, X-Next-Cursor",
+    };
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, headers);
+      res.end();
+      return;
+    }
+    if (req.method === "GET" && this.openEventStream(req, res, headers)) {
+      return;
+    }
+
+    let result;
+    let request;
+    try {
+      const url = new URL(req.url, "http://localhost");
+      request = {
+        method: req.method,
+        segments: url.pathname
+          .split("/")
+          .filter(Boolean)
+          .map((s) => decodeURIComponent(s)),
+        query: url.searchParams,
+        headers: req.headers,
+        body: await readJsonBody(req),
+      };
+      result = await this.route(request);
+    } catch (error) {
+      result = error.status
+        ? { status: error.status, body: { message: error.message } }
+        : error instanceof URIError
+          ? { status: 400, body: { message: "Malformed URL" } }
+          : { status: 500, body: { message: error.message } };
+    }
+
+    res.writeHead(result.status, { ...headers, ...result.headers });
+    res.end(result.body === undefined ? "" : JSON.stringify(result.body));
+
+    this.logRequest({
+      id: generateId(),
+      timestamp: started,
+      method: req.method,
+      path: req.url,
+      collectionId: request?.segments[2] ?? null,
+      status: result.status,
+      duration: Date.now() - started,
+      requestHeaders: req.headers,
+      requestBody: request?.body,
+      responseHeaders: { ...headers, ...result.headers },
+      responseBody: result.body,
+    });
+  }
+
+  /**
+   * Status and filter of a /events/:apiKey stream request, or null for
+   * other paths. Events of collections with their own auth only reach
+   * streams whose request carries credentials they accept.
+   */
+  parseEventStream(req) {
+    let url, segments;
+    try {
+      url = new URL(req.url, "http://localhost");
+      segments = url.pathname
+        .split("/")
+        .filter(Boolean)
+        .map((s) => decodeURIComponent(s));
+    } catch {
+      return req.url.startsWith("/events/")
+        ? { status: 400, message: "Malformed URL" }
+        : null;
+    }
+    const [root, apiKey, ...rest] = segments;
+    if (root !== "events" || !apiKey || rest.length) return null;
+    if (apiKey !== this.store.apiKey) {
+      return { status: 401, message: "Invalid API key" };
+    }
+    const filter = eventStreamFilter(url.searchParams);
+    const read = { method: "GET", headers: req.headers };
+    return {
+      status: 200,
+      accepts: (event) =>
+        filter(event) && !this.authorize(event.collection, read, false),
+    };
+  }
+
+  /**
+   * Serve GET /events/:apiKey as Server-Sent Events
+   */
+  openEventStream(req, res, headers) {
+    const stream = this.parseEventStream(req);
+    if (!stream) return false;
+
+    this.logRequest({
+      id: generateId(),
+      timestamp: Date.now(),
+      method: req.method,
+      path: req.url,
+      collectionId: null,
+      status: stream.status,
+      duration: 0,
+      requestHeaders: req.headers,
+      responseHeaders: headers,
+    });
+    if (stream.status !== 200) {
+      res.writeHead(stream.status, headers);
+      res.end(JSON.stringify({ message: stream.message }));
+      return true;
+    }
+
+    res.writeHead(200, {
+      ...headers,
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write("retry: 3000\n\n");
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+    const subscriber = {
+      accepts: stream.accepts,
+      send: (event) =>
+        res.write(
+          `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+        ),
+      close: () => res.end(),
+    };
+    this.subscribers.add(subscriber);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      this.subscribers.delete(subscriber);
+    });
+    return true;
+  }
+
+  /**
+   * Accept WebSocket connections to /events/:apiKey; each event is sent as
+   * a JSON text message
+   */
+  handleUpgrade(req, socket, head) {
+    socket.on("error", () => socket.destroy());
+    const stream = this.parseEventStream(req);
+    if (stream?.status !== 200) {
+      const status = stream?.status || 404;
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+      return;
+    }
+    this.sockets.handleUpgrade(req, socket, head, (ws) => {
+      const subscriber = {
+        accepts: stream.accepts,
+        send: (event) => ws.send(JSON.stringify(event)),
+        close: () => ws.close(1001, "Server stopped"),
+      };
+      this.subscribers.add(subscriber);
+      ws.on("close", () => this.subscribers.delete(subscriber));
+      // Bad frames and reset connections end the subscription too
+      ws.on("error", () => {
+        this.subscribers.delete(subscriber);
+        ws.terminate();
+      });
+    });
+  }
+
+  logRequest(entry) {
+    this.requests.unshift(entry);
+    this.requests.length = Math.min(this.requests.length, REQUEST_LOG_LIMIT);
+    this._onDidHandleRequest.fire(entry);
+  }
+
+  clearLog() {
+    this.requests = [];
+  }
+
+  async route(request) {
+    const { method, segments } = request;
+    const [root, apiKey, collectionId, sub, documentId] = segments;
+
+    // /webhooks/listener, a receiver for testing webhooks locally
+    if (root === "webhooks" && apiKey === "listener") {
+      if (method !== "POST") return methodNotAllowed();
+      this.events.receive({
+        path: `/${segments.join("/")}`,
+        headers: request.headers,
+        body: request.body,
+      });
+      return { status: 204 };
+    }
+
+    // /graphql/:apiKey
+    if (root === "graphql" && segments.length === 2) {
+      if (apiKey !== this.store.apiKey) {
+        return { status: 401, body: { message: "Invalid API key" } };
+      }
+      return this.routeGraphQL(request);
+    }
+
+    if (root !== "collections" || !apiKey || segments.length > 5) {
+      return notFound("Route not found");
+    }
+    // "-" stands in for the account key on collections with their own auth,
+    // so front-end code never needs the account key
+    const anonymous = apiKey === "-";
+    const invalidKey = { status: 401, body: { message: "Invalid API key" } };
+    if (apiKey !== this.store.apiKey && !anonymous) return invalidKey;
+
+    // /collections/:apiKey
+    if (segments.length === 2) {
+      if (anonymous) return invalidKey;
+      if (method !== "GET") return methodNotAllowed();
+      return { status: 200, body: this.store.collections };
+    }
+
+    // /collections/:apiKey/by-name/:name
+    if (collectionId === "by-name" && segments.length === 4) {
+      if (method !== "GET") return methodNotAllowed();
+      const collection = this.store.collections.find(
+        (c) => c.collectionName === sub
+      );
+      if (!collection) {
+        return anonymous ? invalidKey : notFound("Collection not found");
+      }
+      return (
+        this.authorize(collection, request, anonymous) || {
+          status: 200,
+          body: collection,
+        }
+      );
+    }
+
+    const collection = this.store.getCollection(collectionId);
+    if (!collection) {
+      return anonymous ? invalidKey : notFound("Collection not found");
+    }
+    const denied = this.authorize(collection, request, anonymous);
+    if (denied) return denied;
+
+    const scenario = this.scenarios.get(collection._id);
+    const injected = await applyScenario(scenario);
+    if (injected) return injected;
+
+    // /collections/:apiKey/:collectionId
+    if (segments.length === 3) {
+      if (method !== "GET") return methodNotAllowed();
+      return { status: 200, body: collection };
+    }
+
+    if (sub !== "documents") return notFound("Route not found");
+    const documents = this.store.getDocuments(collectionId);
+
+    // /collections/:apiKey/:collectionId/documents
+    if (segments.length === 4) {
+      switch (method) {
+        case "GET": {
+          const matched = queryDocuments(collection, documents, request.query);
+          const { denied, relations } = this.expandRelations(
+            collection,
+            request,
+            anonymous
+          );
+          if (denied) return denied;
+          if (scenario.listMode !== "normal") {
+            return {
+              status: 200,
+              body: listDocuments(
+                expandDocuments(matched, relations),
+                scenario,
+                request.query
+              ),
+            };
+          }
+          const page = pageDocuments(matched, request.query);
+          return {
+            status: 200,
+            body: expandDocuments(page.documents, relations),
+            headers: {
+              "X-Total-Count": String(matched.length),
+              ...(page.nextCursor ? { "X-Next-Cursor": page.nextCursor } : {}),
+            },
+          };
+        }
+        case "POST": {
+          const input = Array.isArray(request.body)
+            ? request.body
+            : [request.body];
+          if (input.some((d) => !d || typeof d !== "object")) {
+            return badRequest("Body must be a JSON object or array of objects");
+          }
+          const errors = writeValidationErrors(collection, input);
+          if (errors.length) return invalidDocuments(collection, errors);
+          const created = input.map((d) => ({ ...d, _id: generateId() }));
+          documents.push(...created);
+          await this.store.save();
+          for (const document of created) {
+            this.events.emit(
+              { type: "document.created", collection, document },
+              "local"
+            );
+          }
+          return {
+            status: 201,
+            body: Array.isArray(request.body) ? created : created[0],
+          };
+        }
+        case "DELETE": {
+          const deletedCount = documents.length;
+          documents.length = 0;
+          await this.store.save();
+          this.events.emit(
+            { type: "collection.cleared", collection, count: deletedCount },
+            "local"
+          );
+          return { status: 200, body: { deletedCount } };
+        }
+        default:
+          return methodNotAllowed();
+      }
+    }
+
+    // /collections/:apiKey/:collectionId/documents/:documentId
+    const index = documents.findIndex((d) => d._id === documentId);
+    if (index === -1) return notFound("Document not found");
+
+    switch (method) {
+      case "GET": {
+        const { denied, relations } = this.expandRelations(
+          collection,
+          request,
+          anonymous
+        );
+        if (denied) return denied;
+        const [document] = expandDocuments([documents[index]], relations);
+        return { status: 200, body: document };
+      }
+      case "PUT": {
+        if (!request.body || typeof request.body !== "object") {
+          return badRequest("Body must be a JSON object");
+        }
+        const errors = writeValidationErrors(collection, [request.body]);
+        if (errors.length) return invalidDocuments(collection, errors);
+        documents[index] = { ...request.body, _id: documentId };
+        await this.store.save();
+        this.events.emit(
+          { type: "document.updated", collection, document: documents[index] },
+          "local"
+        );
+        return { status: 200, body: documents[index] };
+      }
+      case "DELETE": {
+        const [deleted] = documents.splice(index, 1);
+        await this.store.save();
+        this.events.emit(
+          { type: "document.deleted", collection, document: deleted },
+          "local"
+        );
+        return { status: 200, body: deleted };
+      }
+      default:
+        return methodNotAllowed();
+    }
+  }
+
+  /**
+   * Enforce a collection's auth settings on a request. Anonymous requests
+   * are only accepted by collections that require credentials.
+   */
+  authorize(collection, { method, headers }, anonymous) {
+    const auth = this.auth.get(collection._id);
+    if (anonymous && auth.mode === "none") {
+      return { status: 401, body: { message: "Invalid API key" } };
+    }
+    return authorizeRequest(
+      auth,
+      headers,
+      method !== "GET",
+      this.auth.secret,
+      collection
+    );
+  }
+
+  async routeGraphQL({ method, query, body, headers }) {
+    let operation;
+    if (method === "GET") {
+      try {
+        operation = {
+          query: query.get("query"),
+          variables: JSON.parse(query.get("variables") || "null"),
+          operationName: query.get("operationName"),
+        };
+      } catch {
+        return badRequest('"variables" must be JSON');
+      }
+    } else if (method === "POST") {
+      operation = body || {};
+    } else {
+      return methodNotAllowed();
+    }
+    if (typeof operation.query !== "string" || !operation.query.trim()) {
+      return badRequest("Missing GraphQL query");
+    }
+
+    const result = await this.executeGraphQL(operation, {
+      authorize: (collection, write) =>
+        authorizeRequest(
+          this.auth.get(collection._id),
+          headers,
+          write,
+          this.auth.secret,
+          collection
+        ),
+    });
+    return { status: result.data === undefined ? 400 : 200, body: result };
+  }
+
+  /**
+   * Run a GraphQL operation against the local store, whether or not the
+   * server is listening. Resolves to the plain JSON result.
+   */
+  async executeGraphQL({ query, variables, operationName }, context = {}) {
+    await this.store.load();
+    try {
+      if (this.graphqlSchema?.collections !== this.store.collections) {
+        this.graphqlSchema = {
+          collections: this.store.collections,
+          schema: createGraphQLSchema(this.store, this.scenarios, (change) =>
+            this.events.emit(change, "local")
+          ),
+        };
+      }
+    } catch (error) {
+      return {
+        errors: [{ message: `Invalid GraphQL schema: ${error.message}` }],
+      };
+    }
+    const result = await graphql({
+      schema: this.graphqlSchema.schema,
+      source: query,
+      variableValues: variables || undefined,
+      operationName: operationName || undefined,
+      contextValue: context,
+    });
+    return JSON.parse(JSON.stringify(result));
+  }
+
+  /**
+   * The documents `?expand=` reference fields can inline. Each referenced
+   * collection's auth applies to the request too; `denied` holds the
+   * response when one of them refuses it.
+   */
+  expandRelations(collection, { query, headers }, anonymous) {
+    const names = (query.get("expand") || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const relations = [];
+    for (const name of names) {
+      const field = (collection.fields || []).find((f) => f.fieldName === name);
+      if (!field?.ref) {
+        throw queryError(`"${name}" is not a reference field`);
+      }
+      const target = this.store.collections.find(
+        (c) => c.collectionName === field.ref
+      );
+      if (target) {
+        const denied = this.authorize(
+          target,
+          { method: "GET", headers },
+          anonymous
+        );
+        if (denied) return { denied };
+      }
+      const related = target ? this.store.getDocuments(target._id) : [];
+      relations.push({ name, byId: new Map(related.map((d) => [d._id, d])) });
+    }
+    return { relations };
+  }
+}
+
+/**
+ * Inline the documents named by `?expand=` reference fields
+ */
+function expandDocuments(documents, relations) {
+  if (!relations.length) return documents;
+  return documents.map((doc) => {
+    const expanded = { ...doc };
+    for (const { name, byId } of relations) {
+      const value = doc[name];
+      if (value === undefined || value === null) continue;
+      expanded[name] = Array.isArray(value)
+        ? value.map((id) => byId.get(id) ?? null)
+        : (byId.get(value) ?? null);
+    }
+    return expanded;
+  });
+}
+
+/**
+ * Webview that streams requests handled by the local mock server
+ */
+class RequestLogWebview {
+  constructor(context, server) {
+    this.context = context;
+    this.server = server;
+    this.panel = null;
+  }
+
+  async show() {
+    if (this.panel) {
+      this.panel.reveal();
+      return;
+    }
+
+    this.panel = vscode.window.createWebviewPanel(
+      "mockmanRequestLog",
+      "MockMan Request Log",
+      vscode.ViewColumn.Beside,
+      { enableScripts: true, retainContextWhenHidden: true }
+    );
+    this.panel.webview.html = await this.getWebviewContent();
+
+    const listeners = [
+      this.server.onDidHandleRequest((entry) => {
+        this.panel?.webview.postMessage({
+          command: "entry",
+          data: this.describeEntry(entry),
+        });
+      }),
+      this.server.onDidChangeState(() => this.postServerState()),
+    ];
+    this.panel.onDidDispose(
+      () => {
+        listeners.forEach((l) => l.dispose());
+        this.panel = null;
+      },
+      null,
+      this.context.subscriptions
+    );
+
+    this.panel.webview.onDidReceiveMessage(
+      async (message) => {
+        switch (message.command) {
+          case "ready":
+            this.postServerState();
+            this.panel.webview.postMessage({
+              command: "entries",
+              data: this.server.requests.map((e) => this.describeEntry(e)),
+            });
+            break;
+          case "replay":
+            await this.replay(message.id);
+            break;
+          case "saveFixture":
+            await this.saveFixture(message.id);
+            break;
+          case "clear":
+            this.server.clearLog();
+            break;
+          case "showError":
+            vscode.window.showErrorMessage(message.message);
+            break;
+        }
+      },
+      undefined,
+      this.context.subscriptions
+    );
+  }
+
+  describeEntry(entry) {
+    const collection = this.server.store.getCollection(entry.collectionId);
+    return { ...entry, collectionName: collection?.collectionName || null };
+  }
+
+  postServerState() {
+    this.panel?.webview.postMessage({
+      command: "serverState",
+      data: {
+        running: this.server.isRunning,
+        baseUrl: this.server.isRunning ? this.server.baseUrl : null,
+      },
+    });
+  }
+
+  findEntry(id) {
+    const entry = this.server.requests.find((e) => e.id === id);
+    if (!entry) {
+      vscode.window.showErrorMessage(
+        "⚠️ That request is no longer in the log."
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Send a logged request to the local server again
+   */
+  async replay(id) {
+    const entry = this.findEntry(id);
+    if (!entry) return;
+    if (!this.server.isRunning) {
+      vscode.window.showErrorMessage(
+        "⚠️ Start the local server (MockMan: Start Local Server) to replay requests."
+      );
+      return;
+    }
+
+    // Let axios set the connection-level headers for the new request
+    const headers = { ...entry.requestHeaders };
+    for (const name of ["host", "connection", "content-length"]) {
+      delete headers[name];
+    }
+    try {
+      await axios.request({
+        baseURL: this.server.baseUrl,
+        url: entry.path,
+        method: entry.method,
+        headers,
+        data: entry.requestBody,
+        timeout: 65000,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `⚠️ Replay failed: ${describeError(error)}`
+      );
+    }
+  }
+
+  /**
+   * Write a request/response pair to a JSON file for use in tests
+   */
+  async saveFixture(id) {
+    const entry = this.findEntry(id);
+    if (!entry) return;
+
+    const { collectionName } = this.describeEntry(entry);
+    const fileName = `${entry.method.toLowerCase()}-${
+      collectionName || "request"
+    }-${entry.status}.json`;
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: folder
+        ? vscode.Uri.joinPath(folder, "fixtures", fileName)
+        : undefined,
+      filters: { JSON: ["json"] },
+      saveLabel: "Save Fixture",
+    });
+    if (!uri) return;
+
+    // Keep the API key and credentials out of files that end up in
+    // version control
+    const apiKey = this.server.store.apiKey;
+    const withoutKey = (text) =>
+      apiKey ? String(text).split(apiKey).join("{apiKey}") : text;
+    const credentialHeaders = new Set([
+      "authorization",
+      "proxy-authorization",
+      "cookie",
+      "set-cookie",
+      DEFAULT_AUTH.headerName.toLowerCase(),
+      ...this.server.store.collections.map((c) =>
+        this.server.auth.get(c._id).headerName.toLowerCase()
+      ),
+    ]);
+    const redact = (headers) =>
+      Object.fromEntries(
+        Object.entries(headers || {}).map(([name, value]) => [
+          name,
+          credentialHeaders.has(name.toLowerCase())
+            ? "<redacted>"
+            : Array.isArray(value)
+              ? value.map(withoutKey)
+              : withoutKey(value),
+        ])
+      );
+    const fixture = {
+      request: {
+        method: entry.method,
+        path: withoutKey(entry.path),
+        headers: redact(entry.requestHeaders),
+        body: entry.requestBody,
+      },
+      response: {
+        status: entry.status,
+        headers: redact(entry.responseHeaders),
+        body: entry.responseBody,
+      },
+    };
+    await vscode.workspace.fs.writeFile(
+      uri,
+      Buffer.from(JSON.stringify(fixture, null, 2) + "\n", "utf8")
+    );
+    await vscode.window.showTextDocument(uri);
+  }
+
+  async getWebviewContent() {
+    const nonce = getNonce();
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${this.panel.webview.cspSource} 'unsafe-inline' https:; script-src 'nonce-${nonce}';">
+        <title>MockMan Request Log</title>
+        <link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">
+        <style>
+          body { background-color: #1a1a1a; color: #ffffff; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+          .field { padding: 0.5rem; background: #1f2937; color: #ffffff; border: 1px solid #4b5563; border-radius: 0.5rem; font-size: 0.875rem; }
+          .log-table { width: 100%; font-size: 0.8rem; border-collapse: collapse; }
+          .log-table th, .log-table td { border-bottom: 1px solid #374151; padding: 0.35rem 0.5rem; text-align: left; white-space: nowrap; }
+          .log-table td.path { white-space: normal; word-break: break-all; }
+          .log-table th { color: #60a5fa; }
+          .log-table tbody tr { cursor: pointer; }
+          .log-table tbody tr:hover { background-color: #2d2d2d; }
+          .log-table tbody tr.selected { background-color: #374151; }
+          .json-view { background-color: #2d2d2d; padding: 1rem; border-radius: 0.5rem; max-height: 300px; overflow: auto; font-family: monospace; font-size: 0.8rem; white-space: pre; }
+          .status-ok { color: #34d399; }
+          .status-error { color: #ef4444; }
+          #logContainer { max-height: 50vh; overflow-y: auto; }
+        </style>
+      </head>
+      <body class="p-4 sm:p-6 max-w-full mx-auto overflow-x-hidden">
+        <h1 class="text-xl sm:text-2xl font-bold mb-2 text-white">Request Log</h1>
+        <p id="serverState" class="text-sm text-gray-400 mb-4"></p>
+        <div class="flex flex-wrap gap-2 mb-4">
+          <input id="filterText" class="field flex-grow" placeholder="Filter by path, status or body">
+          <select id="methodFilter" class="field">
+            <option value="">All methods</option>
+            <option>GET</option>
+            <option>POST</option>
+            <option>PUT</option>
+            <option>DELETE</option>
+          </select>
+          <select id="statusFilter" class="field">
+            <option value="">All statuses</option>
+            <option value="2">2xx</option>
+            <option value="4">4xx</option>
+            <option value="5">5xx</option>
+          </select>
+          <button id="clearBtn" class="text-sm text-blue-400 underline">Clear</button>
+        </div>
+        <div id="logContainer">
+          <table class="log-table">
+            <thead><tr><th>Time</th><th>Status</th><th>Method</th><th>Path</th><th>Collection</th><th>Duration</th></tr></thead>
+            <tbody id="log"></tbody>
+          </table>
+          <p id="emptyLog" class="text-sm text-gray-500 mt-2"></p>
+        </div>
+        <div id="detail" class="mt-6" style="display: none;">
+          <div class="flex flex-wrap items-center gap-4 mb-2">
+            <h3 class="text-lg font-semibold text-gray-300 break-all"><span id="detailMethod" class="text-blue-400"></span> <span id="detailPath"></span></h3>
+            <button id="replayBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-1 px-4 rounded-lg">Replay</button>
+            <button id="fixtureBtn" class="text-sm text-blue-400 underline">Save as Test Fixture</button>
+          </div>
+          <p class="mb-2 text-sm"><span id="detailStatus"></span> · <span id="detailDuration"></span> · <span id="detailTime"></span></p>
+          <h4 class="text-sm font-semibold text-gray-300 mt-4 mb-1">Request</h4>
+          <details class="mb-2 text-sm">
+            <summary class="cursor-pointer text-gray-400">Headers</summary>
+            <div id="requestHeaders" class="json-view mt-2"></div>
+          </details>
+          <div id="requestBody" class="json-view"></div>
+          <h4 class="text-sm font-semibold text-gray-300 mt-4 mb-1">Response</h4>
+          <details class="mb-2 text-sm">
+            <summary class="cursor-pointer text-gray-400">Headers</summary>
+            <div id="responseHeaders" class="json-view mt-2"></div>
+          </details>
+          <div id="responseBody" class="json-view"></div>
+        </div>
+        <script nonce="${nonce}">
+          const vscode = acquireVsCodeApi();
+          const logBody = document.getElementById('log');
+          const filterText = document.getElementById('filterText');
+          const methodFilter = document.getElementById('methodFilter');
+          const statusFilter = document.getElementById('statusFilter');
+          let entries = [];
+          let selectedId = null;
+          function escapeHtml(unsafe) {
+            return String(unsafe)
+              .replace(/&/g, "&amp;")
+              .replace(/</g, "&lt;")
+              .replace(/>/g, "&gt;")
+              .replace(/"/g, "&quot;")
+              .replace(/'/g, "&#039;");
+          }
+          function formatJson(value) {
+            return value === undefined ? '(empty)' : JSON.stringify(value, null, 2);
+          }
+          function matches(entry) {
+            if (methodFilter.value && entry.method !== methodFilter.value) return false;
+            if (statusFilter.value && String(entry.status)[0] !== statusFilter.value) return false;
+            const text = filterText.value.trim().toLowerCase();
+            if (!text) return true;
+            return [entry.path, entry.status, entry.collectionName, JSON.stringify(entry.requestBody)]
+              .some(value => String(value).toLowerCase().includes(text));
+          }
+          function renderLog() {
+            const visible = entries.filter(matches);
+            logBody.innerHTML = visible.map(entry =>
+              '<tr data-id="' + escapeHtml(entry.id) + '"' + (entry.id === selectedId ? ' class="selected"' : '') + '>' +
+                '<td>' + escapeHtml(new Date(entry.timestamp).toLocaleTimeString()) + '</td>' +
+                '<td class="' + (entry.status < 400 ? 'status-ok' : 'status-error') + '">' + escapeHtml(entry.status) + '</td>' +
+                '<td>' + escapeHtml(entry.method) + '</td>' +
+                '<td class="path">' + escapeHtml(entry.path) + '</td>' +
+                '<td>' + escapeHtml(entry.collectionName || '') + '</td>' +
+                '<td>' + escapeHtml(entry.duration) + ' ms</td>' +
+              '</tr>'
+            ).join('');
+            document.getElementById('emptyLog').textContent = !entries.length
+              ? 'No requests yet. Point your app at the local server to see its traffic here.'
+              : !visible.length ? 'No requests match the filters.' : '';
+          }
+          function renderDetail() {
+            const entry = entries.find(e => e.id === selectedId);
+            const detail = document.getElementById('detail');
+            if (!entry) {
+              detail.style.display = 'none';
+              return;
+            }
+            detail.style.display = 'block';
+            document.getElementById('detailMethod').textContent = entry.method;
+            document.getElementById('detailPath').textContent = entry.path;
+            const status = document.getElementById('detailStatus');
+            status.className = entry.status < 400 ? 'status-ok' : 'status-error';
+            status.textContent = entry.status;
+            document.getElementById('detailDuration').textContent = entry.duration + ' ms';
+            document.getElementById('detailTime').textContent = new Date(entry.timestamp).toLocaleString();
+            document.getElementById('requestHeaders').textContent = formatJson(entry.requestHeaders);
+            document.getElementById('requestBody').textContent = formatJson(entry.requestBody);
+            document.getElementById('responseHeaders').textContent = formatJson(entry.responseHeaders);
+            document.getElementById('responseBody').textContent = formatJson(entry.responseBody);
+          }
+          logBody.addEventListener('click', event => {
+            const row = event.target.closest('tr[data-id]');
+            if (!row) return;
+            selectedId = row.dataset.id;
+            renderLog();
+            renderDetail();
+          });
+          [filterText, methodFilter, statusFilter].forEach(input => input.addEventListener('input', renderLog));
+          document.getElementById('clearBtn').addEventListener('click', () => {
+            entries = [];
+            selectedId = null;
+            renderLog();
+            renderDetail();
+            vscode.postMessage({ command: 'clear' });
+          });
+          document.getElementById('replayBtn').addEventListener('click', () => {
+            if (selectedId) vscode.postMessage({ command: 'replay', id: selectedId });
+          });
+          document.getElementById('fixtureBtn').addEventListener('click', () => {
+            if (selectedId) vscode.postMessage({ command: 'saveFixture', id: selectedId });
+          });
+          window.addEventListener('message', event => {
+            const message = event.data;
+            switch (message.command) {
+              case 'entries':
+                entries = message.data;
+                renderLog();
+                break;
+              case 'entry':
+                entries.unshift(message.data);
+                entries.length = Math.min(entries.length, ${REQUEST_LOG_LIMIT});
+                renderLog();
+                break;
+              case 'serverState':
+                document.getElementById('serverState').textContent = message.data.running
+                  ? 'Capturing requests to ' + message.data.baseUrl
+                  : 'The local server is stopped. Run "MockMan: Start Local Server" to capture requests.';
+                break;
+            }
+          });
+          vscode.postMessage({ command: 'ready' });
+        </script>
+      </body>
+      </html>
+    `;
+  }
+}
+
+/**
+ * Live feed of change events, webhook deliveries and payloads received by
+ * the local test listener
+ */
+class EventFeedWebview {
+  constructor(context, events, server) {
+    this.context = context;
+    this.events = events;
+    this.server = server;
+    this.panel = null;
+  }
+
+  async show() {
+    if (this.panel) {
+      this.panel.reveal();
+      return;
+    }
+
+    this.panel = vscode.window.createWebviewPanel(
+      "mockmanEventFeed",
+      "MockMan Event Feed",
+      vscode.ViewColumn.Beside,
+      { enableScripts: true, retainContextWhenHidden: true }
+    );
+    this.panel.webview.html = await this.getWebviewContent();
+
+    const listeners = [
+      this.events.onDidAddEntry((entry) => {
+        this.panel?.webview.postMessage({ command: "entry", data: entry });
+      }),
+      this.events.onDidDeliver((entry) => {
+        this.panel?.webview.postMessage({
+          command: "delivered",
+          id: entry.id,
+          data: entry.deliveries,
+        });
+      }),
+      this.server.onDidChangeState(() => this.postState()),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("mockman")) this.postState();
+      }),
+    ];
+    this.panel.onDidDispose(
+      () => {
+        listeners.forEach((l) => l.dispose());
+        this.panel = null;
+      },
+      null,
+      this.context.subscriptions
+    );
+
+    this.panel.webview.onDidReceiveMessage(
+      async (message) => {
+        switch (message.command) {
+          case "ready":
+            await this.postState();
+            this.panel.webview.postMessage({
+              command: "entries",
+              data: this.events.entries,
+            });
+            break;
+          case "addWebhook":
+            vscode.commands.executeCommand("mockman.addWebhook");
+            break;
+          case "removeWebhook":
+            await removeWebhook(message.url);
+            break;
+          case "clear":
+            this.events.clear();
+            break;
+          case "showInfo":
+            vscode.window.showInformationMessage(message.message);
+            break;
+        }
+      },
+      undefined,
+      this.context.subscriptions
+    );
+  }
+
+  async postState() {
+    await this.server.store.load();
+    const config = vscode.workspace.getConfiguration("mockman");
+    this.panel?.webview.postMessage({
+      command: "state",
+      data: {
+        running: this.server.isRunning,
+        streams: eventStreamUrls(
+          this.server,
+          this.server.store.apiKey || ":apiKey"
+        ),
+        webhooks: this.events.webhooks,
+        autoRefresh: config.get("autoRefresh", true)
+          ? Math.max(config.get("autoRefreshInterval", 30), 5)
+          : 0,
+      },
+    });
+  }
+
+  async getWebviewContent() {
+    const nonce = getNonce();
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${this.panel.webview.cspSource} 'unsafe-inline' https:; script-src 'nonce-${nonce}';">
+        <title>MockMan Event Feed</title>
+        <link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">
+        <style>
+          body { background-color: #1a1a1a; color: #ffffff; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+          .field { padding: 0.5rem; background: #1f2937; color: #ffffff; border: 1px solid #4b5563; border-radius: 0.5rem; font-size: 0.875rem; }
+          .log-table { width: 100%; font-size: 0.8rem; border-collapse: collapse; }
+          .log-table th, .log-table td { border-bottom: 1px solid #374151; padding: 0.35rem 0.5rem; text-align: left; white-space: nowrap; }
+          .log-table td.wrap { white-space: normal; word-break: break-all; }
+          .log-table th { color: #60a5fa; }
+          .log-table tbody tr { cursor: pointer; }
+          .log-table tbody tr:hover { background-color: #2d2d2d; }
+          .log-table tbody tr.selected { background-color: #374151; }
+          .json-view { background-color: #2d2d2d; padding: 1rem; border-radius: 0.5rem; max-height: 300px; overflow: auto; font-family: monospace; font-size: 0.8rem; white-space: pre; }
+          .status-ok { color: #34d399; }
+          .status-error { color: #ef4444; }
+          .copyable { cursor: pointer; word-break: break-all; }
+          .copyable:hover { color: #60a5fa; }
+          #feedContainer { max-height: 50vh; overflow-y: auto; }
+        </style>
+      </head>
+      <body class="p-4 sm:p-6 max-w-full mx-auto overflow-x-hidden">
+        <h1 class="text-xl sm:text-2xl font-bold mb-2 text-white">Event Feed</h1>
+        <p id="sourceState" class="text-sm text-gray-400 mb-4"></p>
+        <details class="mb-4 text-sm">
+          <summary class="cursor-pointer text-lg font-semibold text-gray-300">Streams and webhooks</summary>
+          <p id="serverState" class="text-gray-400 my-2"></p>
+          <p class="mb-1"><strong class="text-blue-400">SSE</strong> <span id="sseUrl" class="copyable" title="Copy"></span></p>
+          <p class="mb-3"><strong class="text-blue-400">WS</strong> <span id="wsUrl" class="copyable" title="Copy"></span></p>
+          <div class="flex justify-between items-center">
+            <h4 class="font-semibold text-gray-300">Webhooks</h4>
+            <button id="addWebhookBtn" class="text-blue-400 underline">+ Add webhook</button>
+          </div>
+          <div id="webhooks"></div>
+        </details>
+        <div class="flex flex-wrap gap-2 mb-4">
+          <input id="filterText" class="field flex-grow" placeholder="Filter by collection, document or payload">
+          <select id="typeFilter" class="field">
+            <option value="">All events</option>
+            ${CHANGE_EVENT_TYPES.map((type) => `<option>${type}</option>`).join("")}
+            <option value="received">Received by listener</option>
+          </select>
+          <select id="sourceFilter" class="field">
+            <option value="">All sources</option>
+            <option value="local">Local server</option>
+            <option value="mockman">MockMan</option>
+          </select>
+          <button id="clearBtn" class="text-sm text-blue-400 underline">Clear</button>
+        </div>
+        <div id="feedContainer">
+          <table class="log-table">
+            <thead><tr><th>Time</th><th>Event</th><th>Collection</th><th>Document</th><th>Source</th><th>Webhooks</th></tr></thead>
+            <tbody id="feed"></tbody>
+          </table>
+          <p id="emptyFeed" class="text-sm text-gray-500 mt-2"></p>
+        </div>
+        <div id="detail" class="mt-6" style="display: none;">
+          <h3 id="detailTitle" class="text-lg font-semibold text-gray-300 mb-2 break-all"></h3>
+          <div id="detailDeliveries" class="text-sm mb-2"></div>
+          <div id="detailPayload" class="json-view"></div>
+        </div>
+        <script nonce="${nonce}">
+          const vscode = acquireVsCodeApi();
+          const feedBody = document.getElementById('feed');
+          const filterText = document.getElementById('filterText');
+          const typeFilter = document.getElementById('typeFilter');
+          const sourceFilter = document.getElementById('sourceFilter');
+          let entries = [];
+          let selectedId = null;
+          function escapeHtml(unsafe) {
+            return String(unsafe)
+              .replace(/&/g, "&amp;")
+              .replace(/</g, "&lt;")
+              .replace(/>/g, "&gt;")
+              .replace(/"/g, "&quot;")
+              .replace(/'/g, "&#039;");
+          }
+          function deliveryOk(delivery) {
+            return !delivery.error && delivery.status < 400;
+          }
+          function deliverySummary(entry) {
+            if (!entry.event || !entry.deliveries.length) return '';
+            const ok = entry.deliveries.filter(deliveryOk).length;
+            return '<span class="' + (ok === entry.deliveries.length ? 'status-ok' : 'status-error') + '">' +
+              ok + '/' + entry.deliveries.length + '</span>';
+          }
+          function matches(entry) {
+            const event = entry.event;
+            if (typeFilter.value && (event ? event.type : 'received') !== typeFilter.value) return false;
+            if (sourceFilter.value && (!event || event.source !== sourceFilter.value)) return false;
+            const text = filterText.value.trim().toLowerCase();
+            return !text || JSON.stringify(event || entry.received).toLowerCase().includes(text);
+          }
+          function renderFeed() {
+            const visible = entries.filter(matches);
+            feedBody.innerHTML = visible.map(entry => {
+              const event = entry.event;
+              const cells = event
+                ? [
+                    new Date(event.timestamp).toLocaleTimeString(),
+                    event.type,
+                    event.collection.collectionName,
+                    event.documentId || (event.count === undefined ? '' : event.count + ' documents'),
+                    event.source === 'local' ? 'Local server' : 'MockMan'
+                  ]
+                : [new Date(entry.received.timestamp).toLocaleTimeString(), '📥 received', '', entry.received.path, 'Listener'];
+              return '<tr data-id="' + escapeHtml(entry.id) + '"' + (entry.id === selectedId ? ' class="selected"' : '') + '>' +
+                cells.map(cell => '<td class="wrap">' + escapeHtml(cell) + '</td>').join('') +
+                '<td>' + deliverySummary(entry) + '</td>' +
+              '</tr>';
+            }).join('');
+            document.getElementById('emptyFeed').textContent = !entries.length
+              ? 'No changes yet. Write documents through the local server, or edit them on MockMan while auto-refresh is on.'
+              : !visible.length ? 'No events match the filters.' : '';
+          }
+          function renderDetail() {
+            const entry = entries.find(e => e.id === selectedId);
+            const detail = document.getElementById('detail');
+            if (!entry) {
+              detail.style.display = 'none';
+              return;
+            }
+            detail.style.display = 'block';
+            document.getElementById('detailTitle').textContent = entry.event
+              ? entry.event.type + ' · ' + entry.event.collection.collectionName
+              : 'Received on ' + entry.received.path;
+            document.getElementById('detailDeliveries').innerHTML = (entry.deliveries || []).map(delivery =>
+              '<p class="break-all"><span class="' + (deliveryOk(delivery) ? 'status-ok' : 'status-error') + '">' +
+                escapeHtml(delivery.error || delivery.status) + '</span> ' + escapeHtml(delivery.url) + ' · ' + delivery.duration + ' ms</p>'
+            ).join('');
+            document.getElementById('detailPayload').textContent = JSON.stringify(
+              entry.event || { headers: entry.received.headers, body: entry.received.body }, null, 2
+            );
+          }
+          function renderState(state) {
+            document.getElementById('sourceState').textContent = state.autoRefresh
+              ? 'Showing changes from the local server, and from MockMan every ' + state.autoRefresh + ' s.'
+              : 'Showing changes from the local server. Turn on mockman.autoRefresh to include changes made on MockMan.';
+            document.getElementById('serverState').textContent = state.running
+              ? 'The local server is streaming events at:'
+              : 'Start the local server to stream events at:';
+            document.getElementById('sseUrl').textContent = state.streams.sse;
+            document.getElementById('wsUrl').textContent = state.streams.ws;
+            document.getElementById('webhooks').innerHTML = state.webhooks.length
+              ? state.webhooks.map(hook =>
+                  '<p class="flex justify-between gap-2 my-1"><span class="break-all">' + escapeHtml(hook.url) +
+                    ' <span class="text-gray-400">' + escapeHtml(hook.events.join(', ') || 'all events') +
+                    (hook.collections.length ? ' · ' + escapeHtml(hook.collections.join(', ')) : '') + '</span></span>' +
+                  '<button class="text-blue-400 underline" data-remove="' + escapeHtml(hook.url) + '">Remove</button></p>'
+                ).join('')
+              : '<p class="text-gray-500 my-1">No webhooks configured.</p>';
+          }
+          feedBody.addEventListener('click', event => {
+            const row = event.target.closest('tr[data-id]');
+            if (!row) return;
+            selectedId = row.dataset.id;
+            renderFeed();
+            renderDetail();
+          });
+          document.querySelectorAll('.copyable').forEach(element => {
+            element.addEventListener('click', () => {
+              navigator.clipboard.writeText(element.textContent).then(() => {
+                vscode.postMessage({ command: 'showInfo', message: 'Stream URL copied to clipboard!' });
+              });
+            });
+          });
+          document.getElementById('webhooks').addEventListener('click', event => {
+            const button = event.target.closest('[data-remove]');
+            if (button) vscode.postMessage({ command: 'removeWebhook', url: button.dataset.remove });
+          });
+          document.getElementById('addWebhookBtn').addEventListener('click', () => {
+            vscode.postMessage({ command: 'addWebhook' });
+          });
+          [filterText, typeFilter, sourceFilter].forEach(input => input.addEventListener('input', renderFeed));
+          document.getElementById('clearBtn').addEventListener('click', () => {
+            entries = [];
+            selectedId = null;
+            renderFeed();
+            renderDetail();
+            vscode.postMessage({ command: 'clear' });
+          });
+          window.addEventListener('message', event => {
+            const message = event.data;
+            switch (message.command) {
+              case 'entries':
+                entries = message.data;
+                renderFeed();
+                break;
+              case 'entry':
+                entries.unshift(message.data);
+                entries.length = Math.min(entries.length, ${CHANGE_EVENT_LIMIT});
+                renderFeed();
+                break;
+              case 'delivered': {
+                const entry = entries.find(e => e.id === message.id);
+                if (!entry) break;
+                entry.deliveries = message.data;
+                renderFeed();
+                if (entry.id === selectedId) renderDetail();
+                break;
+              }
+              case 'state':
+                renderState(message.data);
+                break;
+            }
+          });
+          vscode.postMessage({ command: 'ready' });
+        </script>
+      </body>
+      </html>
+    `;
+  }
+}
+
+/**
+ * Reverse proxy in front of a real API that captures its JSON responses
+ */
+class RecordingProxy {
+  constructor(context) {
+    this.context = context;
+    this.server = null;
+    this.port = null;
+    this.target = null;
+    this.routes = []; // Route matchers; empty captures every JSON response
+    this.captures = new Map(); // Route key -> { name, path, documents, seen }
+
+    this.statusBarItem = vscode.window.createStatusBarItem(
+      vscode.StatusBarAlignment.Left,
+      99
+    );
+    this.statusBarItem.command = "mockman.stopRecording";
+    context.subscriptions.push(this.statusBarItem);
+  }
+
+  get isRunning() {
+    return this.server !== null;
+  }
+
+  get baseUrl() {
+    return `http://localhost:${this.port}`;
+  }
+
+  get documentCount() {
+    let count = 0;
+    for (const capture of this.captures.values()) {
+      count += capture.documents.length;
+    }
+    return count;
+  }
+
+  async start(target, routes) {
+    if (this.isRunning) return;
+    const port = vscode.workspace
+      .getConfiguration("mockman")
+      .get("recordPort", 4001);
+    const server = http.createServer((req, res) =>
+      this.handleRequest(req, res)
+    );
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, "127.0.0.1", () => {
+        server.off("error", reject);
+        resolve();
+      });
+    });
+
+    this.server = server;
+    this.port = port;
+    this.target = new URL(target);
+    this.routes = routes.map(routeMatcher);
+    this.captures = new Map();
+    this.updateStatusBar();
+    vscode.commands.executeCommand("setContext", "mockman.recording", true);
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(() => resolve()));
+    this.statusBarItem.hide();
+    vscode.commands.executeCommand("setContext", "mockman.recording", false);
+  }
+
+  dispose() {
+    this.stop();
+  }
+
+  updateStatusBar() {
+    if (!this.isRunning) return;
+    this.statusBarItem.text = `$(record) Recording :${this.port} · ${this.documentCount} docs`;
+    this.statusBarItem.tooltip = `Recording ${this.target.origin} through ${this.baseUrl}\nClick to stop and create collections`;
+    this.statusBarItem.show();
+  }
+
+  handleRequest(req, res) {
+    const cors = {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    };
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+
+    const fail = (status, message) => {
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      res.writeHead(status, { ...cors, "Content-Type": "application/json" });
+      res.end(JSON.stringify({ message }));
+    };
+
+    if (!req.url.startsWith("/")) {
+      fail(400, "Send requests to the recording proxy with a path, not a URL");
+      return;
+    }
+
+    const chunks = [];
+    req.on("error", () => res.destroy());
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      // Only the path and query come from the request, so it can't be
+      // pointed at another host (e.g. GET //example.com/)
+      const basePath = this.target.pathname.replace(/\/$/, "");
+      const queryIndex = req.url.indexOf("?");
+      const url = new URL(this.target);
+      url.pathname =
+        basePath + (queryIndex === -1 ? req.url : req.url.slice(0, queryIndex));
+      url.search = queryIndex === -1 ? "" : req.url.slice(queryIndex);
+      url.hash = "";
+      const client = url.protocol === "https:" ? https : http;
+      const upstream = client.request(
+        url,
+        {
+          method: req.method,
+          // Ask for an uncompressed body so it can be parsed
+          headers: {
+            ...req.headers,
+            host: url.host,
+            "accept-encoding": "identity",
+          },
+        },
+        (upstreamRes) => {
+          const body = [];
+          upstreamRes.on("error", (error) =>
+            fail(502, `Upstream response failed: ${error.message}`)
+          );
+          upstreamRes.on("data", (chunk) => body.push(chunk));
+          upstreamRes.on("end", () => {
+            const data = Buffer.concat(body);
+            const headers = { ...upstreamRes.headers, ...cors };
+            delete headers["transfer-encoding"];
+            headers["content-length"] = data.length;
+            res.writeHead(upstreamRes.statusCode, headers);
+            res.end(data);
+            this.capture(
+              req.method,
+              url.pathname.slice(basePath.length),
+              upstreamRes,
+              data
+            );
+          });
+        }
+      );
+      let timedOut = false;
+      upstream.setTimeout(RECORD_UPSTREAM_TIMEOUT, () => {
+        timedOut = true;
+        upstream.destroy();
+      });
+      upstream.on("error", (error) => {
+        if (timedOut) {
+          fail(
+            504,
+            `Upstream did not respond within ${RECORD_UPSTREAM_TIMEOUT / 1000}s`
+          );
+        } else {
+          fail(502, `Upstream request failed: ${error.message}`);
+        }
+      });
+      upstream.end(Buffer.concat(chunks));
+    });
+  }
+
+  /**
+   * Keep the documents from a successful JSON response on a recorded route
+   */
+  capture(method, path, response, data) {
+    if (!["GET", "POST", "PUT"].includes(method)) return;
+    if (response.statusCode < 200 || response.statusCode >= 300) return;
+    if (!/json/i.test(response.headers["content-type"] || "")) return;
+    if (this.routes.length && !this.routes.some((r) => r.test(path))) return;
+
+    let json;
+    try {
+      json = JSON.parse(data.toString("utf8"));
+    } catch {
+      return;
+    }
+    const documents = extractDocuments(json);
+    if (!documents.length) return;
+
+    const group = recordingGroup(path);
+    const capture = this.captures.get(group.key) || {
+      ...group,
+      documents: [],
+      seen: new Set(),
+    };
+    for (const doc of documents) {
+      const identity = JSON.stringify(doc.id ?? doc._id ?? doc);
+      if (capture.seen.has(identity)) continue;
+      capture.seen.add(identity);
+      capture.documents.push(doc);
+    }
+    this.captures.set(group.key, capture);
+    this.updateStatusBar();
+  }
+}
+
+function notFound(message) {
+  return { status: 404, body: { message } };
+}
+
+function badRequest(message) {
+  return { status: 400, body: { message } };
+}
+
+function invalidDocuments(collection, errors) {
+  return {
+    status: 400,
+    body: { message: validationMessage(collection, errors), errors },
+  };
+}
+
+function methodNotAllowed() {
+  return { status: 405, body: { message: "Method not allowed" } };
+}
+
+const SCENARIO_STATUSES = [401, 404, 429, 500];
+const STATUS_MESSAGES = {
+  401: "Unauthorized",
+  404: "Not found",
+  429: "Too many requests",
+  500: "Internal server error",
+};
+
+const DEFAULT_SCENARIO = {
+  preset: "happy",
+  latencyMin: 0,
+  latencyMax: 0,
+  failureRate: 0,
+  failureStatus: 500,
+  forceStatus: null,
+  body: null,
+  listMode: "normal",
+  pageSize: 10,
+};
+
+const SCENARIO_PRESETS = [
+  { id: "happy", label: "Happy path", description: "No latency or errors" },
+  {
+    id: "slow",
+    label: "Slow network",
+    description: "1.5–4 s latency",
+    settings: { latencyMin: 1500, latencyMax: 4000 },
+  },
+  {
+    id: "flaky",
+    label: "Flaky",
+    description: "200–800 ms latency, 30% of requests fail with 500",
+    settings: { latencyMin: 200, latencyMax: 800, failureRate: 30 },
+  },
+  {
+    id: "unauthorized",
+    label: "Unauthorized",
+    description: "Every request returns 401",
+    settings: { forceStatus: 401 },
+  },
+  {
+    id: "notFound",
+    label: "Not found",
+    description: "Every request returns 404",
+    settings: { forceStatus: 404 },
+  },
+  {
+    id: "rateLimited",
+    label: "Rate limited",
+    description: "Every request returns 429 with Retry-After",
+    settings: { forceStatus: 429 },
+  },
+  {
+    id: "serverError",
+    label: "Server error",
+    description: "Every request returns 500",
+    settings: { forceStatus: 500 },
+  },
+  {
+    id: "empty",
+    label: "Empty list",
+    description: "Document lists come back empty",
+    settings: { listMode: "empty" },
+  },
+  {
+    id: "paginated",
+    label: "Paginated",
+    description: "Document lists are split into pages of 10",
+    settings: { listMode: "paginated", pageSize: 10 },
+  },
+];
+
+function scenarioFromPreset(preset) {
+  return { ...DEFAULT_SCENARIO, ...preset.settings, preset: preset.id };
+}
+
+/**
+ * Fill in defaults and clamp values coming from the panel or workspace state
+ */
+function normalizeScenario(scenario) {
+  const input = { ...DEFAULT_SCENARIO, ...(scenario || {}) };
+  const number = (value, min, max, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n)
+      ? Math.min(max, Math.max(min, Math.round(n)))
+      : fallback;
+  };
+  const latencyMin = number(input.latencyMin, 0, 60000, 0);
+  const status = (value) =>
+    SCENARIO_STATUSES.includes(Number(value)) ? Number(value) : null;
+  return {
+    preset:
+      input.preset === "custom" ||
+      SCENARIO_PRESETS.some((p) => p.id === input.preset)
+        ? input.preset
+        : "custom",
+    latencyMin,
+    latencyMax: Math.max(latencyMin, number(input.latencyMax, 0, 60000, 0)),
+    failureRate: number(input.failureRate, 0, 100, 0),
+    failureStatus: status(input.failureStatus) || 500,
+    forceStatus: status(input.forceStatus),
+    body: input.body ?? null,
+    listMode: ["normal", "empty", "paginated"].includes(input.listMode)
+      ? input.listMode
+      : "normal",
+    pageSize: number(input.pageSize, 1, 1000, 10),
+  };
+}
+
+function scenarioLabel(scenario) {
+  const preset = SCENARIO_PRESETS.find((p) => p.id === scenario.preset);
+  return preset ? preset.label : "Custom";
+}
+
+/**
+ * Wait for the scenario's latency, then return an injected error response
+ * if the scenario fails this request
+ */
+async function applyScenario(scenario) {
+  const { latencyMin, latencyMax } = scenario;
+  if (latencyMax > 0) {
+    await sleep(randomInt(latencyMin, latencyMax));
+  }
+
+  let status = scenario.forceStatus;
+  if (!status && Math.random() * 100 < scenario.failureRate) {
+    status = scenario.failureStatus;
+  }
+  if (!status) return null;
+
+  return {
+    status,
+    body: scenario.body ?? { message: STATUS_MESSAGES[status] },
+    headers: {
+      "X-MockMan-Scenario": scenarioLabel(scenario),
+      ...(status === 429 ? { "Retry-After": "1" } : {}),
+    },
+  };
+}
+
+/**
+ * Auth simulation: per-collection credentials enforced by the local server
+ */
+const AUTH_MODES = ["none", "bearer", "apiKey"];
+
+const DEFAULT_AUTH = {
+  mode: "none",
+  headerName: "X-API-Key",
+  keys: [], // { key, role }
+  readRoles: [], // Empty: any valid credential
+  writeRoles: [],
+};
+
+const TOKEN_EXPIRIES = [
+  { id: "1h", label: "1 hour", seconds: 3600 },
+  { id: "15m", label: "15 minutes", seconds: 900 },
+  { id: "1d", label: "1 day", seconds: 86400 },
+  { id: "30d", label: "30 days", seconds: 30 * 86400 },
+  { id: "never", label: "Never", seconds: null },
+  { id: "expired", label: "Already expired", seconds: -60 },
+];
+
+function normalizeAuth(auth) {
+  const input = { ...DEFAULT_AUTH, ...(auth || {}) };
+  const roles = (value) =>
+    (Array.isArray(value) ? value : String(value || "").split(","))
+      .map((role) => String(role).trim())
+      .filter(Boolean);
+  return {
+    mode: AUTH_MODES.includes(input.mode) ? input.mode : "none",
+    headerName: /^[A-Za-z0-9-]+$/.test(input.headerName)
+      ? input.headerName
+      : DEFAULT_AUTH.headerName,
+    keys: (Array.isArray(input.keys) ? input.keys : [])
+      .filter((k) => typeof k?.key === "string" && k.key.trim())
+      .map((k) => ({
+        key: k.key.trim(),
+        role:
+          typeof k.role === "string" && k.role.trim() ? k.role.trim() : null,
+      })),
+    readRoles: roles(input.readRoles),
+    writeRoles: roles(input.writeRoles),
+  };
+}
+
+function authLabel(auth) {
+  switch (auth.mode) {
+    case "bearer":
+      return "Bearer token";
+    case "apiKey":
+      return `${auth.headerName} header`;
+    default:
+      return "None";
+  }
+}
+
+function authKey(collectionId) {
+  return `mockman.auth.${collectionId}`;
+}
+
+/**
+ * HS256 JSON Web Token for test logins
+ */
+function signJwt(claims, secret) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(unsigned)
+    .digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Claims of a token signed by signJwt, or the reason it is rejected
+ */
+function verifyJwt(token, secret) {
+  const parts = token.split(".");
+  const [header, payload, signature] = parts;
+  if (parts.length !== 3 || !header || !payload || !signature) {
+    return { error: "The token is not a JWT" };
+  }
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${header}.${payload}`)
+    .digest("base64url");
+  // Compare bytes: header values may hold latin-1 characters that change
+  // the length once encoded
+  const actual = Buffer.from(signature);
+  if (
+    actual.length !== Buffer.byteLength(expected) ||
+    !crypto.timingSafeEqual(actual, Buffer.from(expected))
+  ) {
+    return { error: "The token signature is invalid" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { error: "The token payload is not JSON" };
+  }
+  if (!claims || typeof claims !== "object" || Array.isArray(claims)) {
+    return { error: "The token payload is not a JSON object" };
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && claims.exp <= now) {
+    return { error: "The token expired" };
+  }
+  if (typeof claims.nbf === "number" && claims.nbf > now) {
+    return { error: "The token is not valid yet" };
+  }
+  return { claims };
+}
+
+/**
+ * 401 or 403 response for a request the collection's auth settings reject,
+ * or null when it may go ahead. Roles allowed to write may also read.
+ */
+function authorizeRequest(auth, headers, write, secret, collection) {
+  if (auth.mode === "none") return null;
+
+  let roles;
+  if (auth.mode === "bearer") {
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || "");
+    if (!match) {
+      return unauthorized("Missing bearer token", 'Bearer realm="MockMan"');
+    }
+    const { claims, error } = verifyJwt(match[1], secret);
+    if (error) {
+      return unauthorized(
+        error,
+        `Bearer realm="MockMan", error="invalid_token", error_description="${error}"`
+      );
+    }
+    roles = [].concat(claims.role ?? [], claims.roles ?? []).map(String);
+  } else {
+    const value = headers[auth.headerName.toLowerCase()];
+    if (!value) return unauthorized(`Missing ${auth.headerName} header`);
+    const key = auth.keys.find((k) => k.key === value);
+    if (!key) return unauthorized(`Invalid ${auth.headerName}`);
+    roles = key.role ? [key.role] : [];
+  }
+
+  const required = write
+    ? auth.writeRoles
+    : auth.readRoles.length
+      ? [...auth.readRoles, ...auth.writeRoles]
+      : [];
+  if (!required.length || roles.some((role) => required.includes(role))) {
+    return null;
+  }
+  const who = roles.length
+    ? `Role ${roles.map((r) => `"${r}"`).join(", ")}`
+    : "A credential without a role";
+  return {
+    status: 403,
+    body: {
+      error: "forbidden",
+      message: `${who} cannot ${write ? "modify" : "read"} ${collection.collectionName} documents`,
+      requiredRoles: required,
+    },
+  };
+}
+
+function unauthorized(message, challenge) {
+  return {
+    status: 401,
+    headers: challenge ? { "WWW-Authenticate": challenge } : {},
+    body: { error: "unauthorized", message },
+  };
+}
+
+/**
+ * Shape a document list according to the scenario's list mode
+ */
+function listDocuments(documents, scenario, query) {
+  if (scenario.listMode === "empty") return [];
+  if (scenario.listMode !== "paginated") return documents;
+
+  const limit = Math.max(
+    1,
+    parseInt(query.get("limit"), 10) || scenario.pageSize
+  );
+  const page = Math.max(1, parseInt(query.get("page"), 10) || 1);
+  return {
+    documents: documents.slice((page - 1) * limit, page * limit),
+    page,
+    limit,
+    total: documents.length,
+    totalPages: Math.ceil(documents.length / limit),
+  };
+}
+
+const QUERY_PARAMS = new Set([
+  "q",
+  "sort",
+  "limit",
+  "offset",
+  "cursor",
+  "fields",
+  "page",
+  "expand",
+]);
+const RANGE_OPERATORS = { gt: ">", gte: "≥", lt: "<", lte: "≤" };
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * How a field's values are compared when filtering and sorting
+ */
+function filterKind(fieldType) {
+  const type = jsonTypeForField(fieldType);
+  if (type === "string" && /date|time/i.test(String(fieldType))) return "date";
+  return type;
+}
+
+/**
+ * Query parameters understood by GET .../documents, used for the endpoints
+ * panel hints and the OpenAPI export
+ */
+function documentQueryParameters(collection) {
+  const params = [
+    {
+      name: "q",
+      description: "Full-text search across all values",
+      schema: { type: "string" },
+    },
+    {
+      name: "sort",
+      description:
+        "Comma-separated fields to sort by, prefix with - for descending",
+      schema: { type: "string" },
+    },
+    {
+      name: "limit",
+      description: `Maximum number of documents to return (1–${MAX_QUERY_LIMIT})`,
+      schema: { type: "integer", minimum: 1, maximum: MAX_QUERY_LIMIT },
+    },
+    {
+      name: "offset",
+      description: "Number of matching documents to skip",
+      schema: { type: "integer", minimum: 0 },
+    },
+    {
+      name: "page",
+      description: "1-based page number, used with limit",
+      schema: { type: "integer", minimum: 1 },
+    },
+    {
+      name: "cursor",
+      description: "Continue from the X-Next-Cursor header of a previous page",
+      schema: { type: "string" },
+    },
+    {
+      name: "fields",
+      description: "Comma-separated fields to return (_id is always included)",
+      schema: { type: "string" },
+    },
+  ];
+
+  const references = (collection.fields || []).filter((f) => f.ref);
+  if (references.length) {
+    params.push({
+      name: "expand",
+      description: `Comma-separated reference fields to replace with the related document: ${references
+        .map((f) => f.fieldName)
+        .join(", ")}`,
+      schema: { type: "string" },
+    });
+  }
+
+  for (const { fieldName, fieldType } of collection.fields || []) {
+    const kind = filterKind(fieldType);
+    if (kind === "object") continue;
+    const schema =
+      kind === "array" ? { type: "string" } : jsonSchemaForField(fieldType);
+    params.push(
+      {
+        name: fieldName,
+        description:
+          kind === "array"
+            ? `${fieldName} contains this value`
+            : `${fieldName} equals this value`,
+        schema,
+      },
+      {
+        name: `${fieldName}[ne]`,
+        description: `${fieldName} does not equal this value`,
+        schema,
+      },
+      {
+        name: `${fieldName}[in]`,
+        description: `${fieldName} is one of these comma-separated values`,
+        schema: { type: "string" },
+      }
+    );
+    if (kind === "number" || kind === "date") {
+      for (const [operator, symbol] of Object.entries(RANGE_OPERATORS)) {
+        params.push({
+          name: `${fieldName}[${operator}]`,
+          description: `${fieldName} ${symbol} this value`,
+          schema,
+        });
+      }
+    }
+    if (kind === "string") {
+      params.push({
+        name: `${fieldName}[contains]`,
+        description: `${fieldName} contains this text (case-insensitive)`,
+        schema: { type: "string" },
+      });
+    }
+  }
+  return params;
+}
+
+function queryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Convert a query string value to something comparable with a field value
+ */
+function coerceQueryValue(value, kind, name) {
+  if (kind === "number") {
+    const number = Number(value);
+    if (value === "" || !Number.isFinite(number)) {
+      throw queryError(`"${name}" expects a number`);
+    }
+    return number;
+  }
+  if (kind === "boolean") {
+    if (value !== "true" && value !== "false") {
+      throw queryError(`"${name}" expects true or false`);
+    }
+    return value === "true";
+  }
+  if (kind === "date") {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw queryError(`"${name}" expects a date`);
+    return time;
+  }
+  return String(value);
+}
+
+function comparableValue(value, kind) {
+  if (value === null || value === undefined) return null;
+  if (kind === "number") return Number(value);
+  if (kind === "date") {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  if (kind === "boolean") return Boolean(value);
+  return String(value);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (typeof a === "string" && typeof b === "string") {
+    return a.localeCompare(b);
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Build a predicate for one `field[operator]=value` query parameter
+ */
+function buildFilter(collection, key, rawValue) {
+  const match = /^(.+?)(?:\[(\w+)\])?$/.exec(key);
+  const [, name, operator = "eq"] = match;
+  const field =
+    name === "_id"
+      ? { fieldName: "_id", fieldType: "string" }
+      : (collection.fields || []).find((f) => f.fieldName === name);
+  if (!field) throw queryError(`Unknown field "${name}"`);
+
+  const kind = filterKind(field.fieldType);
+  if (kind === "object") throw queryError(`"${name}" can't be filtered`);
+  if (RANGE_OPERATORS[operator] && kind !== "number" && kind !== "date") {
+    throw queryError(`"${name}" doesn't support [${operator}]`);
+  }
+  if (operator === "contains" && kind !== "string") {
+    throw queryError(`"${name}" doesn't support [contains]`);
+  }
+  if (
+    !["eq", "ne", "in", "contains"].includes(operator) &&
+    !RANGE_OPERATORS[operator]
+  ) {
+    throw queryError(`Unknown operator [${operator}]`);
+  }
+
+  if (kind === "array") {
+    const expected = operator === "in" ? rawValue.split(",") : [rawValue];
+    const includes = (doc) =>
+      Array.isArray(doc[name]) &&
+      doc[name].some((item) => expected.includes(String(item)));
+    return operator === "ne" ? (doc) => !includes(doc) : includes;
+  }
+  if (operator === "contains") {
+    const needle = rawValue.toLowerCase();
+    return (doc) =>
+      String(doc[name] ?? "")
+        .toLowerCase()
+        .includes(needle);
+  }
+
+  const expected =
+    operator === "in"
+      ? rawValue.split(",").map((v) => coerceQueryValue(v, kind, key))
+      : [coerceQueryValue(rawValue, kind, key)];
+  return (doc) => {
+    const value = comparableValue(doc[name], kind);
+    switch (operator) {
+      case "eq":
+      case "in":
+        return expected.includes(value);
+      case "ne":
+        return value !== expected[0];
+      default: {
+        if (value === null) return false;
+        const order = compareValues(value, expected[0]);
+        if (operator === "gt") return order > 0;
+        if (operator === "gte") return order >= 0;
+        if (operator === "lt") return order < 0;
+        return order <= 0;
+      }
+    }
+  };
+}
+
+function searchableText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") {
+    return Object.values(value).map(searchableText).join(" ");
+  }
+  return String(value);
+}
+
+/**
+ * Filter, search, sort and project documents from GET .../documents
+ * query parameters. Throws a 400 error for unknown fields or bad values.
+ */
+function queryDocuments(collection, documents, query) {
+  const filters = [];
+  for (const [key, value] of query) {
+    if (QUERY_PARAMS.has(key)) continue;
+    filters.push(buildFilter(collection, key, value));
+  }
+  let results = documents.filter((doc) => filters.every((f) => f(doc)));
+
+  const search = query.get("q")?.trim().toLowerCase();
+  if (search) {
+    results = results.filter((doc) =>
+      searchableText(doc).toLowerCase().includes(search)
+    );
+  }
+
+  const sort = query.get("sort");
+  if (sort) {
+    const keys = sort
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+      .map((s) => {
+        const name = s.replace(/^[-+]/, "");
+        const field =
+          name === "_id"
+            ? { fieldType: "string" }
+            : (collection.fields || []).find((f) => f.fieldName === name);
+        if (!field) throw queryError(`Unknown sort field "${name}"`);
+        return {
+          name,
+          kind: filterKind(field.fieldType),
+          direction: s.startsWith("-") ? -1 : 1,
+        };
+      });
+    results = [...results].sort((a, b) => {
+      for (const { name, kind, direction } of keys) {
+        const order = compareValues(
+          comparableValue(a[name], kind),
+          comparableValue(b[name], kind)
+        );
+        if (order) return order * direction;
+      }
+      return 0;
+    });
+  }
+
+  const fields = query.get("fields");
+  if (fields) {
+    const names = fields
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    for (const name of names) {
+      if (
+        name !== "_id" &&
+        !(collection.fields || []).some((f) => f.fieldName === name)
+      ) {
+        throw queryError(`Unknown field "${name}" in fields`);
+      }
+    }
+    results = results.map((doc) => {
+      const projected = { _id: doc._id };
+      for (const name of names) {
+        if (name in doc) projected[name] = doc[name];
+      }
+      return projected;
+    });
+  }
+  return results;
+}
+
+/**
+ * Apply limit/offset or cursor pagination to matched documents
+ */
+function pageDocuments(documents, query) {
+  let limit = documents.length;
+  if (query.has("limit")) {
+    limit = Number(query.get("limit"));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+      throw queryError(
+        `"limit" expects an integer from 1 to ${MAX_QUERY_LIMIT}`
+      );
+    }
+  }
+
+  let offset = 0;
+  const cursor = query.get("cursor");
+  if (cursor) {
+    try {
+      offset = JSON.parse(Buffer.from(cursor, "base64url").toString()).offset;
+    } catch {
+      offset = NaN;
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw queryError("Invalid cursor");
+    }
+  } else if (query.has("offset")) {
+    offset = Number(query.get("offset"));
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw queryError('"offset" expects a non-negative integer');
+    }
+  } else if (query.has("page")) {
+    const page = Number(query.get("page"));
+    if (!Number.isInteger(page) || page < 1) {
+      throw queryError('"page" expects a positive integer');
+    }
+    offset = (page - 1) * limit;
+  }
+
+  const end = offset + limit;
+  return {
+    documents: documents.slice(offset, end),
+    nextCursor:
+      end < documents.length
+        ? Buffer.from(JSON.stringify({ offset: end })).toString("base64url")
+        : null,
+  };
+}
+
+/**
+ * Quick pick for switching a collection's scenario
+ */
+async function selectScenario(scenarios, collection) {
+  const current = scenarios.get(collection._id);
+  const items = [
+    ...SCENARIO_PRESETS.map((preset) => ({
+      label: `${preset.id === current.preset ? "$(check)" : "$(beaker)"} ${
+        preset.label
+      }`,
+      description: preset.description,
+      preset,
+    })),
+    { label: "", kind: vscode.QuickPickItemKind.Separator },
+    {
+      label: "$(settings-gear) Custom…",
+      description:
+        "Configure latency, failures and bodies in the Endpoints panel",
+      action: "custom",
+    },
+  ];
+  const choice = await vscode.window.showQuickPick(items, {
+    placeHolder: `Scenario for ${collection.collectionName}: ${scenarioLabel(
+      current
+    )}`,
+  });
+  if (!choice) return null;
+
+  if (choice.action === "custom") {
+    await vscode.commands.executeCommand("mockman.showEndpoints", collection);
+    return null;
+  }
+  return scenarios.set(collection._id, scenarioFromPreset(choice.preset));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("error", reject);
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (!raw) return resolve(undefined);
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        const error = new Error("Invalid JSON body");
+        error.status = 400;
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Generate a MongoDB-style 24 character hex id
+ */
+function generateId() {
+  return crypto.randomBytes(12).toString("hex");
+}
+
+/**
+ * Pick a readable tree label for a document
+ */
+function documentLabel(doc) {
+  for (const key of ["name", "title", "username", "email"]) {
+    if (typeof doc[key] === "string" && doc[key]) return doc[key];
+  }
+  const firstString = Object.entries(doc).find(
+    ([key, value]) => key !== "_id" && typeof value === "string" && value
+  );
+  return firstString ? firstString[1] : doc._id;
+}
+
+function historyKey(collectionId) {
+  return `mockman.history.${collectionId}`;
+}
+
+function scenarioKey(collectionId) {
+  return `mockman.scenario.${collectionId}`;
+}
+
+function documentUri(collectionId, documentId) {
+  return vscode.Uri.from({
+    scheme: "mockman",
+    path: `/${collectionId}/${documentId}.json`,
+  });
+}
+
+function documentCountLabel(count) {
+  if (count === undefined) return undefined;
+  return `${count} document${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Placeholder value for a collection fieldType
+ */
+function defaultValueForType(fieldType) {
+  const type = String(fieldType || "").toLowerCase();
+  if (/(number|int|float|decimal|double|price|amount)/.test(type)) return 0;
+  if (/bool/.test(type)) return false;
+  if (/date|time/.test(type)) return new Date().toISOString();
+  if (/array|list/.test(type)) return [];
+  if (/object|json/.test(type)) return {};
+  return "";
+}
+
+/**
+ * Build an empty document from a collection's fields
+ */
+function sampleDocument(collection) {
+  const doc = {};
+  for (const f of collection.fields || []) {
+    doc[f.fieldName] = defaultValueForType(f.fieldType);
+  }
+  return doc;
+}
+
+/**
+ * Faker-style value generators for custom collection fields
+ */
+const FIRST_NAMES = [
+  "Ava",
+  "Liam",
+  "Mia",
+  "Noah",
+  "Zoe",
+  "Omar",
+  "Lena",
+  "Ravi",
+  "Sofia",
+  "Kai",
+  "Amara",
+  "Jonas",
+];
+const LAST_NAMES = [
+  "Smith",
+  "Garcia",
+  "Chen",
+  "Okafor",
+  "Müller",
+  "Patel",
+  "Silva",
+  "Kim",
+  "Novak",
+  "Haddad",
+];
+const CITIES = [
+  "Berlin",
+  "Lagos",
+  "Austin",
+  "Osaka",
+  "Lisbon",
+  "Toronto",
+  "Pune",
+  "Nairobi",
+  "Oslo",
+  "Lima",
+];
+const COUNTRIES = [
+  "Germany",
+  "Nigeria",
+  "United States",
+  "Japan",
+  "Portugal",
+  "Canada",
+  "India",
+  "Kenya",
+  "Norway",
+  "Peru",
+];
+const COMPANIES = [
+  "Acme",
+  "Globex",
+  "Initech",
+  "Umbrella",
+  "Hooli",
+  "Stark Industries",
+  "Wayne Enterprises",
+  "Soylent",
+];
+const JOB_TITLES = [
+  "Engineer",
+  "Designer",
+  "Product Manager",
+  "Data Analyst",
+  "Support Lead",
+  "Marketing Manager",
+];
+const PRODUCTS = [
+  "Desk Lamp",
+  "Coffee Mug",
+  "Backpack",
+  "Headphones",
+  "Notebook",
+  "Water Bottle",
+  "Keyboard",
+  "Sneakers",
+];
+const WORDS = [
+  "alpha",
+  "bright",
+  "cloud",
+  "delta",
+  "ember",
+  "forest",
+  "glow",
+  "harbor",
+  "island",
+  "jungle",
+  "kite",
+  "lunar",
+];
+const STATUSES = ["active", "inactive", "pending", "archived"];
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function randomInt(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+function sentence(words) {
+  const text = Array.from({ length: words }, () => pick(WORDS)).join(" ");
+  return text.charAt(0).toUpperCase() + text.slice(1) + ".";
+}
+
+const FIELD_GENERATORS = {
+  firstName: {
+    label: "First name",
+    fieldType: "string",
+    generate: () => pick(FIRST_NAMES),
+  },
+  lastName: {
+    label: "Last name",
+    fieldType: "string",
+    generate: () => pick(LAST_NAMES),
+  },
+  fullName: {
+    label: "Full name",
+    fieldType: "string",
+    generate: () => `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`,
+  },
+  username: {
+    label: "Username",
+    fieldType: "string",
+    generate: () => `${pick(FIRST_NAMES).toLowerCase()}${randomInt(1, 999)}`,
+  },
+  email: {
+    label: "Email",
+    fieldType: "email",
+    generate: () =>
+      `${pick(FIRST_NAMES).toLowerCase()}.${pick(LAST_NAMES).toLowerCase()}@example.com`,
+  },
+  phone: {
+    label: "Phone number",
+    fieldType: "string",
+    generate: () => `+1-555-${randomInt(100, 999)}-${randomInt(1000, 9999)}`,
+  },
+  streetAddress: {
+    label: "Street address",
+    fieldType: "string",
+    generate: () => `${randomInt(1, 9999)} ${pick(WORDS)} Street`,
+  },
+  city: { label: "City", fieldType: "string", generate: () => pick(CITIES) },
+  country: {
+    label: "Country",
+    fieldType: "string",
+    generate: () => pick(COUNTRIES),
+  },
+  zipCode: {
+    label: "Zip code",
+    fieldType: "string",
+    generate: () => String(randomInt(10000, 99999)),
+  },
+  company: {
+    label: "Company",
+    fieldType: "string",
+    generate: () => pick(COMPANIES),
+  },
+  jobTitle: {
+    label: "Job title",
+    fieldType: "string",
+    generate: () => pick(JOB_TITLES),
+  },
+  productName: {
+    label: "Product name",
+    fieldType: "string",
+    generate: () => pick(PRODUCTS),
+  },
+  price: {
+    label: "Price",
+    fieldType: "number",
+    generate: () => Math.round(Math.random() * 50000) / 100,
+  },
+  integer: {
+    label: "Integer (0-1000)",
+    fieldType: "number",
+    generate: () => randomInt(0, 1000),
+  },
+  float: {
+    label: "Decimal (0-1)",
+    fieldType: "number",
+    generate: () => Math.round(Math.random() * 10000) / 10000,
+  },
+  boolean: {
+    label: "Boolean",
+    fieldType: "boolean",
+    generate: () => Math.random() < 0.5,
+  },
+  pastDate: {
+    label: "Past date",
+    fieldType: "date",
+    generate: () =>
+      new Date(Date.now() - randomInt(1, 3650) * 86400000).toISOString(),
+  },
+  futureDate: {
+    label: "Future date",
+    fieldType: "date",
+    generate: () =>
+      new Date(Date.now() + randomInt(1, 3650) * 86400000).toISOString(),
+  },
+  uuid: {
+    label: "UUID",
+    fieldType: "string",
+    generate: () => crypto.randomUUID(),
+  },
+  url: {
+    label: "URL",
+    fieldType: "url",
+    generate: () => `https://${pick(WORDS)}.example.com`,
+  },
+  imageUrl: {
+    label: "Image URL",
+    fieldType: "url",
+    generate: () => `https://picsum.photos/seed/${randomInt(1, 10000)}/640/480`,
+  },
+  word: { label: "Word", fieldType: "string", generate: () => pick(WORDS) },
+  sentence: {
+    label: "Sentence",
+    fieldType: "string",
+    generate: () => sentence(randomInt(4, 10)),
+  },
+  paragraph: {
+    label: "Paragraph",
+    fieldType: "string",
+    generate: () =>
+      Array.from({ length: randomInt(3, 5) }, () =>
+        sentence(randomInt(6, 12))
+      ).join(" "),
+  },
+  color: {
+    label: "Hex color",
+    fieldType: "string",
+    generate: () => `#${crypto.randomBytes(3).toString("hex")}`,
+  },
+  status: {
+    label: "Status",
+    fieldType: "string",
+    generate: () => pick(STATUSES),
+  },
+  tags: {
+    label: "Tags",
+    fieldType: "array",
+    generate: () => Array.from({ length: randomInt(1, 3) }, () => pick(WORDS)),
+  },
+};
+
+// Common field names that map onto a generator with a different key
+const GENERATOR_ALIASES = {
+  name: "fullName",
+  title: "sentence",
+  description: "paragraph",
+  bio: "paragraph",
+  image: "imageUrl",
+  avatar: "imageUrl",
+  createdat: "pastDate",
+  updatedat: "pastDate",
+};
+
+const FIELD_TYPES = [
+  "string",
+  "number",
+  "boolean",
+  "date",
+  "email",
+  "url",
+  "array",
+  "object",
+];
+
+/**
+ * Default generator for fields that don't name one
+ */
+function defaultGeneratorForField(field) {
+  if (field.generator && FIELD_GENERATORS[field.generator]) {
+    return field.generator;
+  }
+  const name = String(field.fieldName || "").toLowerCase();
+  const byName = Object.keys(FIELD_GENERATORS).find(
+    (key) => key.toLowerCase() === name
+  );
+  if (byName) return byName;
+  if (GENERATOR_ALIASES[name]) return GENERATOR_ALIASES[name];
+
+  const type = String(field.fieldType || "").toLowerCase();
+  if (/(number|int|float|decimal|double|price|amount)/.test(type))
+    return "integer";
+  if (/bool/.test(type)) return "boolean";
+  if (/date|time/.test(type)) return "pastDate";
+  if (/email/.test(type)) return "email";
+  if (/url|image/.test(type)) return "url";
+  if (/array|list/.test(type)) return "tags";
+  return "word";
+}
+
+/**
+ * Generate fake documents from a list of fields. Reference fields pick from
+ * `referenceIds`, a map of collection name to the ids of its documents.
+ */
+function generateDocuments(fields, count, referenceIds = {}) {
+  return Array.from({ length: count }, () => {
+    const doc = {};
+    for (const field of fields) {
+      if (field.ref) {
+        doc[field.fieldName] = generateReference(
+          field,
+          referenceIds[field.ref] || []
+        );
+        continue;
+      }
+      const generator = FIELD_GENERATORS[defaultGeneratorForField(field)];
+      doc[field.fieldName] =
+        field.fieldType === "object" ? {} : generator.generate();
+    }
+    return doc;
+  });
+}
+
+function generateReference(field, ids) {
+  if (jsonTypeForField(field.fieldType) !== "array") {
+    return ids.length ? pick(ids) : null;
+  }
+  const count = Math.min(ids.length, randomInt(1, 3));
+  return [...ids].sort(() => Math.random() - 0.5).slice(0, count);
+}
+
+/**
+ * Template gallery groups and multi-collection starter kits
+ */
+const TEMPLATE_GROUPS = [
+  {
+    label: "People",
+    tag: "people",
+    pattern:
+      /user|customer|employee|person|profile|contact|member|author|student|patient/i,
+  },
+  {
+    label: "Commerce",
+    tag: "commerce",
+    pattern:
+      /product|order|cart|invoice|payment|shop|inventory|review|coupon|store/i,
+  },
+  {
+    label: "Content",
+    tag: "content",
+    pattern:
+      /post|article|blog|comment|book|movie|music|song|news|recipe|media|photo/i,
+  },
+  {
+    label: "Business",
+    tag: "business",
+    pattern: /company|project|task|ticket|lead|deal|job|event|meeting|crm/i,
+  },
+  {
+    label: "Finance",
+    tag: "finance",
+    pattern: /transaction|account|bank|budget|expense|stock|crypto|loan/i,
+  },
+  {
+    label: "Places",
+    tag: "places",
+    pattern:
+      /address|city|country|location|hotel|flight|trip|restaurant|property/i,
+  },
+];
+
+const STARTER_KITS = [
+  {
+    id: "ecommerce",
+    label: "E-commerce",
+    description: "Customers, a product catalogue and their orders",
+    collections: [
+      {
+        collectionName: "users",
+        fields: [
+          { fieldName: "name", fieldType: "string", generator: "fullName" },
+          { fieldName: "email", fieldType: "email", generator: "email" },
+          {
+            fieldName: "address",
+            fieldType: "string",
+            generator: "streetAddress",
+          },
+          { fieldName: "country", fieldType: "string", generator: "country" },
+          { fieldName: "createdAt", fieldType: "date", generator: "pastDate" },
+        ],
+      },
+      {
+        collectionName: "products",
+        fields: [
+          { fieldName: "name", fieldType: "string", generator: "productName" },
+          { fieldName: "price", fieldType: "number", generator: "price" },
+          { fieldName: "stock", fieldType: "number", generator: "integer" },
+          { fieldName: "image", fieldType: "url", generator: "imageUrl" },
+          { fieldName: "tags", fieldType: "array", generator: "tags" },
+        ],
+      },
+      {
+        collectionName: "orders",
+        fields: [
+          { fieldName: "userId", fieldType: "string", ref: "users" },
+          { fieldName: "productIds", fieldType: "array", ref: "products" },
+          { fieldName: "total", fieldType: "number", generator: "price" },
+          { fieldName: "status", fieldType: "string", generator: "status" },
+          { fieldName: "orderedAt", fieldType: "date", generator: "pastDate" },
+        ],
+      },
+    ],
+  },
+  {
+    id: "blog",
+    label: "Blog",
+    description: "Authors, their posts and reader comments",
+    collections: [
+      {
+        collectionName: "authors",
+        fields: [
+          { fieldName: "name", fieldType: "string", generator: "fullName" },
+          { fieldName: "email", fieldType: "email", generator: "email" },
+          { fieldName: "avatar", fieldType: "url", generator: "imageUrl" },
+          { fieldName: "bio", fieldType: "string", generator: "paragraph" },
+        ],
+      },
+      {
+        collectionName: "posts",
+        fields: [
+          { fieldName: "title", fieldType: "string", generator: "sentence" },
+          { fieldName: "body", fieldType: "string", generator: "paragraph" },
+          { fieldName: "authorId", fieldType: "string", ref: "authors" },
+          { fieldName: "tags", fieldType: "array", generator: "tags" },
+          {
+            fieldName: "publishedAt",
+            fieldType: "date",
+            generator: "pastDate",
+          },
+        ],
+      },
+      {
+        collectionName: "comments",
+        fields: [
+          { fieldName: "postId", fieldType: "string", ref: "posts" },
+          {
+            fieldName: "authorName",
+            fieldType: "string",
+            generator: "fullName",
+          },
+          { fieldName: "body", fieldType: "string", generator: "sentence" },
+          { fieldName: "createdAt", fieldType: "date", generator: "pastDate" },
+        ],
+      },
+    ],
+  },
+  {
+    id: "projects",
+    label: "Project tracker",
+    description: "Team members, projects and the tasks assigned to them",
+    collections: [
+      {
+        collectionName: "members",
+        fields: [
+          { fieldName: "name", fieldType: "string", generator: "fullName" },
+          { fieldName: "email", fieldType: "email", generator: "email" },
+          { fieldName: "role", fieldType: "string", generator: "jobTitle" },
+        ],
+      },
+      {
+        collectionName: "projects",
+        fields: [
+          { fieldName: "name", fieldType: "string", generator: "productName" },
+          { fieldName: "ownerId", fieldType: "string", ref: "members" },
+          { fieldName: "status", fieldType: "string", generator: "status" },
+          { fieldName: "dueDate", fieldType: "date", generator: "futureDate" },
+        ],
+      },
+      {
+        collectionName: "tasks",
+        fields: [
+          { fieldName: "title", fieldType: "string", generator: "sentence" },
+          { fieldName: "projectId", fieldType: "string", ref: "projects" },
+          { fieldName: "assigneeId", fieldType: "string", ref: "members" },
+          { fieldName: "done", fieldType: "boolean", generator: "boolean" },
+          { fieldName: "dueDate", fieldType: "date", generator: "futureDate" },
+        ],
+      },
+    ],
+  },
+  {
+    id: "crm",
+    label: "CRM",
+    description: "Companies, their contacts and open deals",
+    collections: [
+      {
+        collectionName: "companies",
+        fields: [
+          { fieldName: "name", fieldType: "string", generator: "company" },
+          { fieldName: "website", fieldType: "url", generator: "url" },
+          { fieldName: "country", fieldType: "string", generator: "country" },
+        ],
+      },
+      {
+        collectionName: "contacts",
+        fields: [
+          { fieldName: "name", fieldType: "string", generator: "fullName" },
+          { fieldName: "email", fieldType: "email", generator: "email" },
+          { fieldName: "phone", fieldType: "string", generator: "phone" },
+          { fieldName: "title", fieldType: "string", generator: "jobTitle" },
+          { fieldName: "companyId", fieldType: "string", ref: "companies" },
+        ],
+      },
+      {
+        collectionName: "deals",
+        fields: [
+          { fieldName: "contactId", fieldType: "string", ref: "contacts" },
+          { fieldName: "amount", fieldType: "number", generator: "price" },
+          { fieldName: "status", fieldType: "string", generator: "status" },
+          {
+            fieldName: "closeDate",
+            fieldType: "date",
+            generator: "futureDate",
+          },
+        ],
+      },
+    ],
+  },
+];
+
+/**
+ * Give a template from the API a group and tags for the gallery filters
+ */
+function normalizeTemplate(template) {
+  const text = [template.category, template.displayName, template.description]
+    .filter(Boolean)
+    .join(" ");
+  const groups = TEMPLATE_GROUPS.filter((g) => g.pattern.test(text));
+  return {
+    category: template.category,
+    displayName: template.displayName || template.category,
+    description: template.description || "",
+    group: template.group || groups[0]?.label || "Other",
+    tags: Array.isArray(template.tags)
+      ? template.tags.map(String)
+      : groups.map((g) => g.tag),
+  };
+}
+
+/**
+ * Fields of a template preview, which is the template's schema in the
+ * same `fields` shape as a collection, with generated sample rows
+ */
+function templatePreview(data) {
+  const fields = (data.fields || [])
+    .filter((f) => f.fieldName !== "_id")
+    .map(({ fieldName, fieldType }) => ({
+      key: fieldName,
+      fieldName,
+      fieldType,
+    }));
+  return { fields, rows: generateDocuments(fields, 5) };
+}
+
+/**
+ * Preview rows for customised template fields: sample values follow
+ * renamed columns and added columns are generated
+ */
+function templatePreviewRows(preview, fields) {
+  const kept = fields.filter((f) => f.include);
+  const mapped = mapDocuments(
+    preview.rows,
+    kept.filter((f) => f.key)
+  );
+  const generated = generateDocuments(
+    kept.filter((f) => !f.key),
+    mapped.length
+  );
+  return mapped.map((row, i) => ({ ...row, ...generated[i] }));
+}
+
+/**
+ * Create every collection of a starter kit in order, seeding reference
+ * fields with the documents of the collections created before them
+ */
+async function createStarterKit(
+  api,
+  apiKey,
+  kit,
+  { prefix = "", count },
+  onProgress
+) {
+  const referenceIds = {};
+  const created = [];
+  for (const definition of kit.collections) {
+    const collectionName = prefix + definition.collectionName;
+    const fields = definition.fields.map((f) =>
+      f.ref ? { ...f, ref: prefix + f.ref } : f
+    );
+    onProgress(collectionName);
+    const collection = await createCollection(
+      api,
+      apiKey,
+      collectionName,
+      fields,
+      []
+    );
+    await postDocumentsInBatches(
+      api,
+      apiKey,
+      collection._id,
+      generateDocuments(fields, count, referenceIds),
+      () => {}
+    );
+    referenceIds[collectionName] = (
+      await fetchAllDocuments(api, apiKey, collection._id)
+    ).map((doc) => doc._id);
+    created.push(collectionName);
+  }
+  return created;
+}
+
+/**
+ * Relations between collections, declared with `ref` on a field
+ */
+function referencingFields(collection, collections) {
+  const references = [];
+  for (const source of collections) {
+    for (const field of source.fields || []) {
+      if (field.ref === collection.collectionName) {
+        references.push({ source, field });
+      }
+    }
+  }
+  return references;
+}
+
+/**
+ * Ids of the documents each referenced collection holds, for seeding
+ */
+async function fetchReferenceIds(api, apiKey, collections, fields) {
+  const referenceIds = {};
+  for (const name of new Set(fields.map((f) => f.ref).filter(Boolean))) {
+    const target = collections.find((c) => c.collectionName === name);
+    if (!target) continue;
+    const documents = await fetchAllDocuments(api, apiKey, target._id);
+    referenceIds[name] = documents.map((d) => d._id);
+  }
+  return referenceIds;
+}
+
+/**
+ * Check a collection name and field list, returning a problem or null
+ */
+function validateSchema(collectionName, fields) {
+  if (!collectionName) return "Collection name is required.";
+  if (!fields.length) return "Add at least one field.";
+  const seen = new Set();
+  for (const f of fields) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(f.fieldName)) {
+      return `Invalid field name "${f.fieldName}". Use letters, digits and underscores.`;
+    }
+    if (f.fieldName === "_id") return `"_id" is reserved.`;
+    if (seen.has(f.fieldName)) return `Duplicate field "${f.fieldName}".`;
+    seen.add(f.fieldName);
+  }
+  return null;
+}
+
+/**
+ * Code generation for collection types, validators and clients
+ */
+function pascalCase(text) {
+  return String(text)
+    .replace(/[^A-Za-z0-9]+/g, " ")
+    .trim()
+    .split(/\s+/)
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join("")
+    .replace(/^(\d)/, "_$1");
+}
+
+function singular(name) {
+  if (/ies$/i.test(name)) return name.slice(0, -3) + "y";
+  if (/(ss|us)$/i.test(name)) return name;
+  if (/s$/i.test(name)) return name.slice(0, -1);
+  return name;
+}
+
+function typeNameFor(collection) {
+  return pascalCase(singular(collection.collectionName)) || "Document";
+}
+
+/**
+ * Map a MockMan fieldType onto a JSON type
+ */
+function jsonTypeForField(fieldType) {
+  const type = String(fieldType || "").toLowerCase();
+  if (/(number|int|float|decimal|double|price|amount)/.test(type)) {
+    return "number";
+  }
+  if (/bool/.test(type)) return "boolean";
+  if (/array|list/.test(type)) return "array";
+  if (/object|json/.test(type)) return "object";
+  return "string";
+}
+
+function tsTypeForField(fieldType) {
+  switch (jsonTypeForField(fieldType)) {
+    case "array":
+      return "unknown[]";
+    case "object":
+      return "Record<string, unknown>";
+    default:
+      return jsonTypeForField(fieldType);
+  }
+}
+
+function zodTypeForField(fieldType) {
+  const type = String(fieldType || "").toLowerCase();
+  switch (jsonTypeForField(fieldType)) {
+    case "number":
+      return "z.number()";
+    case "boolean":
+      return "z.boolean()";
+    case "array":
+      return "z.array(z.unknown())";
+    case "object":
+      return "z.record(z.unknown())";
+  }
+  if (/email/.test(type)) return "z.string().email()";
+  if (/url/.test(type)) return "z.string().url()";
+  if (/date|time/.test(type)) return "z.string().datetime()";
+  return "z.string()";
+}
+
+function jsonSchemaForField(fieldType) {
+  const type = String(fieldType || "").toLowerCase();
+  const schema = { type: jsonTypeForField(fieldType) };
+  if (schema.type === "string") {
+    if (/email/.test(type)) schema.format = "email";
+    else if (/url/.test(type)) schema.format = "uri";
+    else if (/date|time/.test(type)) schema.format = "date-time";
+  }
+  return schema;
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Document validation against collection fields
+ */
+const DOCUMENT_SYSTEM_KEYS = new Set(["_id", "__v"]);
+
+/**
+ * Problems with a document: values that don't match their field's type,
+ * declared fields that are missing and keys the collection doesn't declare.
+ * Collections without fields accept anything, and any field may be null.
+ */
+function validateDocument(collection, document) {
+  const fields = collection.fields || [];
+  if (!fields.length) return [];
+  const problems = [];
+  for (const field of fields) {
+    if (!Object.prototype.hasOwnProperty.call(document, field.fieldName)) {
+      problems.push({
+        kind: "missing-field",
+        field: field.fieldName,
+        message: `Missing field "${field.fieldName}" (${field.fieldType})`,
+      });
+      continue;
+    }
+    const mismatch = fieldValueMismatch(field, document[field.fieldName]);
+    if (mismatch) {
+      problems.push({
+        kind: "type-mismatch",
+        field: field.fieldName,
+        message: `"${field.fieldName}" ${mismatch}`,
+      });
+    }
+  }
+  const declared = new Set(fields.map((f) => f.fieldName));
+  for (const key of Object.keys(document)) {
+    if (declared.has(key) || DOCUMENT_SYSTEM_KEYS.has(key)) continue;
+    problems.push({
+      kind: "unknown-field",
+      field: key,
+      message: `Unknown field "${key}" is not declared on ${collection.collectionName}`,
+    });
+  }
+  return problems;
+}
+
+function fieldValueMismatch(field, value) {
+  if (value === null) return null;
+  const actual = Array.isArray(value) ? "array" : typeof value;
+  const type = String(field.fieldType || "").toLowerCase();
+  switch (jsonTypeForField(field.fieldType)) {
+    case "number":
+      return Number.isFinite(value) ? null : `must be a number, got ${actual}`;
+    case "boolean":
+      return actual === "boolean" ? null : `must be a boolean, got ${actual}`;
+    case "array":
+      if (actual !== "array") return `must be an array, got ${actual}`;
+      return field.ref && value.some((id) => typeof id !== "string")
+        ? `must be an array of ids from ${field.ref}`
+        : null;
+    case "object":
+      return actual === "object" ? null : `must be an object, got ${actual}`;
+    default:
+      if (actual !== "string") return `must be a string, got ${actual}`;
+      if (/email/.test(type) && !/^[^\s@]+@[^\s@]+$/.test(value)) {
+        return "must be an email address";
+      }
+      if (/url/.test(type) && !URL.canParse(value)) return "must be a URL";
+      if (/date|time/.test(type) && Number.isNaN(Date.parse(value))) {
+        return "must be a date";
+      }
+      return null;
+  }
+}
+
+/**
+ * Problems that block writing documents, or none when
+ * `mockman.validateOnWrite` is off. Batches number each problem's document.
+ */
+function writeValidationErrors(collection, documents) {
+  const enabled = vscode.workspace
+    .getConfiguration("mockman")
+    .get("validateOnWrite", true);
+  if (!enabled) return [];
+  return documents.flatMap((document, index) =>
+    validateDocument(collection, document).map((problem) =>
+      documents.length > 1 ? { ...problem, index } : problem
+    )
+  );
+}
+
+function validationMessage(collection, errors) {
+  const shown = errors
+    .slice(0, 3)
+    .map((e) =>
+      e.index === undefined ? e.message : `[${e.index}] ${e.message}`
+    );
+  const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : "";
+  return `Document does not match the ${collection.collectionName} fields: ${shown.join("; ")}${more}`;
+}
+
+/**
+ * Range of a top-level key in pretty-printed JSON, falling back to the
+ * first occurrence of the key and then to the opening brace
+ */
+function jsonKeyRange(text, key) {
+  const quoted = JSON.stringify(key);
+  let offset = text.indexOf(`\n  ${quoted}`);
+  offset = offset === -1 ? text.indexOf(quoted) : offset + 3;
+  if (offset === -1) return textRange(text, Math.max(text.indexOf("{"), 0), 1);
+  return textRange(text, offset, quoted.length);
+}
+
+function textRange(text, offset, length) {
+  const position = (at) => {
+    const before = text.slice(0, at).split("\n");
+    return new vscode.Position(before.length - 1, before.at(-1).length);
+  };
+  return new vscode.Range(position(offset), position(offset + length));
+}
+
+/**
+ * Range of a string value, such as a field name in a collection definition
+ */
+function jsonValueRange(text, value) {
+  const quoted = JSON.stringify(value);
+  const match = new RegExp(
+    `:\\s*(${quoted.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})`
+  ).exec(text);
+  if (!match) return null;
+  return textRange(
+    text,
+    match.index + match[0].length - quoted.length,
+    quoted.length
+  );
+}
+
+function documentDiagnostics(text, problems) {
+  return problems.map((problem) => {
+    const diagnostic = new vscode.Diagnostic(
+      problem.kind === "missing-field"
+        ? textRange(text, Math.max(text.indexOf("{"), 0), 1)
+        : jsonKeyRange(text, problem.field),
+      problem.message,
+      problem.kind === "unknown-field"
+        ? vscode.DiagnosticSeverity.Warning
+        : vscode.DiagnosticSeverity.Error
+    );
+    diagnostic.source = "MockMan";
+    diagnostic.code = problem.kind;
+    return diagnostic;
+  });
+}
+
+function generateTypeScriptInterface(collection) {
+  const name = typeNameFor(collection);
+  const lines = [`export interface ${name} {`, "  _id: string;"];
+  for (const f of collection.fields || []) {
+    lines.push(
+      `  ${propertyKey(f.fieldName)}: ${tsTypeForField(f.fieldType)};`
+    );
+  }
+  lines.push("}", "", `export type ${name}Input = Omit<${name}, "_id">;`);
+  return lines.join("\n");
+}
+
+function generateZodSchema(collection) {
+  const name = typeNameFor(collection);
+  const lines = [
+    'import { z } from "zod";',
+    "",
+    `export const ${name}InputSchema = z.object({`,
+  ];
+  for (const f of collection.fields || []) {
+    lines.push(
+      `  ${propertyKey(f.fieldName)}: ${zodTypeForField(f.fieldType)},`
+    );
+  }
+  lines.push(
+    "});",
+    "",
+    `export const ${name}Schema = ${name}InputSchema.extend({ _id: z.string() });`
+  );
+  return lines.join("\n");
+}
+
+function buildJsonSchema(collection) {
+  const properties = { _id: { type: "string" } };
+  for (const f of collection.fields || []) {
+    properties[f.fieldName] = jsonSchemaForField(f.fieldType);
+    if (f.ref) {
+      properties[f.fieldName].description = `References ${f.ref}._id`;
+    }
+  }
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: typeNameFor(collection),
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+  };
+}
+
+function generateJsonSchema(collection) {
+  const name = typeNameFor(collection);
+  return `export const ${name}JsonSchema = ${JSON.stringify(
+    buildJsonSchema(collection),
+    null,
+    2
+  )} as const;`;
+}
+
+function generateFetchClient(collection, baseUrl) {
+  const name = typeNameFor(collection);
+  return `export function create${name}Client(
+  apiKey: string,
+  baseUrl = "${baseUrl}"
+) {
+  const documentsUrl = \`\${baseUrl}/collections/\${apiKey}/${collection._id}/documents\`;
+
+  async function request<T>(url: string, init?: RequestInit): Promise<T> {
+    const res = await fetch(url, {
+      ...init,
+      headers: { "Content-Type": "application/json", ...init?.headers },
+    });
+    if (!res.ok) {
+      throw new Error(\`MockMan request failed: \${res.status} \${res.statusText}\`);
+    }
+    return res.json() as Promise<T>;
+  }
+
+  return {
+    list: () => request<${name}[]>(documentsUrl),
+    get: (id: string) => request<${name}>(\`\${documentsUrl}/\${id}\`),
+    create: (input: ${name}Input) =>
+      request<${name}>(documentsUrl, { method: "POST", body: JSON.stringify(input) }),
+    update: (id: string, input: ${name}Input) =>
+      request<${name}>(\`\${documentsUrl}/\${id}\`, { method: "PUT", body: JSON.stringify(input) }),
+    remove: (id: string) =>
+      request<${name}>(\`\${documentsUrl}/\${id}\`, { method: "DELETE" }),
+    removeAll: () => request<unknown>(documentsUrl, { method: "DELETE" }),
+  };
+}`;
+}
+
+const TYPE_GENERATORS = [
+  {
+    label: "TypeScript interface",
+    picked: true,
+    generate: generateTypeScriptInterface,
+  },
+  { label: "Zod schema", picked: true, generate: generateZodSchema },
+  { label: "JSON Schema", picked: false, generate: generateJsonSchema },
+  {
+    label: "Typed fetch client",
+    picked: true,
+    generate: generateFetchClient,
+  },
+];
+
+/**
+ * Ask what to generate for a collection and where to put it
+ */
+async function generateTypes(collection, baseUrl) {
+  const choices = await vscode.window.showQuickPick(TYPE_GENERATORS, {
+    canPickMany: true,
+    title: `Generate types for ${collection.collectionName}`,
+    placeHolder: "Select what to generate",
+  });
+  if (!choices || choices.length === 0) return;
+
+  // The fetch client refers to the interface and its input type
+  if (
+    choices.some((c) => c.generate === generateFetchClient) &&
+    !choices.some((c) => c.generate === generateTypeScriptInterface)
+  ) {
+    choices.unshift(TYPE_GENERATORS[0]);
+  }
+
+  const code = [
+    `// Generated by MockMan from collection "${collection.collectionName}" (${collection._id})`,
+    ...TYPE_GENERATORS.filter((g) => choices.includes(g)).map((g) =>
+      g.generate(collection, baseUrl)
+    ),
+  ].join("\n\n");
+
+  const target = await vscode.window.showQuickPick(
+    [
+      { label: "$(new-file) New untitled editor", value: "untitled" },
+      { label: "$(file-code) Append to workspace file…", value: "file" },
+    ],
+    { placeHolder: "Where should the generated code go?" }
+  );
+  if (!target) return;
+
+  if (target.value === "untitled") {
+    const doc = await vscode.workspace.openTextDocument({
+      language: "typescript",
+      content: code + "\n",
+    });
+    await vscode.window.showTextDocument(doc);
+    return;
+  }
+
+  const [uri] =
+    (await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri,
+      filters: { TypeScript: ["ts", "tsx", "mts", "cts"] },
+      openLabel: "Append Types",
+    })) || [];
+  if (!uri) return;
+
+  const doc = await vscode.workspace.openTextDocument(uri);
+  const end = doc.lineAt(doc.lineCount - 1).range.end;
+  const prefix = doc.getText().trim() ? "\n\n" : "";
+  const edit = new vscode.WorkspaceEdit();
+  edit.insert(uri, end, prefix + code + "\n");
+  await vscode.workspace.applyEdit(edit);
+  const editor = await vscode.window.showTextDocument(doc);
+  editor.revealRange(new vscode.Range(end, end));
+}
+
+/**
+ * Recognising MockMan URLs in source files
+ */
+function mockmanUrlPattern(baseUrls) {
+  const bases = baseUrls
+    .map((url) => url.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  const segment = "[^/\\s\"'`<>()?#]+";
+  return new RegExp(
+    `(?:${bases})/collections/(${segment})` +
+      `(?:/(${segment})(?:/(${segment})(?:/(${segment}))?)?)?` +
+      "(\\?[^\\s\"'`<>()]*)?",
+    "g"
+  );
+}
+
+function isPlaceholderSegment(segment) {
+  return !segment || /[{}$]|^:/.test(segment);
+}
+
+/**
+ * Resolve a matched URL to its collection, document and request path
+ */
+function parseMockmanUrl(match, collections) {
+  const [, apiKey, second, third, fourth, query = ""] = match;
+  let collectionRef = second;
+  let collection;
+  let route = third;
+  let documentId = fourth;
+  if (second === "by-name") {
+    collectionRef = third;
+    collection = collections.find((c) => c.collectionName === third);
+    route = fourth;
+    documentId = undefined;
+  } else if (second && !isPlaceholderSegment(second)) {
+    collection = collections.find((c) => c._id === second);
+  } else {
+    collectionRef = undefined;
+  }
+  if (route !== undefined && route !== "documents") return null;
+  if (isPlaceholderSegment(documentId)) documentId = undefined;
+
+  const segments = ["collections", apiKey, second, third, fourth];
+  const path = "/" + segments.filter((s) => s !== undefined).join("/");
+  return { apiKey, collectionRef, collection, documentId, path: path + query };
+}
+
+const REQUEST_METHOD_PATTERN =
+  /\b(?:axios|requests|http|client|api)\.(get|post|put|delete)\b|-X\s+["']?(GET|POST|PUT|DELETE)\b|method\s*[:=]\s*["'`](GET|POST|PUT|DELETE)["'`]|http\.NewRequest\(\s*"(GET|POST|PUT|DELETE)"/i;
+
+/**
+ * Guess the HTTP method of a request from the code around its URL: the
+ * URL's own line, a call opened on the line above, or the options that
+ * follow it up to the next blank line or URL
+ */
+function requestMethodNear(document, line) {
+  const candidates = [document.lineAt(line).text];
+  if (line > 0 && /\(\s*$/.test(document.lineAt(line - 1).text)) {
+    candidates.push(document.lineAt(line - 1).text);
+  }
+  const last = Math.min(document.lineCount - 1, line + 5);
+  for (let i = line + 1; i <= last; i++) {
+    const text = document.lineAt(i).text;
+    if (!text.trim() || text.includes("://")) break;
+    candidates.push(text);
+  }
+  for (const text of candidates) {
+    const match = text.match(REQUEST_METHOD_PATTERN);
+    if (match) return match.slice(1).find(Boolean).toUpperCase();
+  }
+  return "GET";
+}
+
+/**
+ * Escape text for a MarkdownString, including theme icons and table pipes
+ */
+function escapeMarkdown(text) {
+  return String(text ?? "")
+    .replace(/[\\`*_{}[\]()#+\-.!|<>~$&:]/g, "\\$&")
+    .replace(/\r?\n/g, " ");
+}
+
+function commandUri(command, args) {
+  return vscode.Uri.parse(
+    `command:${command}?${encodeURIComponent(JSON.stringify(args))}`
+  );
+}
+
+/**
+ * Run the request behind a MockMan URL in the Endpoints panel. Reads are
+ * sent right away, deletes after confirmation, and writes open in the
+ * runner with a sample body to review first.
+ */
+async function sendUrlRequest(
+  provider,
+  endpointsWebview,
+  collection,
+  method,
+  path
+) {
+  const apiKey = await provider.getApiKey();
+  if (!apiKey) {
+    vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+    return;
+  }
+
+  const [route, query = ""] = path.split("?");
+  const segments = route.split("/");
+  segments[2] = apiKey;
+  let complete = !query.includes("${");
+  for (let i = 3; i < segments.length; i++) {
+    if (isPlaceholderSegment(segments[i])) {
+      segments[i] = ":documentId";
+      complete = false;
+    }
+  }
+  const request = {
+    method,
+    path: segments.join("/") + (query ? `?${query}` : ""),
+  };
+
+  if (method === "POST" || method === "PUT") {
+    request.body = sampleDocument(collection);
+  } else if (complete && method === "DELETE") {
+    const confirm = await vscode.window.showWarningMessage(
+      `Send DELETE ${route}?`,
+      { modal: true },
+      "Send"
+    );
+    request.send = confirm === "Send";
+  } else {
+    request.send = complete;
+  }
+  await endpointsWebview.show(collection, request);
+}
+
+/**
+ * Open a document of a collection, picking one when no ID is given
+ */
+async function openDocuments(provider, collection, documentId) {
+  if (!documentId) {
+    let page;
+    try {
+      page =
+        provider.documentPages.get(collection._id) ||
+        (await provider.loadDocuments(collection._id));
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Error fetching documents: ${describeError(error)}`
+      );
+      return;
+    }
+    if (!page.items.length) {
+      vscode.window.showInformationMessage(
+        `${collection.collectionName} has no documents yet.`
+      );
+      return;
+    }
+    const choice = await vscode.window.showQuickPick(
+      page.items.map((doc) => ({
+        label: documentLabel(doc),
+        description: doc._id,
+        documentId: doc._id,
+      })),
+      {
+        title: `${collection.collectionName} documents`,
+        placeHolder: page.hasMore
+          ? `First ${page.items.length} documents`
+          : "Select a document",
+        matchOnDescription: true,
+      }
+    );
+    if (!choice) return;
+    documentId = choice.documentId;
+  }
+  await vscode.commands.executeCommand(
+    "vscode.open",
+    documentUri(collection._id, documentId)
+  );
+}
+
+/**
+ * Ready-to-paste request snippets for the Endpoints panel
+ */
+function snippetUrlTokens(url, apiKey, apiKeyEnv, documentParam) {
+  const tokens = [];
+  const pattern = documentParam ? /(:documentId)/ : null;
+  const pushText = (text) => {
+    const parts = pattern ? text.split(pattern) : [text];
+    for (const part of parts) {
+      if (!part) continue;
+      tokens.push(
+        part === ":documentId" && pattern
+          ? { param: documentParam }
+          : { text: part }
+      );
+    }
+  };
+  const pieces = apiKeyEnv ? url.split(apiKey) : [url];
+  pieces.forEach((piece, i) => {
+    if (i > 0) tokens.push({ env: apiKeyEnv });
+    pushText(piece);
+  });
+  return tokens;
+}
+
+function jsUrl(tokens) {
+  if (tokens.every((t) => t.text !== undefined)) {
+    return JSON.stringify(tokens.map((t) => t.text).join(""));
+  }
+  return (
+    "`" +
+    tokens
+      .map((t) =>
+        t.text !== undefined
+          ? t.text.replace(/[`\\]/g, "\\$&").replace(/\$\{/g, "\\${")
+          : t.env
+            ? `\${process.env.${t.env}}`
+            : `\${${t.param}}`
+      )
+      .join("") +
+    "`"
+  );
+}
+
+function pythonLiteral(value, indent = "") {
+  const inner = indent + "    ";
+  if (value === null || value === undefined) return "None";
+  if (value === true) return "True";
+  if (value === false) return "False";
+  if (Array.isArray(value)) {
+    if (!value.length) return "[]";
+    return `[\n${value
+      .map((v) => inner + pythonLiteral(v, inner))
+      .join(",\n")},\n${indent}]`;
+  }
+  if (typeof value === "object") {
+    const entries = Object.entries(value);
+    if (!entries.length) return "{}";
+    return `{\n${entries
+      .map(
+        ([k, v]) => `${inner}${JSON.stringify(k)}: ${pythonLiteral(v, inner)}`
+      )
+      .join(",\n")},\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function snippetHookName(collection, description) {
+  const plural = pascalCase(collection.collectionName) || "Documents";
+  const name = description
+    .replace(/\s*\(.*\)/, "")
+    .replace(/\bdocuments\b/gi, plural)
+    .replace(/\bdocument\b/gi, typeNameFor(collection));
+  return `use${pascalCase(name.replace(/\bID\b/, "Id"))}`;
+}
+
+const SNIPPET_GENERATORS = [
+  {
+    label: "curl",
+    generate: ({ method, tokens, body }) => {
+      const url = tokens.map((t) => t.text ?? `$${t.env}`).join("");
+      const lines = [`curl -X ${method} "${url}"`];
+      if (body !== undefined) {
+        lines.push(
+          `  -H "Content-Type: application/json"`,
+          `  -d '${JSON.stringify(body).replace(/'/g, "'\\''")}'`
+        );
+      }
+      return lines.join(" \\\n");
+    },
+  },
+  {
+    label: "fetch",
+    generate: ({ method, tokens, body }) => {
+      const options = [`  method: "${method}",`];
+      if (body !== undefined) {
+        options.push(
+          `  headers: { "Content-Type": "application/json" },`,
+          `  body: JSON.stringify(${JSON.stringify(body, null, 2).replace(
+            /\n/g,
+            "\n  "
+          )}),`
+        );
+      }
+      return [
+        `const response = await fetch(${jsUrl(tokens)}, {`,
+        ...options,
+        "});",
+        "const data = await response.json();",
+      ].join("\n");
+    },
+  },
+  {
+    label: "axios",
+    generate: ({ method, tokens, body }) => {
+      const args = [jsUrl(tokens)];
+      if (body !== undefined) args.push(JSON.stringify(body, null, 2));
+      return [
+        'import axios from "axios";',
+        "",
+        `const { data } = await axios.${method.toLowerCase()}(${args.join(
+          ", "
+        )});`,
+      ].join("\n");
+    },
+  },
+  {
+    label: "Python requests",
+    generate: ({ method, tokens, body }) => {
+      const dynamic = tokens.some((t) => t.env);
+      const url = dynamic
+        ? `f"${tokens
+            .map((t) => (t.env ? `{os.environ['${t.env}']}` : t.text))
+            .join("")}"`
+        : JSON.stringify(tokens.map((t) => t.text).join(""));
+      const args = [`    ${url},`];
+      if (body !== undefined)
+        args.push(`    json=${pythonLiteral(body, "    ")},`);
+      return [
+        ...(dynamic ? ["import os", ""] : []),
+        "import requests",
+        "",
+        `response = requests.${method.toLowerCase()}(`,
+        ...args,
+        ")",
+        "response.raise_for_status()",
+        "print(response.json())",
+      ].join("\n");
+    },
+  },
+  {
+    label: "Go net/http",
+    generate: ({ method, tokens, body }) => {
+      const dynamic = tokens.some((t) => t.env);
+      const url = tokens
+        .map((t) => (t.env ? `os.Getenv("${t.env}")` : JSON.stringify(t.text)))
+        .join(" + ");
+      const json = body !== undefined ? JSON.stringify(body, null, 2) : null;
+      const imports = [
+        ...(json ? ['"bytes"'] : []),
+        '"fmt"',
+        '"io"',
+        '"net/http"',
+        ...(dynamic ? ['"os"'] : []),
+      ];
+      return [
+        "package main",
+        "",
+        "import (",
+        ...imports.map((i) => `\t${i}`),
+        ")",
+        "",
+        "func main() {",
+        `\turl := ${url}`,
+        ...(json
+          ? [
+              `\tbody := bytes.NewBufferString(${
+                json.includes("`") ? JSON.stringify(json) : "`" + json + "`"
+              })`,
+              `\treq, err := http.NewRequest("${method}", url, body)`,
+            ]
+          : [`\treq, err := http.NewRequest("${method}", url, nil)`]),
+        "\tif err != nil {",
+        "\t\tpanic(err)",
+        "\t}",
+        ...(json
+          ? ['\treq.Header.Set("Content-Type", "application/json")']
+          : []),
+        "\tres, err := http.DefaultClient.Do(req)",
+        "\tif err != nil {",
+        "\t\tpanic(err)",
+        "\t}",
+        "\tdefer res.Body.Close()",
+        "\tdata, _ := io.ReadAll(res.Body)",
+        "\tfmt.Println(res.Status, string(data))",
+        "}",
+      ].join("\n");
+    },
+  },
+  {
+    label: "React Query hook",
+    generate: ({ method, path, hookTokens, body, hookName, collection }) => {
+      const params = hookTokens.some((t) => t.param)
+        ? "documentId: string"
+        : "";
+      const url = jsUrl(hookTokens);
+      if (method === "GET") {
+        const key = path.includes("/documents")
+          ? [collection.collectionName, ...(params ? ["documentId"] : [])]
+          : ["collections", hookName.slice(3)];
+        return [
+          'import { useQuery } from "@tanstack/react-query";',
+          "",
+          `export function ${hookName}(${params}) {`,
+          "  return useQuery({",
+          `    queryKey: [${key
+            .map((k) => (k === "documentId" ? k : JSON.stringify(k)))
+            .join(", ")}],`,
+          "    queryFn: async () => {",
+          `      const response = await fetch(${url});`,
+          "      if (!response.ok) throw new Error(`Request failed: ${response.status}`);",
+          "      return response.json();",
+          "    },",
+          "  });",
+          "}",
+        ].join("\n");
+      }
+      const variables =
+        body !== undefined ? `input: ${typeNameFor(collection)}Input` : "";
+      return [
+        'import { useMutation, useQueryClient } from "@tanstack/react-query";',
+        ...(variables
+          ? [
+              "",
+              `// ${typeNameFor(collection)}Input comes from MockMan: Generate Types`,
+            ]
+          : []),
+        "",
+        `export function ${hookName}(${params}) {`,
+        "  const queryClient = useQueryClient();",
+        "  return useMutation({",
+        `    mutationFn: async (${variables}) => {`,
+        `      const response = await fetch(${url}, {`,
+        `        method: "${method}",`,
+        ...(variables
+          ? [
+              '        headers: { "Content-Type": "application/json" },',
+              "        body: JSON.stringify(input),",
+            ]
+          : []),
+        "      });",
+        "      if (!response.ok) throw new Error(`Request failed: ${response.status}`);",
+        "      return response.json();",
+        "    },",
+        "    onSuccess: () =>",
+        `      queryClient.invalidateQueries({ queryKey: [${JSON.stringify(
+          collection.collectionName
+        )}] }),`,
+        "  });",
+        "}",
+      ].join("\n");
+    },
+  },
+];
+
+/**
+ * Build a snippet for one endpoint of a collection
+ */
+function generateSnippet(language, endpoint) {
+  const { collection, baseUrl, apiKey, method, path, description, documentId } =
+    endpoint;
+  const generator = SNIPPET_GENERATORS.find((g) => g.label === language);
+  const apiKeyEnv = vscode.workspace
+    .getConfiguration("mockman")
+    .get("snippetApiKeyEnv", "")
+    .trim();
+  const url = baseUrl + path;
+  return generator.generate({
+    method,
+    path,
+    collection,
+    tokens: snippetUrlTokens(
+      documentId ? url.replace(":documentId", documentId) : url,
+      apiKey,
+      apiKeyEnv
+    ),
+    hookTokens: snippetUrlTokens(url, apiKey, apiKeyEnv, "documentId"),
+    body:
+      method === "POST" || method === "PUT"
+        ? sampleDocument(collection)
+        : undefined,
+    hookName: snippetHookName(collection, description),
+  });
+}
+
+/**
+ * Exporting documents as data files, seeds and fixtures
+ */
+function exportColumns(collection, documents) {
+  // Declared fields first, then any other keys the documents hold
+  const columns = new Set(documents.some((d) => d._id) ? ["_id"] : []);
+  for (const field of collection.fields || []) columns.add(field.fieldName);
+  for (const doc of documents) {
+    for (const key of Object.keys(doc)) columns.add(key);
+  }
+  return [...columns];
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function sqlLiteral(value) {
+  if (value === null || value === undefined) return "NULL";
+  if (typeof value === "number")
+    return Number.isFinite(value) ? String(value) : "NULL";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+function sqlIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function exportAsCsv(collection, documents) {
+  const columns = exportColumns(collection, documents);
+  return [
+    columns.map(csvCell).join(","),
+    ...documents.map((doc) => columns.map((c) => csvCell(doc[c])).join(",")),
+  ].join("\n");
+}
+
+function exportAsSql(collection, documents) {
+  const table = sqlIdentifier(
+    collection.collectionName.replace(/[^A-Za-z0-9_]+/g, "_").toLowerCase()
+  );
+  const columns = exportColumns(collection, documents);
+  const columnList = columns.map(sqlIdentifier).join(", ");
+  return [
+    `-- ${documents.length} rows from MockMan collection "${collection.collectionName}"`,
+    ...documents.map(
+      (doc) =>
+        `INSERT INTO ${table} (${columnList}) VALUES (${columns
+          .map((c) => sqlLiteral(doc[c]))
+          .join(", ")});`
+    ),
+  ].join("\n");
+}
+
+function fixtureName(collection) {
+  const name = pascalCase(collection.collectionName) || "Documents";
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+function exportAsTypeScript(collection, documents) {
+  const name = typeNameFor(collection);
+  return [
+    `// Generated by MockMan from collection "${collection.collectionName}" (${collection._id})`,
+    generateTypeScriptInterface(collection),
+    "",
+    `export const ${fixtureName(collection)}: ${name}[] = ${JSON.stringify(
+      documents,
+      null,
+      2
+    )};`,
+  ].join("\n");
+}
+
+function exportAsJavaScript(collection, documents) {
+  return [
+    `// Generated by MockMan from collection "${collection.collectionName}" (${collection._id})`,
+    `export const ${fixtureName(collection)} = ${JSON.stringify(
+      documents,
+      null,
+      2
+    )};`,
+  ].join("\n");
+}
+
+const EXPORT_FORMATS = [
+  {
+    label: "JSON",
+    extension: "json",
+    generate: (collection, documents) => JSON.stringify(documents, null, 2),
+  },
+  {
+    label: "NDJSON",
+    description: "One document per line",
+    extension: "ndjson",
+    generate: (collection, documents) =>
+      documents.map((d) => JSON.stringify(d)).join("\n"),
+  },
+  { label: "CSV", extension: "csv", generate: exportAsCsv },
+  {
+    label: "SQL INSERT statements",
+    extension: "sql",
+    generate: exportAsSql,
+  },
+  {
+    label: "TypeScript fixture",
+    description: "Typed array with its interface",
+    extension: "fixture.ts",
+    generate: exportAsTypeScript,
+  },
+  {
+    label: "JavaScript fixture",
+    description: "ES module exporting an array",
+    extension: "fixture.js",
+    generate: exportAsJavaScript,
+  },
+];
+
+/**
+ * Export a collection's documents, or rows generated locally from its
+ * fields, to a file in the workspace
+ */
+async function exportDocuments(collection, provider) {
+  const apiKey = await provider.getApiKey();
+  if (!apiKey) {
+    vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+    return;
+  }
+
+  const source = await vscode.window.showQuickPick(
+    [
+      {
+        label: "$(cloud-download) Collection documents",
+        description: "Export the documents stored in MockMan",
+        value: "documents",
+      },
+      {
+        label: "$(sparkle) Generate fresh rows",
+        description: "Create rows locally from the collection's fields",
+        value: "generate",
+      },
+    ],
+    { title: `Export ${collection.collectionName}` }
+  );
+  if (!source) return;
+
+  let count;
+  if (source.value === "generate") {
+    const countInput = await vscode.window.showInputBox({
+      prompt: "Rows to generate (1-10000)",
+      value: "50",
+      validateInput: (v) =>
+        /^\d+$/.test(v) && +v >= 1 && +v <= 10000
+          ? null
+          : "Enter a number between 1 and 10000",
+    });
+    if (!countInput) return;
+    count = parseInt(countInput);
+  }
+
+  const format = await vscode.window.showQuickPick(EXPORT_FORMATS, {
+    title: `Export ${collection.collectionName}`,
+    placeHolder: "Select a format",
+  });
+  if (!format) return;
+
+  const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+  const fileName = `${collection.collectionName}.${format.extension}`;
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : undefined,
+    filters: { [format.label]: [format.extension.split(".").pop()] },
+    saveLabel: "Export",
+  });
+  if (!uri) return;
+
+  let documents;
+  try {
+    if (source.value === "documents") {
+      documents = await fetchAllDocuments(provider.api, apiKey, collection._id);
+    } else {
+      let referenceIds = {};
+      try {
+        referenceIds = await fetchReferenceIds(
+          provider.api,
+          apiKey,
+          provider.collections,
+          collection.fields || []
+        );
+      } catch {
+        // Offline: reference fields are left empty
+      }
+      documents = generateDocuments(
+        collection.fields || [],
+        count,
+        referenceIds
+      ).map((doc) => ({ _id: generateId(), ...doc }));
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Error fetching documents: ${describeError(error)}`
+    );
+    return;
+  }
+
+  await vscode.workspace.fs.writeFile(
+    uri,
+    Buffer.from(format.generate(collection, documents) + "\n", "utf8")
+  );
+  await vscode.window.showTextDocument(uri);
+}
+
+/**
+ * Renaming, duplicating, clearing, reseeding and deleting collections
+ */
+function validateCollectionName(value, collections, current) {
+  const name = value.trim();
+  if (!name) return "Collection name is required.";
+  if (
+    collections.some((c) => c.collectionName === name && c._id !== current?._id)
+  ) {
+    return `A collection named "${name}" already exists.`;
+  }
+  return null;
+}
+
+async function renameCollection(collection, provider) {
+  const apiKey = await provider.getApiKey();
+  if (!apiKey) {
+    vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+    return;
+  }
+  const input = await vscode.window.showInputBox({
+    prompt: `Rename "${collection.collectionName}"`,
+    value: collection.collectionName,
+    validateInput: (v) =>
+      validateCollectionName(v, provider.collections, collection),
+  });
+  const collectionName = input?.trim();
+  if (!collectionName || collectionName === collection.collectionName) return;
+
+  // Reference fields point at collections by name
+  const renameRefs = (fields = []) =>
+    fields.map((f) =>
+      f.ref === collection.collectionName ? { ...f, ref: collectionName } : f
+    );
+  const sources = new Set(
+    referencingFields(collection, provider.collections)
+      .map(({ source }) => source)
+      .filter((source) => source._id !== collection._id)
+  );
+  try {
+    await provider.api.put(`/collections/${apiKey}/${collection._id}`, {
+      collectionName,
+      fields: renameRefs(collection.fields),
+    });
+    for (const source of sources) {
+      await provider.api.put(`/collections/${apiKey}/${source._id}`, {
+        collectionName: source.collectionName,
+        fields: renameRefs(source.fields),
+      });
+    }
+    vscode.window.showInformationMessage(
+      `✅ Renamed "${collection.collectionName}" to "${collectionName}"` +
+        (sources.size
+          ? ` and updated ${sources.size} referencing collection(s)`
+          : "")
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Error renaming "${collection.collectionName}": ${describeError(error)}`
+    );
+  }
+  await provider.refresh();
+}
+
+async function duplicateCollection(collection, provider) {
+  const apiKey = await provider.getApiKey();
+  if (!apiKey) {
+    vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+    return;
+  }
+  const mode = await vscode.window.showQuickPick(
+    [
+      {
+        label: "$(symbol-structure) Schema only",
+        description: "Copy the fields into an empty collection",
+        withData: false,
+      },
+      {
+        label: "$(files) Schema and documents",
+        description: "Copy the fields and every document",
+        withData: true,
+      },
+    ],
+    { title: `Duplicate ${collection.collectionName}` }
+  );
+  if (!mode) return;
+
+  const names = new Set(provider.collections.map((c) => c.collectionName));
+  let suggestion = `${collection.collectionName}-copy`;
+  for (let i = 2; names.has(suggestion); i++) {
+    suggestion = `${collection.collectionName}-copy-${i}`;
+  }
+  const input = await vscode.window.showInputBox({
+    prompt: "Name of the new collection",
+    value: suggestion,
+    validateInput: (v) => validateCollectionName(v, provider.collections),
+  });
+  const collectionName = input?.trim();
+  if (!collectionName) return;
+
+  try {
+    const documents = mode.withData
+      ? (await fetchAllDocuments(provider.api, apiKey, collection._id)).map(
+          (doc) => {
+            const copy = { ...doc };
+            delete copy._id;
+            return copy;
+          }
+        )
+      : [];
+    // Copied documents keep the original's ids in self-references, and the
+    // copy's rows get new ids, so those fields only move to the copy when
+    // it starts empty
+    const fields = mode.withData
+      ? collection.fields || []
+      : (collection.fields || []).map((f) =>
+          f.ref === collection.collectionName
+            ? { ...f, ref: collectionName }
+            : f
+        );
+    await createCollection(
+      provider.api,
+      apiKey,
+      collectionName,
+      fields,
+      documents
+    );
+    vscode.window.showInformationMessage(
+      `✅ Created "${collectionName}" from "${collection.collectionName}"` +
+        (mode.withData ? ` with ${documentCountLabel(documents.length)}` : "")
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Error duplicating "${collection.collectionName}": ${describeError(error)}`
+    );
+  }
+  await provider.refresh();
+}
+
+/**
+ * Delete a collection after confirming how much data goes with it.
+ * Resolves to true once the collection is gone.
+ */
+async function deleteCollection(collection, provider) {
+  const apiKey = await provider.getApiKey();
+  if (!apiKey) {
+    vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+    return false;
+  }
+  let count;
+  try {
+    count = (await fetchAllDocuments(provider.api, apiKey, collection._id))
+      .length;
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Error fetching documents: ${describeError(error)}`
+    );
+    return false;
+  }
+  const references = referencingFields(collection, provider.collections)
+    .filter(({ source }) => source._id !== collection._id)
+    .map(({ source, field }) => `${source.collectionName}.${field.fieldName}`);
+  const confirm = await vscode.window.showWarningMessage(
+    `Delete collection "${collection.collectionName}" and its ${documentCountLabel(
+      count
+    )}? This cannot be undone.`,
+    {
+      modal: true,
+      detail: references.length
+        ? `Still referenced by ${references.join(", ")}.`
+        : undefined,
+    },
+    "Delete"
+  );
+  if (confirm !== "Delete") return false;
+
+  try {
+    await provider.api.delete(`/collections/${apiKey}/${collection._id}`);
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Error deleting "${collection.collectionName}": ${describeError(error)}`
+    );
+    return false;
+  }
+  vscode.window.showInformationMessage(
+    `🗑️ Deleted "${collection.collectionName}" (${documentCountLabel(count)}).`
+  );
+  await provider.refresh();
+  return true;
+}
+
+async function clearCollection(collection, provider) {
+  const apiKey = await provider.getApiKey();
+  if (!apiKey) {
+    vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+    return;
+  }
+  const path = `/collections/${apiKey}/${collection._id}/documents`;
+  try {
+    const count = (
+      await fetchAllDocuments(provider.api, apiKey, collection._id)
+    ).length;
+    if (!count) {
+      vscode.window.showInformationMessage(
+        `${collection.collectionName} has no documents.`
+      );
+      return;
+    }
+    const confirm = await vscode.window.showWarningMessage(
+      `Delete all ${documentCountLabel(count)} from "${
+        collection.collectionName
+      }"? This cannot be undone.`,
+      { modal: true },
+      "Delete All"
+    );
+    if (confirm !== "Delete All") return;
+    await provider.api.delete(path);
+    vscode.window.showInformationMessage(
+      `🗑️ Cleared ${documentCountLabel(count)} from "${collection.collectionName}".`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Error clearing "${collection.collectionName}": ${describeError(error)}`
+    );
+  }
+  await provider.refresh();
+}
+
+/**
+ * Replace a collection's documents with freshly generated rows
+ */
+async function reseedCollection(collection, provider) {
+  const apiKey = await provider.getApiKey();
+  if (!apiKey) {
+    vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+    return;
+  }
+  const current = provider.documentCounts.get(collection._id);
+  const countInput = await vscode.window.showInputBox({
+    prompt: `Rows to generate for ${collection.collectionName} (1-10000)`,
+    value: String(current || 50),
+    validateInput: (v) =>
+      /^\d+$/.test(v) && +v >= 1 && +v <= 10000
+        ? null
+        : "Enter a number between 1 and 10000",
+  });
+  if (!countInput) return;
+  const count = parseInt(countInput);
+
+  if (current !== 0) {
+    const confirm = await vscode.window.showWarningMessage(
+      `Replace ${
+        current === undefined
+          ? "all documents"
+          : `the ${documentCountLabel(current)}`
+      } in "${collection.collectionName}" with ${count} generated rows?`,
+      { modal: true },
+      "Reseed"
+    );
+    if (confirm !== "Reseed") return;
+  }
+
+  // The current rows are deleted below, so self-references are generated
+  // from the new rows' ids in a second pass
+  const selfReferences = (collection.fields || []).filter(
+    (f) => f.ref === collection.collectionName
+  );
+  let seeded = 0;
+  try {
+    let referenceIds = {};
+    try {
+      referenceIds = await fetchReferenceIds(
+        provider.api,
+        apiKey,
+        provider.collections,
+        (collection.fields || []).filter((f) => !selfReferences.includes(f))
+      );
+    } catch {
+      // Reference fields are left empty
+    }
+    const documents = generateDocuments(
+      collection.fields || [],
+      count,
+      referenceIds
+    );
+    await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `Reseeding "${collection.collectionName}" with ${count} rows`,
+      },
+      async (progress) => {
+        await provider.api.delete(
+          `/collections/${apiKey}/${collection._id}/documents`
+        );
+        await postDocumentsInBatches(
+          provider.api,
+          apiKey,
+          collection._id,
+          documents,
+          (batch) => {
+            seeded += batch;
+            progress.report({
+              message: `${seeded}/${count}`,
+              increment: (batch / count) * 100,
+            });
+          }
+        );
+        if (!selfReferences.length) return;
+
+        progress.report({ message: "Linking self-references" });
+        const created = await fetchAllDocuments(
+          provider.api,
+          apiKey,
+          collection._id
+        );
+        const ids = created.map((d) => d._id);
+        for (const doc of created) {
+          const update = { ...doc };
+          delete update._id;
+          for (const field of selfReferences) {
+            update[field.fieldName] = generateReference(field, ids);
+          }
+          await provider.api.put(
+            `/collections/${apiKey}/${collection._id}/documents/${doc._id}`,
+            update
+          );
+        }
+      }
+    );
+    vscode.window.showInformationMessage(
+      `✅ Reseeded "${collection.collectionName}" with ${count} rows`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Error reseeding "${collection.collectionName}" after ${seeded} of ${count} rows: ${describeError(
+        error
+      )}`
+    );
+  }
+  await provider.refresh();
+}
+
+/**
+ * Fetch every document of a collection
+ */
+async function fetchAllDocuments(api, apiKey, collectionId, options) {
+  const res = await api.get(
+    `/collections/${apiKey}/${collectionId}/documents`,
+    options
+  );
+  return responseDocuments(res);
+}
+
+function responseDocuments(res) {
+  return Array.isArray(res.data) ? res.data : res.data?.documents || [];
+}
+
+/**
+ * File name for a collection definition. Characters that aren't safe in
+ * file names are percent-encoded rather than replaced, so distinct names
+ * ("a b", "a-b") never share a file.
+ */
+function definitionFileName(collectionName) {
+  return String(collectionName).replace(/[^A-Za-z0-9_.-]/gu, (char) =>
+    [...Buffer.from(char, "utf8")]
+      .map((byte) => `%${byte.toString(16).toUpperCase().padStart(2, "0")}`)
+      .join("")
+  );
+}
+
+function serializeDefinition(definition) {
+  return (
+    JSON.stringify(
+      {
+        collectionName: definition.collectionName,
+        id: definition.id,
+        fields: definition.fields,
+        documents: definition.documents,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/**
+ * Content hash of a definition, ignoring the remote id
+ */
+function definitionHash(definition) {
+  return crypto
+    .createHash("sha1")
+    .update(
+      JSON.stringify([
+        definition.collectionName,
+        definition.fields,
+        definition.documents,
+      ])
+    )
+    .digest("hex");
+}
+
+/**
+ * Create a collection and seed it with documents
+ */
+async function createCollection(
+  api,
+  apiKey,
+  collectionName,
+  fields,
+  documents
+) {
+  const res = await api.post(`/collections/${apiKey}`, {
+    collectionName,
+    fields,
+  });
+  if (documents.length > 0) {
+    await api.post(
+      `/collections/${apiKey}/${res.data._id}/documents`,
+      documents,
+      { timeout: 30000 }
+    );
+  }
+  return res.data;
+}
+
+/**
+ * OpenAPI 3.1 export and import
+ */
+function buildOpenApiDocument(collections, title, baseUrl) {
+  const paths = {};
+  const schemas = {};
+  const typeNames = new Set(["Error"]);
+  const documentId = {
+    name: "documentId",
+    in: "path",
+    required: true,
+    schema: { type: "string" },
+  };
+  const notFound = {
+    description: "Not found",
+    content: {
+      "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+    },
+  };
+
+  for (const collection of collections) {
+    // Collections that singularise to the same type name get a numeric
+    // suffix, so schemas and operationIds stay unique
+    let name = typeNameFor(collection);
+    for (let i = 2; typeNames.has(name) || typeNames.has(`${name}Input`); i++) {
+      name = `${typeNameFor(collection)}${i}`;
+    }
+    typeNames.add(name).add(`${name}Input`);
+    const { properties } = buildJsonSchema(collection);
+    const { _id, ...inputProperties } = properties;
+    schemas[`${name}Input`] = {
+      type: "object",
+      properties: inputProperties,
+      required: Object.keys(inputProperties),
+    };
+    schemas[name] = {
+      "x-mockman-collection": collection.collectionName,
+      allOf: [
+        { $ref: `#/components/schemas/${name}Input` },
+        { type: "object", properties: { _id }, required: ["_id"] },
+      ],
+    };
+
+    const ref = { $ref: `#/components/schemas/${name}` };
+    const inputBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: {
+            oneOf: [
+              { $ref: `#/components/schemas/${name}Input` },
+              {
+                type: "array",
+                items: { $ref: `#/components/schemas/${name}Input` },
+              },
+            ],
+          },
+        },
+      },
+    };
+    const json = (schema, description) => ({
+      description,
+      content: { "application/json": { schema } },
+    });
+    const tags = [collection.collectionName];
+    const base = `/collections/{apiKey}/${collection._id}/documents`;
+
+    paths[base] = {
+      parameters: [{ $ref: "#/components/parameters/ApiKey" }],
+      get: {
+        tags,
+        operationId: `list${name}`,
+        summary: `Get all ${collection.collectionName} documents`,
+        parameters: documentQueryParameters(collection).map((param) => ({
+          ...param,
+          in: "query",
+        })),
+        responses: {
+          200: {
+            ...json({ type: "array", items: ref }, "Documents"),
+            headers: {
+              "X-Total-Count": {
+                description: "Number of documents matching the query",
+                schema: { type: "integer" },
+              },
+              "X-Next-Cursor": {
+                description: "Cursor for the next page, if there is one",
+                schema: { type: "string" },
+              },
+            },
+          },
+          400: {
+            description: "Invalid query parameter",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags,
+        operationId: `create${name}`,
+        summary: `Add ${collection.collectionName} documents`,
+        requestBody: inputBody,
+        responses: { 201: json(ref, "Created document") },
+      },
+      delete: {
+        tags,
+        operationId: `deleteAll${name}`,
+        summary: `Delete all ${collection.collectionName} documents`,
+        responses: { 200: { description: "Documents deleted" } },
+      },
+    };
+    paths[`${base}/{documentId}`] = {
+      parameters: [{ $ref: "#/components/parameters/ApiKey" }, documentId],
+      get: {
+        tags,
+        operationId: `get${name}`,
+        summary: `Get a ${collection.collectionName} document by ID`,
+        responses: { 200: json(ref, "Document"), 404: notFound },
+      },
+      put: {
+        tags,
+        operationId: `update${name}`,
+        summary: `Update a ${collection.collectionName} document by ID`,
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: { $ref: `#/components/schemas/${name}Input` },
+            },
+          },
+        },
+        responses: { 200: json(ref, "Updated document"), 404: notFound },
+      },
+      delete: {
+        tags,
+        operationId: `delete${name}`,
+        summary: `Delete a ${collection.collectionName} document by ID`,
+        responses: { 200: json(ref, "Deleted document"), 404: notFound },
+      },
+    };
+  }
+
+  schemas.Error = {
+    type: "object",
+    properties: { message: { type: "string" } },
+  };
+
+  return {
+    openapi: "3.1.0",
+    info: { title, version: "1.0.0" },
+    servers: [{ url: baseUrl }],
+    paths,
+    components: {
+      parameters: {
+        ApiKey: {
+          name: "apiKey",
+          in: "path",
+          required: true,
+          description: "Your MockMan API key",
+          schema: { type: "string" },
+        },
+      },
+      schemas,
+    },
+  };
+}
+
+async function exportOpenApi(collections, title, fileName, baseUrl) {
+  const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : undefined,
+    filters: { "OpenAPI JSON": ["json"], "OpenAPI YAML": ["yaml", "yml"] },
+    saveLabel: "Export OpenAPI",
+  });
+  if (!uri) return;
+
+  const spec = buildOpenApiDocument(collections, title, baseUrl);
+  const text = /\.ya?ml$/i.test(uri.path)
+    ? YAML.stringify(spec)
+    : JSON.stringify(spec, null, 2) + "\n";
+  await vscode.workspace.fs.writeFile(uri, Buffer.from(text, "utf8"));
+  await vscode.window.showTextDocument(uri);
+}
+
+/**
+ * Map an OpenAPI property schema onto a MockMan fieldType
+ */
+function fieldTypeForSchema(schema) {
+  const type = Array.isArray(schema.type)
+    ? schema.type.find((t) => t !== "null")
+    : schema.type;
+  switch (type) {
+    case "integer":
+    case "number":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "array":
+      return "array";
+    case "object":
+      return "object";
+  }
+  if (schema.$ref || schema.properties) return "object";
+  if (schema.format === "email") return "email";
+  if (schema.format === "uri" || schema.format === "url") return "url";
+  if (schema.format === "date-time" || schema.format === "date") {
+    return "date";
+  }
+  return "string";
+}
+
+/**
+ * Resolve local $refs and allOf so object schemas expose their properties
+ */
+function resolveSchema(spec, schema, depth = 0) {
+  if (!schema || depth > 10) return schema || {};
+  if (schema.$ref?.startsWith("#/")) {
+    const target = schema.$ref
+      .slice(2)
+      .split("/")
+      .reduce((node, key) => node?.[key], spec);
+    return resolveSchema(spec, target, depth + 1);
+  }
+  if (schema.allOf) {
+    const merged = { type: "object", properties: {}, required: [] };
+    for (const part of schema.allOf) {
+      const resolved = resolveSchema(spec, part, depth + 1);
+      Object.assign(merged.properties, resolved.properties);
+      merged.required.push(...(resolved.required || []));
+    }
+    return merged;
+  }
+  return schema;
+}
+
+/**
+ * Names of the schemas returned by successful operations. Request bodies,
+ * error responses and schemas only composed into others aren't collections.
+ */
+function responseSchemaNames(spec) {
+  const names = new Set();
+  const schemaRef = /^#\/(?:components\/schemas|definitions)\/(.+)$/;
+  const lookup = (ref) =>
+    ref
+      .slice(2)
+      .split("/")
+      .reduce((node, key) => node?.[key], spec);
+  const isList = (schema) => schema.type === "array" || !!schema.items;
+
+  // Look through array aliases like petstore's Pets and list envelopes such
+  // as { data: Pet[], total } for the model the documents are
+  const visitSchema = (schema, depth) => {
+    if (!schema || typeof schema !== "object" || depth > 20) return;
+    const match =
+      typeof schema.$ref === "string" ? schemaRef.exec(schema.$ref) : null;
+    if (match && typeof lookup(schema.$ref)?.$ref === "string") {
+      visitSchema(lookup(schema.$ref), depth + 1);
+      return;
+    }
+    const resolved = resolveSchema(spec, schema);
+    if (isList(resolved)) {
+      visitSchema(resolved.items, depth + 1);
+      return;
+    }
+    const variants = resolved.oneOf || resolved.anyOf;
+    if (Array.isArray(variants)) {
+      for (const variant of variants) visitSchema(variant, depth + 1);
+      return;
+    }
+    const properties = resolved.properties || {};
+    const lists = Object.values(properties)
+      .map((property) => resolveSchema(spec, property))
+      .filter(isList);
+    if (lists.length && !("id" in properties) && !("_id" in properties)) {
+      for (const list of lists) visitSchema(list.items, depth + 1);
+      return;
+    }
+    if (match) names.add(match[1].replace(/~1/g, "/").replace(/~0/g, "~"));
+  };
+  const visitResponse = (response, depth) => {
+    if (!response || typeof response !== "object" || depth > 10) return;
+    if (typeof response.$ref === "string") {
+      // Shared responses under components
+      visitResponse(lookup(response.$ref), depth + 1);
+      return;
+    }
+    visitSchema(response.schema, 0);
+    for (const media of Object.values(response.content || {})) {
+      visitSchema(media?.schema, 0);
+    }
+  };
+
+  for (const item of Object.values(spec.paths || {})) {
+    for (const operation of Object.values(item || {})) {
+      for (const [status, response] of Object.entries(
+        operation?.responses || {}
+      )) {
+        if (/^2/.test(status)) visitResponse(response, 0);
+      }
+    }
+  }
+  return names;
+}
+
+function collectionsFromOpenApi(spec) {
+  const schemas = spec.components?.schemas || spec.definitions || {};
+  // Specs without paths only describe models, so every schema is a candidate
+  const referenced = spec.paths ? responseSchemaNames(spec) : null;
+  return Object.entries(schemas)
+    .filter(([name]) => !referenced || referenced.has(name))
+    .map(([schemaName, raw]) => {
+      const name =
+        typeof raw?.["x-mockman-collection"] === "string"
+          ? raw["x-mockman-collection"]
+          : schemaName;
+      const schema = resolveSchema(spec, raw);
+      const properties = schema.properties || {};
+      const fields = Object.entries(properties)
+        .filter(([fieldName]) => fieldName !== "_id")
+        .map(([fieldName, property]) => ({
+          fieldName,
+          fieldType: fieldTypeForSchema(property),
+        }));
+      const examples = [
+        ...(Array.isArray(schema.examples) ? schema.examples : []),
+        ...(schema.example ? [schema.example] : []),
+      ].filter((e) => e && typeof e === "object" && !Array.isArray(e));
+      const propertyExample = {};
+      for (const [fieldName, property] of Object.entries(properties)) {
+        const example = property.example ?? property.examples?.[0];
+        if (example !== undefined) propertyExample[fieldName] = example;
+      }
+      return { name, fields, examples, propertyExample };
+    })
+    .filter((c) => c.fields.length > 0);
+}
+
+/**
+ * Seed documents from schema examples, filling gaps with generated values
+ */
+function seedDocumentsFromExamples(candidate, count) {
+  const seeds = candidate.examples.map((example) => {
+    const doc = { ...example };
+    delete doc._id;
+    return doc;
+  });
+  if (seeds.length === 0 && Object.keys(candidate.propertyExample).length) {
+    const [first] = generateDocuments(candidate.fields, 1);
+    seeds.push({ ...first, ...candidate.propertyExample });
+  }
+  return [
+    ...seeds,
+    ...generateDocuments(candidate.fields, Math.max(count - seeds.length, 0)),
+  ];
+}
+
+async function importOpenApi(provider) {
+  const apiKey = await provider.getApiKey();
+  if (!apiKey) {
+    vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
+    return;
+  }
+
+  const [uri] =
+    (await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri,
+      filters: { OpenAPI: ["json", "yaml", "yml"] },
+      openLabel: "Import OpenAPI",
+    })) || [];
+  if (!uri) return;
+
+  let spec;
+  try {
+    const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString(
+      "utf8"
+    );
+    spec = /\.ya?ml$/i.test(uri.path) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `⚠️ Could not read OpenAPI file: ${error.message}`
+    );
+    return;
+  }
+
+  const candidates = collectionsFromOpenApi(spec || {});
+  if (candidates.length === 0) {
+    vscode.window.showWarningMessage(
+      "No object schemas found in the responses of the spec's operations."
+    );
+    return;
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    candidates.map((c) => ({
+      label: c.name,
+      description: c.fields.map((f) => f.fieldName).join(", "),
+      picked: true,
+      candidate: c,
+    })),
+    {
+      canPickMany: true,
+      placeHolder: "Select schemas to create as collections",
+    }
+  );
+  if (!picked || picked.length === 0) return;
+
+  const countInput = await vscode.window.showInputBox({
+    prompt: "Documents to seed per collection (1-1000)",
+    value: "10",
+    validateInput: (v) =>
+      /^\d+$/.test(v) && +v >= 1 && +v <= 1000
+        ? null
+        : "Enter a number between 1 and 1000",
+  });
+  if (!countInput) return;
+  const count = parseInt(countInput);
+
+  const existing = new Set(provider.collections.map((c) => c.collectionName));
+  const created = [];
+  const failed = [];
+  await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Importing OpenAPI schemas",
+      cancellable: false,
+    },
+    async (progress) => {
+      for (const { candidate } of picked) {
+        progress.report({
+          message: candidate.name,
+          increment: 100 / picked.length,
+        });
+        if (existing.has(candidate.name)) {
+          failed.push(`${candidate.name} (already exists)`);
+          continue;
+        }
+        try {
+          await createCollection(
+            provider.api,
+            apiKey,
+            candidate.name,
+            candidate.fields,
+            seedDocumentsFromExamples(candidate, count)
+          );
+          created.push(candidate.name);
+        } catch (error) {
+          failed.push(
+            `${candidate.name} (${
+              error.response?.data?.message || error.message
+            })`
+          );
+        }
+      }
+    }
+  );
+
+  if (created.length) {
+    vscode.window.showInformationMessage(
+      `✅ Imported ${created.length} collection(s): ${created.join(", ")}`
+    );
+    vscode.commands.executeCommand("mockman.refresh");
+  }
+  if (failed.length) {
+    vscode.window.showErrorMessage(`⚠️ Skipped: ${failed.join("; ")}`);
+  }
+}
+
+/**
+ * GraphQL schema generated from collections, served from the local store
+ */
+const GRAPHQL_RESERVED_NAMES = new Set([
+  "Query",
+  "Mutation",
+  "Subscription",
+  "JSON",
+  "ID",
+  "String",
+  "Int",
+  "Float",
+  "Boolean",
+]);
+const GRAPHQL_NAME = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+function graphqlTypeForField(field) {
+  if (field.ref) {
+    return jsonTypeForField(field.fieldType) === "array" ? "[ID]" : "ID";
+  }
+  switch (jsonTypeForField(field.fieldType)) {
+    case "number":
+      return "Float";
+    case "boolean":
+      return "Boolean";
+    case "array":
+      return "[JSON]";
+    case "object":
+      return "JSON";
+    default:
+      return "String";
+  }
+}
+
+/**
+ * GraphQL type, root field and relation names for each collection.
+ * Reference fields keep their ids and gain a relation field named after
+ * them without the Id suffix (userId -> user, productIds -> products).
+ */
+function graphqlModels(collections) {
+  const typeNames = new Set(GRAPHQL_RESERVED_NAMES);
+  const rootFields = new Set(["_collections"]);
+  const unique = (names, name) => {
+    let candidate = name;
+    for (let i = 2; names.has(candidate); i++) candidate = `${name}${i}`;
+    names.add(candidate);
+    return candidate;
+  };
+
+  const models = collections.map((collection) => {
+    const typeName = unique(typeNames, typeNameFor(collection));
+    const single = lowerFirst(typeName);
+    const plural = lowerFirst(pascalCase(collection.collectionName));
+    return {
+      collection,
+      typeName,
+      inputName: unique(typeNames, `${typeName}Input`),
+      singleField: unique(rootFields, single),
+      listField: unique(
+        rootFields,
+        plural && plural !== single ? plural : `${single}List`
+      ),
+      fields: (collection.fields || []).filter(
+        (f) =>
+          GRAPHQL_NAME.test(f.fieldName) &&
+          !f.fieldName.startsWith("__") &&
+          f.fieldName !== "_id"
+      ),
+      relations: [],
+    };
+  });
+
+  for (const model of models) {
+    const taken = new Set(["_id", ...model.fields.map((f) => f.fieldName)]);
+    for (const field of model.fields) {
+      const target = models.find(
+        (m) => m.collection.collectionName === field.ref
+      );
+      if (!target) continue;
+      const many = jsonTypeForField(field.fieldType) === "array";
+      const base = field.fieldName.replace(/Ids?$/, "");
+      let name =
+        base && base !== field.fieldName
+          ? base + (field.fieldName.endsWith("Ids") ? "s" : "")
+          : `${field.fieldName}Ref`;
+      if (taken.has(name)) name = `${field.fieldName}Ref`;
+      if (taken.has(name)) continue;
+      taken.add(name);
+      model.relations.push({ name, field, target, many });
+    }
+  }
+  return models;
+}
+
+/**
+ * GraphQL SDL for a list of collections
+ */
+function buildGraphQLSdl(collections) {
+  const models = graphqlModels(collections);
+  const lines = ['"Any JSON value"', "scalar JSON", ""];
+  const queries = [
+    '  "Every collection with its fields"',
+    "  _collections: [JSON!]!",
+  ];
+  const mutations = [];
+
+  for (const m of models) {
+    const name = m.collection.collectionName;
+    lines.push(
+      JSON.stringify(`A document of the ${name} collection`),
+      `type ${m.typeName} {`,
+      "  _id: ID!",
+      ...m.fields.map((f) => {
+        const type = `  ${f.fieldName}: ${graphqlTypeForField(f)}`;
+        return f.ref ? `  "References ${f.ref}._id"\n${type}` : type;
+      }),
+      ...m.relations.map(
+        (r) =>
+          `  ${r.name}: ${r.many ? `[${r.target.typeName}]` : r.target.typeName}`
+      ),
+      "}",
+      ""
+    );
+    queries.push(
+      `  ${m.listField}(q: String, sort: String, limit: Int, offset: Int, filter: JSON): [${m.typeName}!]!`,
+      `  ${m.singleField}(id: ID!): ${m.typeName}`
+    );
+    if (m.fields.length) {
+      lines.push(
+        `input ${m.inputName} {`,
+        ...m.fields.map((f) => `  ${f.fieldName}: ${graphqlTypeForField(f)}`),
+        "}",
+        ""
+      );
+      mutations.push(
+        `  create${m.typeName}(input: ${m.inputName}!): ${m.typeName}!`,
+        `  update${m.typeName}(id: ID!, input: ${m.inputName}!): ${m.typeName}`
+      );
+    }
+    mutations.push(`  delete${m.typeName}(id: ID!): ${m.typeName}`);
+  }
+
+  lines.push("type Query {", ...queries, "}");
+  if (mutations.length) {
+    lines.push("", "type Mutation {", ...mutations, "}");
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Sample list query for a collection, as a starting point in the panel
+ */
+function graphqlSampleQuery(collections, collection) {
+  const model = graphqlModels(collections).find(
+    (m) => m.collection._id === collection._id
+  );
+  if (!model) return "";
+  return [
+    "query {",
+    `  ${model.listField}(limit: 10) {`,
+    "    _id",
+    ...model.fields.map((f) => `    ${f.fieldName}`),
+    "  }",
+    "}",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Executable schema over the local store. Lists use the same search,
+ * filter, sort and paging rules as the REST routes, every resolver
+ * applies the collection's scenario and mutations are reported to `onChange`.
+ * Requests over HTTP pass `context.authorize` to enforce collection auth.
+ */
+function createGraphQLSchema(store, scenarios, onChange = () => {}) {
+  const schema = buildSchema(buildGraphQLSdl(store.collections));
+  const models = graphqlModels(store.collections);
+  const query = schema.getQueryType().getFields();
+  const mutation = schema.getMutationType()?.getFields() || {};
+
+  const assertValid = (collection, document) => {
+    const errors = writeValidationErrors(collection, [document]);
+    if (errors.length) {
+      throw new GraphQLError(validationMessage(collection, errors), {
+        extensions: { status: 400, errors },
+      });
+    }
+  };
+  const withScenario = async (model, context, write = false) => {
+    const denied = context?.authorize?.(model.collection, write);
+    if (denied) {
+      throw new GraphQLError(denied.body.message, {
+        extensions: { status: denied.status, error: denied.body.error },
+      });
+    }
+    const scenario = scenarios.get(model.collection._id);
+    const injected = await applyScenario(scenario);
+    if (injected) {
+      throw new GraphQLError(
+        injected.body?.message || STATUS_MESSAGES[injected.status],
+        { extensions: { status: injected.status } }
+      );
+    }
+    return scenario;
+  };
+
+  query._collections.resolve = () => store.collections;
+
+  for (const model of models) {
+    const collectionId = model.collection._id;
+    const documents = () => store.getDocuments(collectionId);
+
+    query[model.listField].resolve = async (_, args, context) => {
+      const scenario = await withScenario(model, context);
+      if (scenario.listMode === "empty") return [];
+      const params = new URLSearchParams();
+      for (const key of ["q", "sort", "limit", "offset"]) {
+        if (args[key] !== undefined && args[key] !== null) {
+          params.set(key, String(args[key]));
+        }
+      }
+      for (const [key, value] of Object.entries(args.filter || {})) {
+        params.set(key, String(value));
+      }
+      try {
+        return pageDocuments(
+          queryDocuments(model.collection, documents(), params),
+          params
+        ).documents;
+      } catch (error) {
+        throw new GraphQLError(error.message, {
+          extensions: { status: error.status || 500 },
+        });
+      }
+    };
+    query[model.singleField].resolve = async (_, { id }, context) => {
+      await withScenario(model, context);
+      return documents().find((d) => d._id === id) ?? null;
+    };
+
+    if (mutation[`create${model.typeName}`]) {
+      mutation[`create${model.typeName}`].resolve = async (
+        _,
+        { input },
+        context
+      ) => {
+        await withScenario(model, context, true);
+        const created = { ...input, _id: generateId() };
+        assertValid(model.collection, created);
+        documents().push(created);
+        await store.save();
+        onChange({
+          type: "document.created",
+          collection: model.collection,
+          document: created,
+        });
+        return created;
+      };
+      mutation[`update${model.typeName}`].resolve = async (
+        _,
+        { id, input },
+        context
+      ) => {
+        await withScenario(model, context, true);
+        const index = documents().findIndex((d) => d._id === id);
+        if (index === -1) return null;
+        const updated = { ...documents()[index], ...input, _id: id };
+        assertValid(model.collection, updated);
+        documents()[index] = updated;
+        await store.save();
+        onChange({
+          type: "document.updated",
+          collection: model.collection,
+          document: updated,
+        });
+        return documents()[index];
+      };
+    }
+    mutation[`delete${model.typeName}`].resolve = async (
+      _,
+      { id },
+      context
+    ) => {
+      await withScenario(model, context, true);
+      const index = documents().findIndex((d) => d._id === id);
+      if (index === -1) return null;
+      const [deleted] = documents().splice(index, 1);
+      await store.save();
+      onChange({
+        type: "document.deleted",
+        collection: model.collection,
+        document: deleted,
+      });
+      return deleted;
+    };
+
+    const typeFields = schema.getType(model.typeName).getFields();
+    for (const relation of model.relations) {
+      // Nested selections read another collection, so its auth and
+      // scenario apply as if it were queried directly
+      typeFields[relation.name].resolve = async (doc, _, context) => {
+        const value = doc[relation.field.fieldName];
+        if (value === undefined || value === null) return null;
+        await withScenario(relation.target, context);
+        const related = store.getDocuments(relation.target.collection._id);
+        const find = (id) => related.find((d) => d._id === id) ?? null;
+        return relation.many ? [].concat(value).map(find) : find(value);
+      };
+    }
+  }
+  return schema;
+}
+
+async function exportGraphQLSchema(collections) {
+  const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: folder
+      ? vscode.Uri.joinPath(folder, "schema.graphql")
+      : undefined,
+    filters: { GraphQL: ["graphql", "gql"] },
+    saveLabel: "Export GraphQL Schema",
+  });
+  if (!uri) return;
+  await vscode.workspace.fs.writeFile(
+    uri,
+    Buffer.from(buildGraphQLSdl(collections), "utf8")
+  );
+  await vscode.window.showTextDocument(uri);
+}
+
+/**
+ * Recording real APIs into collections
+ */
+function routeMatcher(pattern) {
+  const source = pattern
+    .trim()
+    .replace(/\/+$/, "")
+    .split(/(\/\*\*|\*\*|\*)/)
+    .map((part) =>
+      part === "/**"
+        ? "(?:/.*)?"
+        : part === "**"
+          ? ".*"
+          : part === "*"
+            ? "[^/]+"
+            : part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    )
+    .join("");
+  return new RegExp(`^${source}/?$`);
+}
+
+function isIdSegment(segment) {
+  return (
+    /^\d+$/.test(segment) ||
+    /^[a-f0-9]{24}$/i.test(segment) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      segment
+    )
+  );
+}
+
+/**
+ * Group `/users` and `/users/42` together, named after the resource
+ */
+function recordingGroup(path) {
+  const segments = path
+    .split("/")
+    .filter(Boolean)
+    .map((s) => (isIdSegment(s) ? ":id" : s));
+  while (segments[segments.length - 1] === ":id") segments.pop();
+  const name = [...segments].reverse().find((s) => s !== ":id") || "records";
+  return {
+    key: `/${segments.join("/")}`,
+    name,
+    path: `/${segments.join("/")}`,
+  };
+}
+
+/**
+ * Pull the records out of a JSON response: a bare array, an object wrapping
+ * one (`{ data: [...] }`), or a single object
+ */
+function extractDocuments(json) {
+  const isRecord = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  if (Array.isArray(json)) return json.filter(isRecord);
+  if (!isRecord(json)) return [];
+  const wrapped = Object.values(json).find(
+    (value) => Array.isArray(value) && value.length && value.every(isRecord)
+  );
+  return wrapped ? wrapped : [json];
+}
+
+function inferFieldType(values) {
+  const counts = {};
+  for (const value of values) {
+    let type;
+    if (typeof value === "number") type = "number";
+    else if (typeof value === "boolean") type = "boolean";
+    else if (Array.isArray(value)) type = "array";
+    else if (typeof value === "object") type = "object";
+    else if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value)) type = "email";
+    else if (/^https?:\/\//.test(value)) type = "url";
+    else if (/^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value))) {
+      type = "date";
+    } else type = "string";
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  const [type] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [
+    "string",
+  ];
+  return type;
+}
+
+/**
+ * Infer MockMan fields from a sample of documents. Each entry maps a source
+ * key to a field name MockMan accepts.
+ */
+function inferFieldMapping(documents) {
+  const mapping = new Map(); // Source key -> { key, fieldName, samples }
+  for (const doc of documents) {
+    for (const [key, value] of Object.entries(doc)) {
+      if (key === "_id") continue;
+      if (!mapping.has(key)) {
+        mapping.set(key, {
+          key,
+          fieldName: key.replace(/[^A-Za-z0-9_]/g, "_").replace(/^(\d)/, "_$1"),
+          samples: [],
+        });
+      }
+      if (value !== null && value !== undefined) {
+        mapping.get(key).samples.push(value);
+      }
+    }
+  }
+  return [...mapping.values()].map(({ key, fieldName, samples }) => ({
+    key,
+    fieldName,
+    fieldType: inferFieldType(samples),
+  }));
+}
+
+/**
+ * Rename and convert source documents according to a field mapping
+ */
+function mapDocuments(documents, mapping) {
+  return documents.map((doc) => {
+    const result = {};
+    for (const { key, fieldName, fieldType } of mapping) {
+      if (key in doc)
+        result[fieldName] = coerceImportValue(doc[key], fieldType);
+    }
+    return result;
+  });
+}
+
+function coerceImportValue(value, fieldType) {
+  if (value === null || value === undefined) return null;
+  switch (jsonTypeForField(fieldType)) {
+    case "number": {
+      const number = Number(value);
+      return value === "" || Number.isNaN(number) ? null : number;
+    }
+    case "boolean":
+      return typeof value === "boolean"
+        ? value
+        : /^(true|yes|1)$/i.test(String(value));
+    case "string":
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    default:
+      return value;
+  }
+}
+
+function inferCollection(documents) {
+  const mapping = inferFieldMapping(documents);
+  return {
+    fields: mapping.map(({ fieldName, fieldType }) => ({
+      fieldName,
+      fieldType,
+    })),
+    documents: mapDocuments(documents.slice(0, 1000), mapping),
+  };
+}
+
+/**
+ * Reading CSV, JSON, HAR and Postman files for import
+ */
+const IMPORT_BATCH_SIZE = 100;
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) =>
+    r.some((cell) => cell !== "")
+  );
+  const keys = header.map(
+    (h, i) => h.replace(/^\uFEFF/, "").trim() || `column${i + 1}`
+  );
+  return records.map((record) => {
+    const doc = {};
+    keys.forEach((key, i) => {
+      doc[key] = csvValue(record[i] ?? "");
+    });
+    return doc;
+  });
+}
+
+function csvValue(raw) {
+  const value = raw.trim();
+  if (value === "") return null;
+  if (/^-?\d+(\.\d+)?$/.test(value) && !/^-?0\d/.test(value)) {
+    return Number(value);
+  }
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === "true";
+  return raw;
+}
+
+/**
+ * Group JSON bodies from HAR entries or Postman examples by resource path
+ */
+function datasetsFromResponses(responses) {
+  const groups = new Map();
+  for (const { url, body } of responses) {
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch {
+      continue;
+    }
+    const documents = extractDocuments(json);
+    if (!documents.length) continue;
+    const group = recordingGroup(url);
+    const dataset = groups.get(group.key) || {
+      name: group.name,
+      source: group.path,
+      documents: [],
+      seen: new Set(),
+    };
+    // The same resource is often fetched more than once
+    for (const doc of documents) {
+      const identity = JSON.stringify(doc.id ?? doc._id ?? doc);
+      if (dataset.seen.has(identity)) continue;
+      dataset.seen.add(identity);
+      dataset.documents.push(doc);
+    }
+    groups.set(group.key, dataset);
+  }
+  return [...groups.values()].map(({ name, source, documents }) => ({
+    name,
+    source,
+    documents,
+  }));
+}
+
+function harResponses(har) {
+  return (har.log?.entries || [])
+    .filter(
+      (entry) =>
+        entry.response?.status >= 200 &&
+        entry.response.status < 300 &&
+        /json/i.test(entry.response.content?.mimeType || "") &&
+        entry.response.content.text
+    )
+    .map((entry) => ({
+      url: new URL(entry.request.url).pathname,
+      body:
+        entry.response.content.encoding === "base64"
+          ? Buffer.from(entry.response.content.text, "base64").toString("utf8")
+          : entry.response.content.text,
+    }));
+}
+
+function postmanResponses(collection) {
+  const responses = [];
+  const pathOf = (url) => {
+    const raw = typeof url === "string" ? url : url?.raw || "";
+    return (
+      raw
+        .replace(/^(https?:\/\/)?(\{\{[^}]+\}\}|[^/?#]+)/, "")
+        .split(/[?#]/)[0] || "/"
+    );
+  };
+  const visit = (items) => {
+    for (const item of items || []) {
+      if (item.item) visit(item.item);
+      for (const example of item.response || []) {
+        if (!example.body || (example.code && example.code >= 300)) continue;
+        responses.push({
+          url: pathOf(example.originalRequest?.url || item.request?.url),
+          body: example.body,
+        });
+      }
+    }
+  };
+  visit(collection.item);
+  return responses;
+}
+
+/**
+ * Read an import file into one or more datasets of plain documents
+ */
+async function readImportFile(uri) {
+  const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString(
+    "utf8"
+  );
+  const baseName = uri.path
+    .split("/")
+    .pop()
+    .replace(/(\.postman_collection)?\.\w+$/i, "");
+  const name = baseName.replace(/[^A-Za-z0-9_-]/g, "_") || "imported";
+
+  if (/\.csv$/i.test(uri.path)) {
+    return [{ name, source: "CSV", documents: parseCsv(text) }];
+  }
+
+  const json = JSON.parse(text);
+  if (json?.log?.entries) {
+    return datasetsFromResponses(harResponses(json));
+  }
+  if (/postman/i.test(json?.info?.schema || "") && Array.isArray(json.item)) {
+    return datasetsFromResponses(postmanResponses(json));
+  }
+  return [{ name, source: "JSON", documents: extractDocuments(json) }];
+}
+
+/**
+ * POST documents in batches so large imports can report progress
+ */
+async function postDocumentsInBatches(
+  api,
+  apiKey,
+  collectionId,
+  documents,
+  onBatch
+) {
+  for (let i = 0; i < documents.length; i += IMPORT_BATCH_SIZE) {
+    const batch = documents.slice(i, i + IMPORT_BATCH_SIZE);
+    await api.post(`/collections/${apiKey}/${collectionId}/documents`, batch, {
+      timeout: 30000,
+    });
+    onBatch(batch.length);
+  }
+}
+
+async function startRecording(proxy) {
+  if (proxy.isRunning) {
+    vscode.window.showInformationMessage(
+      `MockMan is already recording through ${proxy.baseUrl}`
+    );
+    return;
+  }
+
+  const target = await vscode.window.showInputBox({
+    prompt: "Base URL of the API to record",
+    placeHolder: "https://staging.example.com/api",
+    ignoreFocusOut: true,
+    validateInput: (value) => {
+      try {
+        return /^https?:$/.test(new URL(value).protocol)
+          ? null
+          : "Use an http:// or https:// URL";
+      } catch {
+        return "Enter a valid URL";
+      }
+    },
+  });
+  if (!target) return;
+
+  const routes = await vscode.window.showInputBox({
+    prompt:
+      "Routes to capture, comma-separated (* matches one segment, ** the rest). Leave empty to capture every JSON response.",
+    placeHolder: "/users, /orders/*",
+    ignoreFocusOut: true,
+  });
+  if (routes === undefined) return;
+
+  try {
+    await proxy.start(
+      target.trim(),
+      routes
+        .split(",")
+        .map((r) => r.trim())
+        .filter(Boolean)
+    );
+  } catch (error) {
+    const message =
+      error.code === "EADDRINUSE"
+        ? `Port ${error.port} is already in use. Change "mockman.recordPort" and try again.`
+        : error.message;
+    vscode.window.showErrorMessage(`⚠️ Failed to start recording: ${message}`);
+    return;
+  }
+
+  const selection = await vscode.window.showInformationMessage(
+    `⏺ Recording ${target}. Point your app at ${proxy.baseUrl}, then stop recording to create collections.`,
+    "Copy URL",
+    "Stop Recording"
+  );
+  if (selection === "Copy URL") {
+    vscode.env.clipboard.writeText(proxy.baseUrl);
+  } else if (selection === "Stop Recording") {
+    vscode.commands.executeCommand("mockman.stopRecording");
+  }
+}
+
+async function finishRecording(proxy, provider) {
+  if (!proxy.isRunning) {
+    vscode.window.showInformationMessage("MockMan is not recording.");
+    return;
   }
+  await proxy.stop();
 
-  showLoginError() {
+  const captures = [...proxy.captures.values()];
+  if (captures.length === 0) {
+    vscode.window.showWarningMessage(
+      "Recording stopped. No JSON responses were captured."
+    );
+    return;
+  }
+
+  const apiKey = await provider.getApiKey();
+  if (!apiKey) {
     vscode.window.showErrorMessage("⚠️ Please login first (MockMan: Login).");
-    this.panel.webview.postMessage({
-      command: "error",
-      message: "Please login first (MockMan: Login).",
+    return;
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    captures.map((capture) => {
+      const inferred = inferCollection(capture.documents);
+      return {
+        label: capture.name,
+        description: `${capture.path} · ${capture.documents.length} documents`,
+        detail: inferred.fields
+          .map((f) => `${f.fieldName} (${f.fieldType})`)
+          .join(", "),
+        picked: true,
+        inferred,
+      };
+    }),
+    {
+      canPickMany: true,
+      placeHolder:
+        "Recording stopped. Select captured routes to turn into collections",
+    }
+  );
+  if (!picked || picked.length === 0) return;
+
+  const existing = new Set(provider.collections.map((c) => c.collectionName));
+  const created = [];
+  const failed = [];
+  for (const item of picked) {
+    const collectionName = await vscode.window.showInputBox({
+      prompt: `Collection name for ${item.description}`,
+      value: existing.has(item.label) ? `${item.label}_recorded` : item.label,
+      validateInput: (value) =>
+        !value.trim()
+          ? "Collection name is required."
+          : existing.has(value.trim())
+            ? `A collection named "${value.trim()}" already exists.`
+            : null,
     });
+    if (!collectionName) continue;
+
+    const name = collectionName.trim();
+    const problem = validateSchema(name, item.inferred.fields);
+    if (problem) {
+      failed.push(`${name} (${problem})`);
+      continue;
+    }
+    try {
+      await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Creating "${name}" from recorded responses`,
+        },
+        () =>
+          createCollection(
+            provider.api,
+            apiKey,
+            name,
+            item.inferred.fields,
+            item.inferred.documents
+          )
+      );
+      existing.add(name);
+      created.push(name);
+    } catch (error) {
+      failed.push(`${name} (${describeError(error)})`);
+    }
   }
 
-  handleError(error, action) {
-    const errorMessage = error.response?.data?.message || error.message;
-    vscode.window.showErrorMessage(`Error ${action}: ${errorMessage}`);
-    this.panel.webview.postMessage({ command: "error", message: errorMessage });
+  if (created.length) {
+    vscode.window.showInformationMessage(
+      `✅ Created ${created.length} collection(s) from recorded traffic: ${created.join(", ")}`
+    );
+    vscode.commands.executeCommand("mockman.refresh");
   }
+  if (failed.length) {
+    vscode.window.showErrorMessage(`⚠️ Skipped: ${failed.join("; ")}`);
+  }
+}
 
-  async getWebviewContent() {
-    const nonce = getNonce();
-    const baseUrl = "https://api.mockman.online";
-    return `
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${this.panel.webview.cspSource} 'unsafe-inline' https:; script-src 'nonce-${nonce}';">
-        <title>MockMan Templates</title>
-        <link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">
-        <style>
-          body { background-color: #1a1a1a; color: #ffffff; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
-          .json-view { background-color: #2d2d2d; padding: 1rem; border-radius: 0.5rem; max-height: 300px; overflow-y: auto; font-family: monospace; font-size: 0.875rem; }
-          .loader { display: none; width: 20px; height: 20px; border: 2px solid #f3f3f3; border-top: 2px solid #60a5fa; border-radius: 50%; animation: spin 0.8s linear infinite; margin-left: 0.5rem; }
-          @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
-          .btn-loading { opacity: 0.7; cursor: not-allowed; }
-          .error-msg { color: #ef4444; padding: 1rem; background: #2d2d2d; border-radius: 0.5rem; margin: 1rem 0; }
-        </style>
-      </head>
-      <body class="p-4 sm:p-6 max-w-full mx-auto overflow-x-hidden">
-        <div class="mb-6">
-          <h1 class="text-2xl sm:text-3xl font-bold mb-4 text-white">MockMan Template Browser</h1>
-          <p class="text-gray-400">Browse 50+ templates, preview schemas, and create collections with fake data.</p>
-          <div id="loginPrompt" class="error-msg" style="display: none;">
-            <p>⚠️ Please login to access templates. <button id="loginBtn" class="text-blue-400 underline cursor-pointer">Login Now</button></p>
-          </div>
-        </div>
-        <div class="mb-6" id="templateSection" style="display: none;">
-          <h2 class="text-xl font-semibold mb-2 text-gray-300">Select Template</h2>
-          <select id="templateSelect" class="w-full p-3 bg-gray-800 text-white rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500">
-            <option value="">Choose a template category...</option>
-          </select>
-        </div>
-        <div class="mb-6" id="previewSection" style="display: none;">
-          <h2 class="text-xl font-semibold mb-2 text-gray-300">Schema Preview</h2>
-          <div id="preview" class="json-view border border-gray-600"></div>
-        </div>
-        <div class="mb-8" id="createSection" style="display: none;">
-          <h2 class="text-xl font-semibold mb-3 text-gray-300">Create Collection</h2>
-          <div class="flex flex-col sm:flex-row items-start sm:items-center space-y-2 sm:space-y-0 sm:space-x-4">
-            <input id="rowCount" type="number" min="1" max="1000" value="10" class="w-full sm:w-24 p-3 bg-gray-800 text-white rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="Rows">
-            <button id="createBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg flex items-center transition-colors disabled:opacity-50">
-              <span id="createText">Create Collection</span>
-              <span id="createLoader" class="loader"></span>
-            </button>
-          </div>
-          <p class="text-sm text-gray-500 mt-2">Max 1000 rows. Generated data will appear in your Collections sidebar.</p>
-        </div>
-        <script nonce="${nonce}">
-          const vscode = acquireVsCodeApi();
-          const createBtn = document.getElementById('createBtn');
-          const createText = document.getElementById('createText');
-          const createLoader = document.getElementById('createLoader');
-          const loginPrompt = document.getElementById('loginPrompt');
-          const templateSection = document.getElementById('templateSection');
-          const previewSection = document.getElementById('previewSection');
-          const createSection = document.getElementById('createSection');
-          function escapeHtml(unsafe) {
-            return unsafe
-              .replace(/&/g, "&amp;")
-              .replace(/</g, "&lt;")
-              .replace(/>/g, "&gt;")
-              .replace(/"/g, "&quot;")
-              .replace(/'/g, "&#039;");
-          }
-          window.addEventListener('message', event => {
-            const message = event.data;
-            switch (message.command) {
-              case 'templates':
-                templateSection.style.display = 'block';
-                previewSection.style.display = 'block';
-                createSection.style.display = 'block';
-                loginPrompt.style.display = 'none';
-                const select = document.getElementById('templateSelect');
-                select.innerHTML = '<option value="">Choose a template category...</option>';
-                message.data.forEach(template => {
-                  const option = document.createElement('option');
-                  option.value = template.category;
-                  option.textContent = escapeHtml(template.displayName);
-                  select.appendChild(option);
-                });
-                break;
-              case 'preview':
-                const preview = document.getElementById('preview');
-                preview.innerHTML = '<pre>' + escapeHtml(JSON.stringify(message.data, null, 2)) + '</pre>';
-                break;
-              case 'createSuccess':
-                createBtn.classList.remove('btn-loading');
-                createBtn.disabled = false;
-                createText.textContent = 'Create Collection';
-                createLoader.style.display = 'none';
-                break;
-              case 'error':
-                createBtn.classList.remove('btn-loading');
-                createBtn.disabled = false;
-                createText.textContent = 'Create Collection';
-                createLoader.style.display = 'none';
-                loginPrompt.innerHTML = '<p>' + escapeHtml(message.message) + ' <button id="loginBtn" class="text-blue-400 underline cursor-pointer">Login Now</button></p>';
-                loginPrompt.style.display = 'block';
-                templateSection.style.display = 'none';
-                previewSection.style.display = 'none';
-                createSection.style.display = 'none';
-                document.getElementById('loginBtn').addEventListener('click', () => {
-                  vscode.postMessage({ command: 'login' });
-                });
-                break;
-              case 'noApiKey':
-                loginPrompt.style.display = 'block';
-                templateSection.style.display = 'none';
-                previewSection.style.display = 'none';
-                createSection.style.display = 'none';
-                document.getElementById('loginBtn').addEventListener('click', () => {
-                  vscode.postMessage({ command: 'login' });
-                });
-                break;
-            }
-          });
-          document.getElementById('templateSelect')?.addEventListener('change', (e) => {
-            const category = e.target.value;
-            if (category) {
-              vscode.postMessage({ command: 'getPreview', category });
-            } else {
-              document.getElementById('preview').innerHTML = '';
-            }
-          });
-          document.getElementById('createBtn')?.addEventListener('click', () => {
-            const category = document.getElementById('templateSelect').value;
-            const count = parseInt(document.getElementById('rowCount').value);
-            if (category && count >= 1 && count <= 1000) {
-              createBtn.disabled = true;
-              createBtn.classList.add('btn-loading');
-              createText.textContent = 'Creating...';
-              createLoader.style.display = 'inline-block';
-              vscode.postMessage({ command: 'createCollection', category, count });
-            } else {
-              vscode.postMessage({ command: 'showError', message: 'Please select a template and enter a valid row count (1-1000).' });
-            }
-          });
-          vscode.postMessage({ command: 'getTemplates' });
-        </script>
-      </body>
-      </html>
-    `;
+/**
+ * Drive `when` clauses from a context key rather than a synced setting
+ */
+function updateLoginContext(apiKey) {
+  vscode.commands.executeCommand("setContext", "mockman.loggedIn", !!apiKey);
+}
+
+/**
+ * Move a key left in the old plaintext setting into secret storage
+ */
+async function migrateLegacyApiKey(profiles) {
+  const config = vscode.workspace.getConfiguration("mockman");
+  const legacyKey = config.inspect("apiKey")?.globalValue;
+  if (!legacyKey) return;
+  try {
+    if (!(await profiles.getApiKey(DEFAULT_PROFILE))) {
+      await profiles.storeApiKey(legacyKey, DEFAULT_PROFILE);
+    }
+    await config.update("apiKey", undefined, vscode.ConfigurationTarget.Global);
+  } catch (error) {
+    vscode.window.showWarningMessage(
+      `⚠️ Couldn't move your API key out of settings.json: ${error.message}. Remove "mockman.apiKey" from your user settings.`
+    );
+  }
+}
+
+/**
+ * Ask for an API key and check it against the server before accepting it
+ */
+async function promptForApiKey(api, prompt) {
+  const input = await vscode.window.showInputBox({
+    prompt,
+    password: true,
+    ignoreFocusOut: true,
+    validateInput: (v) =>
+      /^[a-f0-9]+$/.test(v.trim()) ? null : "Invalid API Key format.",
+  });
+  if (!input) return null;
+  const apiKey = input.trim();
+
+  try {
+    await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Verifying API key",
+      },
+      () => api.get(`/collections/${apiKey}`, { timeout: 5000, retries: 0 })
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `⚠️ API key was not accepted: ${
+        error.response?.data?.message || error.message
+      }`
+    );
+    return null;
   }
+  return apiKey;
 }
 
 /**
@@ -577,11 +10728,128 @@ function getNonce() {
  * Activate Extension
  */
 async function activate(context) {
-  const provider = new MockmanProvider(context);
-  vscode.window.registerTreeDataProvider("mockmanCollections", provider);
+  const profiles = new ProfileManager(context);
+  const api = new MockmanApiClient(context, profiles);
+  const provider = new MockmanProvider(context, profiles, api);
+  const treeView = vscode.window.createTreeView("mockmanCollections", {
+    treeDataProvider: provider,
+  });
+  context.subscriptions.push(
+    treeView,
+    provider.onDidChangeTreeData(() => {
+      treeView.message = provider.staleSince
+        ? `⚠️ Offline: showing collections cached on ${new Date(
+            provider.staleSince
+          ).toLocaleString()}`
+        : undefined;
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.workspace.registerFileSystemProvider(
+      "mockman",
+      new MockmanFileSystemProvider(provider),
+      { isCaseSensitive: true }
+    )
+  );
+
+  const urlProvider = new MockmanUrlProvider(context, provider);
+  const sourceFiles = [{ scheme: "file" }, { scheme: "untitled" }];
+  context.subscriptions.push(
+    vscode.languages.registerDocumentLinkProvider(sourceFiles, urlProvider),
+    vscode.languages.registerHoverProvider(sourceFiles, urlProvider),
+    vscode.languages.registerCodeLensProvider(sourceFiles, urlProvider),
+    vscode.languages.registerCompletionItemProvider(
+      sourceFiles,
+      urlProvider,
+      "/",
+      "?",
+      "&",
+      "=",
+      ","
+    )
+  );
 
+  const scenarios = new ScenarioManager(context);
   const templateBrowser = new TemplateBrowserWebview(context, provider);
-  const endpointsWebview = new EndpointsWebview(context, provider);
+  const localStore = new LocalStore(context, api, profiles);
+  const changeEvents = new ChangeEvents();
+  const auth = new AuthManager(context);
+  const localServer = new LocalMockServer(
+    context,
+    localStore,
+    scenarios,
+    changeEvents,
+    auth
+  );
+  const endpointsWebview = new EndpointsWebview(
+    context,
+    provider,
+    scenarios,
+    localServer,
+    auth
+  );
+  const schemaDesigner = new SchemaDesignerWebview(context, provider);
+  const importWebview = new ImportWebview(context, provider);
+  const workspaceSync = new WorkspaceSync(context, provider);
+  const documentValidator = new DocumentValidator(
+    context,
+    provider,
+    workspaceSync
+  );
+
+  const requestLog = new RequestLogWebview(context, localServer);
+  const eventFeed = new EventFeedWebview(context, changeEvents, localServer);
+  new ChangeWatcher(context, provider, changeEvents);
+  const recordingProxy = new RecordingProxy(context);
+  context.subscriptions.push(recordingProxy);
+  context.subscriptions.push(
+    localServer,
+    provider.onDidFetchCollections(({ apiKey, collections }) =>
+      localStore.sync(apiKey, collections)
+    ),
+    profiles.onDidChangeProfile(async () => {
+      provider.apiKey = null;
+      updateLoginContext(await provider.getApiKey());
+      // Panels are scoped to the previous profile's collections
+      endpointsWebview.panel?.dispose();
+      schemaDesigner.panel?.dispose();
+      importWebview.panel?.dispose();
+      documentValidator.clearAll();
+      templateBrowser.reload();
+      provider.refresh();
+    })
+  );
+
+  async function signIn(apiKey) {
+    await profiles.storeApiKey(apiKey);
+    provider.apiKey = apiKey;
+    updateLoginContext(apiKey);
+    await provider.refresh();
+  }
+
+  /**
+   * Forget everything cached for the current key
+   */
+  async function clearSession() {
+    await localServer.stop();
+    localServer.clearLog();
+    requestLog.panel?.dispose();
+    changeEvents.clear();
+    eventFeed.panel?.dispose();
+    await localStore.clear();
+    await api.clearCache();
+    for (const key of context.workspaceState.keys()) {
+      if (key.startsWith("mockman.history.")) {
+        await context.workspaceState.update(key, undefined);
+      }
+    }
+    endpointsWebview.panel?.dispose();
+    schemaDesigner.panel?.dispose();
+    importWebview.panel?.dispose();
+    documentValidator.clearAll();
+    provider.apiKey = null;
+  }
 
   context.subscriptions.push(
     vscode.window.registerUriHandler({
@@ -590,23 +10858,11 @@ async function activate(context) {
           const queryParams = new URLSearchParams(uri.query);
           const apiKey = queryParams.get("apikey");
           if (apiKey && apiKey.length > 0 && /^[a-f0-9]+$/.test(apiKey)) {
-            context.secrets
-              .store("mockman.apiKey", apiKey.trim())
-              .then(() => {
-                provider.apiKey = apiKey.trim();
-                return vscode.workspace
-                  .getConfiguration("mockman")
-                  .update(
-                    "apiKey",
-                    apiKey.trim(),
-                    vscode.ConfigurationTarget.Global
-                  );
-              })
+            signIn(apiKey.trim())
               .then(() => {
                 vscode.window.showInformationMessage(
                   "✅ API Key saved successfully!"
                 );
-                provider.refresh();
               })
               .catch((error) => {
                 vscode.window.showErrorMessage(
@@ -625,21 +10881,91 @@ async function activate(context) {
 
   context.subscriptions.push(
     vscode.commands.registerCommand("mockman.login", async () => {
-      const loginUrl = `https://mockman.online/login`;
+      const loginUrl = profiles.active.loginUrl;
       const success = await vscode.env.openExternal(vscode.Uri.parse(loginUrl));
       if (!success) {
         vscode.window
           .showWarningMessage(
             `Could not open browser. Please visit ${loginUrl} manually.`,
-            "Copy URL"
+            "Copy URL",
+            "Enter API Key"
           )
           .then((selection) => {
             if (selection === "Copy URL") {
               vscode.env.clipboard.writeText(loginUrl);
+            } else if (selection === "Enter API Key") {
+              vscode.commands.executeCommand("mockman.enterApiKey");
             }
           });
       }
     }),
+    vscode.commands.registerCommand("mockman.enterApiKey", async () => {
+      const apiKey = await promptForApiKey(
+        api,
+        `Paste the API key for profile "${profiles.active.name}"`
+      );
+      if (!apiKey) return;
+      await signIn(apiKey);
+      vscode.window.showInformationMessage("✅ API Key saved successfully!");
+    }),
+    vscode.commands.registerCommand("mockman.rotateApiKey", async () => {
+      const oldKey = await provider.getApiKey();
+      if (!oldKey) {
+        vscode.window.showErrorMessage(
+          "⚠️ Please login first (MockMan: Login)."
+        );
+        return;
+      }
+      const selection = await vscode.window.showInformationMessage(
+        "Generate a new API key on the MockMan website, then paste it here. The old key stops working once you regenerate it.",
+        { modal: true },
+        "Open MockMan",
+        "I Have a New Key"
+      );
+      if (!selection) return;
+      if (selection === "Open MockMan") {
+        await vscode.env.openExternal(
+          vscode.Uri.parse(profiles.active.loginUrl)
+        );
+      }
+      const apiKey = await promptForApiKey(
+        api,
+        "Paste your new MockMan API key"
+      );
+      if (!apiKey) return;
+      if (apiKey === oldKey) {
+        vscode.window.showWarningMessage(
+          "That is the key you are already using."
+        );
+        return;
+      }
+      await clearSession();
+      await signIn(apiKey);
+      vscode.window.showInformationMessage("🔑 API key rotated.");
+    }),
+    vscode.commands.registerCommand("mockman.logout", async () => {
+      const confirm = await vscode.window.showWarningMessage(
+        `Logout of MockMan profile "${profiles.active.name}"? The stored API key and cached data will be removed.`,
+        { modal: true },
+        "Logout"
+      );
+      if (confirm !== "Logout") return;
+      await clearSession();
+      await profiles.deleteApiKey();
+      updateLoginContext(null);
+      await provider.refresh();
+      templateBrowser.reload();
+      vscode.window.showInformationMessage("👋 Logged out of MockMan.");
+    }),
+    vscode.commands.registerCommand("mockman.switchProfile", async () => {
+      await switchProfile(profiles);
+    }),
+    vscode.commands.registerCommand("mockman.addProfile", async () => {
+      await addProfile(profiles);
+    }),
+    vscode.commands.registerCommand("mockman.removeProfile", async () => {
+      await removeProfile(profiles);
+    }),
     vscode.commands.registerCommand("mockman.refresh", async () => {
       await provider.refresh();
       vscode.window.showInformationMessage("🔄 Collections refreshed!");
@@ -656,13 +10982,408 @@ async function activate(context) {
         }
         await endpointsWebview.show(collection);
       }
-    )
+    ),
+    vscode.commands.registerCommand(
+      "mockman.sendUrlRequest",
+      async (collection, method, path) => {
+        await sendUrlRequest(
+          provider,
+          endpointsWebview,
+          collection,
+          method,
+          path
+        );
+      }
+    ),
+    vscode.commands.registerCommand(
+      "mockman.openDocuments",
+      async (collection, documentId) => {
+        await openDocuments(provider, collection, documentId);
+      }
+    ),
+    vscode.commands.registerCommand("mockman.newCollection", async () => {
+      await schemaDesigner.show();
+    }),
+    vscode.commands.registerCommand("mockman.exportDocuments", async (item) => {
+      const collection = item?.collectionData || item;
+      if (!collection?._id) {
+        vscode.window.showErrorMessage("No collection selected.");
+        return;
+      }
+      await exportDocuments(collection, provider);
+    }),
+    vscode.commands.registerCommand(
+      "mockman.renameCollection",
+      async (item) => {
+        const collection = item?.collectionData || item;
+        if (!collection?._id) {
+          vscode.window.showErrorMessage("No collection selected.");
+          return;
+        }
+        await renameCollection(collection, provider);
+      }
+    ),
+    vscode.commands.registerCommand(
+      "mockman.duplicateCollection",
+      async (item) => {
+        const collection = item?.collectionData || item;
+        if (!collection?._id) {
+          vscode.window.showErrorMessage("No collection selected.");
+          return;
+        }
+        await duplicateCollection(collection, provider);
+      }
+    ),
+    vscode.commands.registerCommand(
+      "mockman.deleteCollection",
+      async (item) => {
+        const collection = item?.collectionData || item;
+        if (!collection?._id) {
+          vscode.window.showErrorMessage("No collection selected.");
+          return;
+        }
+        if (!(await deleteCollection(collection, provider))) return;
+        if (endpointsWebview.collection?._id === collection._id) {
+          endpointsWebview.panel?.dispose();
+        }
+        documentValidator.clear(collection._id);
+        await context.workspaceState.update(
+          historyKey(collection._id),
+          undefined
+        );
+        await context.workspaceState.update(
+          scenarioKey(collection._id),
+          undefined
+        );
+        await context.workspaceState.update(authKey(collection._id), undefined);
+      }
+    ),
+    vscode.commands.registerCommand(
+      "mockman.validateCollection",
+      async (item) => {
+        let collection = item?.collectionData || item;
+        if (!collection?._id) {
+          const choice = await vscode.window.showQuickPick(
+            provider.collections.map((c) => ({
+              label: c.collectionName,
+              collection: c,
+            })),
+            { placeHolder: "Select a collection to validate" }
+          );
+          if (!choice) return;
+          collection = choice.collection;
+        }
+        if (!collection.fields?.length) {
+          vscode.window.showInformationMessage(
+            `${collection.collectionName} has no fields to validate against. Add some in the schema designer.`
+          );
+          return;
+        }
+        const apiKey = await provider.getApiKey();
+        if (!apiKey) {
+          vscode.window.showErrorMessage(
+            "⚠️ Please login first (MockMan: Login)."
+          );
+          return;
+        }
+
+        let result;
+        try {
+          result = await vscode.window.withProgress(
+            {
+              location: vscode.ProgressLocation.Notification,
+              title: `Validating ${collection.collectionName}`,
+            },
+            () => documentValidator.validateCollection(collection, apiKey)
+          );
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `❌ Failed to validate ${collection.collectionName}: ${describeError(error)}`
+          );
+          return;
+        }
+        if (!result.invalid) {
+          vscode.window.showInformationMessage(
+            `✅ All ${result.documents} documents in ${collection.collectionName} match its fields.`
+          );
+          return;
+        }
+        const selection = await vscode.window.showWarningMessage(
+          `⚠️ ${result.invalid} of ${result.documents} documents in ${collection.collectionName} don't match its fields (${result.problems} problems).`,
+          "Show Problems"
+        );
+        if (selection === "Show Problems") {
+          vscode.commands.executeCommand("workbench.actions.view.problems");
+        }
+      }
+    ),
+    vscode.commands.registerCommand("mockman.clearDocuments", async (item) => {
+      const collection = item?.collectionData || item;
+      if (!collection?._id) {
+        vscode.window.showErrorMessage("No collection selected.");
+        return;
+      }
+      await clearCollection(collection, provider);
+    }),
+    vscode.commands.registerCommand(
+      "mockman.reseedCollection",
+      async (item) => {
+        const collection = item?.collectionData || item;
+        if (!collection?._id) {
+          vscode.window.showErrorMessage("No collection selected.");
+          return;
+        }
+        await reseedCollection(collection, provider);
+      }
+    ),
+    vscode.commands.registerCommand("mockman.editSchema", async (item) => {
+      const collection = item?.collectionData || item;
+      if (!collection?._id) {
+        vscode.window.showErrorMessage("No collection selected.");
+        return;
+      }
+      await schemaDesigner.show(collection);
+    }),
+    vscode.commands.registerCommand("mockman.generateTypes", async (item) => {
+      const collection = item?.collectionData || item;
+      if (!collection?._id) {
+        vscode.window.showErrorMessage("No collection selected.");
+        return;
+      }
+      await generateTypes(collection, provider.baseUrl);
+    }),
+    vscode.commands.registerCommand("mockman.exportOpenApi", async (item) => {
+      const collection = item?.collectionData || item;
+      if (!collection?._id) {
+        vscode.window.showErrorMessage("No collection selected.");
+        return;
+      }
+      await exportOpenApi(
+        [collection],
+        `MockMan: ${collection.collectionName}`,
+        `${collection.collectionName}.openapi.json`,
+        provider.baseUrl
+      );
+    }),
+    vscode.commands.registerCommand("mockman.exportAllOpenApi", async () => {
+      if (provider.collections.length === 0) {
+        vscode.window.showErrorMessage("No collections to export.");
+        return;
+      }
+      await exportOpenApi(
+        provider.collections,
+        "MockMan Collections",
+        "mockman.openapi.json",
+        provider.baseUrl
+      );
+    }),
+    vscode.commands.registerCommand("mockman.exportGraphQLSchema", async () => {
+      if (provider.collections.length === 0) {
+        vscode.window.showErrorMessage("No collections to export.");
+        return;
+      }
+      try {
+        await exportGraphQLSchema(provider.collections);
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `❌ Failed to export GraphQL schema: ${error.message}`
+        );
+      }
+    }),
+    vscode.commands.registerCommand("mockman.importOpenApi", async () => {
+      await importOpenApi(provider);
+    }),
+    vscode.commands.registerCommand("mockman.pull", async () => {
+      await workspaceSync.run("pull");
+    }),
+    vscode.commands.registerCommand("mockman.push", async () => {
+      await workspaceSync.run("push");
+    }),
+    vscode.commands.registerCommand(
+      "mockman.loadMoreDocuments",
+      async (collection) => {
+        if (!collection) return;
+        await provider.loadMoreDocuments(collection);
+      }
+    ),
+    vscode.commands.registerCommand("mockman.createDocument", async (item) => {
+      const collection = item?.collectionData;
+      const apiKey = await provider.getApiKey();
+      if (!collection || !apiKey) {
+        vscode.window.showErrorMessage("No collection selected.");
+        return;
+      }
+      try {
+        const res = await api.post(
+          `/collections/${apiKey}/${collection._id}/documents`,
+          sampleDocument(collection)
+        );
+        const created = Array.isArray(res.data) ? res.data[0] : res.data;
+        provider.updateCachedDocument(collection._id, created);
+        provider.refreshDocumentCount(collection._id);
+        await vscode.window.showTextDocument(
+          documentUri(collection._id, created._id)
+        );
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Error creating document: ${
+            error.response?.data?.message || error.message
+          }`
+        );
+      }
+    }),
+    vscode.commands.registerCommand("mockman.deleteDocument", async (item) => {
+      if (!item?.documentId) {
+        vscode.window.showErrorMessage("No document selected.");
+        return;
+      }
+      const confirm = await vscode.window.showWarningMessage(
+        `Delete document "${item.label}"? This cannot be undone.`,
+        { modal: true },
+        "Delete"
+      );
+      if (confirm !== "Delete") return;
+      try {
+        await vscode.workspace.fs.delete(
+          documentUri(item.collectionData._id, item.documentId)
+        );
+        vscode.window.showInformationMessage("🗑️ Document deleted.");
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Error deleting document: ${error.message}`
+        );
+      }
+    }),
+    vscode.commands.registerCommand("mockman.importFile", async (uri) => {
+      if (!uri) {
+        [uri] =
+          (await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri,
+            filters: { "Data files": ["json", "csv", "har"] },
+            openLabel: "Import into MockMan",
+          })) || [];
+        if (!uri) return;
+      }
+      await importWebview.show(uri);
+    }),
+    vscode.commands.registerCommand("mockman.recordFromUrl", async () => {
+      await startRecording(recordingProxy);
+    }),
+    vscode.commands.registerCommand("mockman.stopRecording", async () => {
+      await finishRecording(recordingProxy, provider);
+    }),
+    vscode.commands.registerCommand("mockman.showRequestLog", async () => {
+      await requestLog.show();
+    }),
+    vscode.commands.registerCommand("mockman.showEventFeed", async () => {
+      await eventFeed.show();
+    }),
+    vscode.commands.registerCommand("mockman.issueToken", async () => {
+      await issueTestToken(auth);
+    }),
+    vscode.commands.registerCommand("mockman.addWebhook", async () => {
+      await addWebhook(localServer);
+    }),
+    vscode.commands.registerCommand("mockman.removeWebhook", async () => {
+      await removeWebhook();
+    }),
+    vscode.commands.registerCommand("mockman.selectScenario", async (item) => {
+      let collection = item?.collectionData || item;
+      if (!collection?._id) {
+        const choice = await vscode.window.showQuickPick(
+          provider.collections.map((c) => ({
+            label: c.collectionName,
+            collection: c,
+          })),
+          { placeHolder: "Select a collection" }
+        );
+        if (!choice) return;
+        collection = choice.collection;
+      }
+      const scenario = await selectScenario(scenarios, collection);
+      if (!scenario) return;
+
+      const message = `Scenario "${scenarioLabel(scenario)}" active for ${
+        collection.collectionName
+      }.`;
+      if (localServer.isRunning) {
+        vscode.window.showInformationMessage(`✅ ${message}`);
+        return;
+      }
+      const selection = await vscode.window.showInformationMessage(
+        `✅ ${message} Scenarios apply to the local mock server.`,
+        "Start Local Server"
+      );
+      if (selection === "Start Local Server") {
+        vscode.commands.executeCommand("mockman.startServer");
+      }
+    }),
+    vscode.commands.registerCommand("mockman.startServer", async () => {
+      if (localServer.isRunning) {
+        vscode.window.showInformationMessage(
+          `MockMan local server is already running at ${localServer.baseUrl}`
+        );
+        return;
+      }
+      try {
+        await localServer.start();
+        vscode.window
+          .showInformationMessage(
+            `🚀 MockMan local server running at ${localServer.baseUrl}`,
+            "Copy URL"
+          )
+          .then((selection) => {
+            if (selection === "Copy URL") {
+              vscode.env.clipboard.writeText(localServer.baseUrl);
+            }
+          });
+      } catch (error) {
+        const message =
+          error.code === "EADDRINUSE"
+            ? `Port ${error.port} is already in use. Change "mockman.port" and try again.`
+            : error.message;
+        vscode.window.showErrorMessage(
+          `⚠️ Failed to start local server: ${message}`
+        );
+      }
+    }),
+    vscode.commands.registerCommand("mockman.stopServer", async () => {
+      if (!localServer.isRunning) {
+        vscode.window.showInformationMessage(
+          "MockMan local server is not running."
+        );
+        return;
+      }
+      await localServer.stop();
+      vscode.window.showInformationMessage("🛑 MockMan local server stopped.");
+    })
   );
 
+  await migrateLegacyApiKey(profiles);
+  updateLoginContext(await provider.getApiKey());
+
   // Immediate refresh to ensure sidebar is populated
   provider.refresh();
 }
 
 function deactivate() {}
 
-module.exports = { activate, deactivate };
+module.exports = {
+  activate,
+  deactivate,
+  // Exported for tests
+  buildOpenApiDocument,
+  collectionsFromOpenApi,
+  queryDocuments,
+  pageDocuments,
+  parseCsv,
+  mapDocuments,
+  buildGraphQLSdl,
+  validateDocument,
+  exportAsCsv,
+  exportAsSql,
+  signJwt,
+  verifyJwt,
+  authorizeRequest,
+};
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const { signJwt, verifyJwt, authorizeRequest } = require('../extension');
+
+const secret = 'test-secret';
+const now = () => Math.floor(Date.now() / 1000);
+const collection = { _id: 'c1', collectionName: 'orders' };
+
+suite('Test JWTs', () => {
+	test('verifies tokens it signed', () => {
+		const claims = { sub: 'user-1', role: 'editor', exp: now() + 60 };
+		assert.deepStrictEqual(verifyJwt(signJwt(claims, secret), secret), { claims });
+	});
+
+	test('rejects other secrets, tampering and malformed tokens', () => {
+		const token = signJwt({ sub: 'user-1' }, secret);
+		assert.ok(verifyJwt(token, 'other').error);
+		const [header, , signature] = token.split('.');
+		const forged = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url');
+		assert.ok(verifyJwt(`${header}.${forged}.${signature}`, secret).error);
+		for (const bad of ['', 'abc', 'a.b', `${token}.extra`]) {
+			assert.strictEqual(verifyJwt(bad, secret).error, 'The token is not a JWT', bad);
+		}
+	});
+
+	test('rejects signatures with non-ASCII characters instead of throwing', () => {
+		const token = signJwt({ sub: 'user-1' }, secret);
+		const signature = token.split('.')[2];
+		const latin1 = token.slice(0, -signature.length) + 'é'.repeat(signature.length);
+		assert.strictEqual(verifyJwt(latin1, secret).error, 'The token signature is invalid');
+	});
+
+	test('rejects expired, not yet valid and non-object payloads', () => {
+		assert.strictEqual(verifyJwt(signJwt({ exp: now() - 1 }, secret), secret).error, 'The token expired');
+		assert.strictEqual(verifyJwt(signJwt({ nbf: now() + 60 }, secret), secret).error, 'The token is not valid yet');
+		for (const payload of [null, 42, ['a']]) {
+			assert.strictEqual(
+				verifyJwt(signJwt(payload, secret), secret).error,
+				'The token payload is not a JSON object'
+			);
+		}
+	});
+});
+
+suite('Collection auth', () => {
+	const bearer = { mode: 'bearer', headerName: 'X-API-Key', keys: [], readRoles: ['viewer'], writeRoles: ['editor'] };
+	const withToken = (claims) => ({ authorization: `Bearer ${signJwt(claims, secret)}` });
+
+	test('lets every request through without auth', () => {
+		const none = { ...bearer, mode: 'none' };
+		assert.strictEqual(authorizeRequest(none, {}, true, secret, collection), null);
+	});
+
+	test('answers 401 with a challenge for missing or invalid bearer tokens', () => {
+		const missing = authorizeRequest(bearer, {}, false, secret, collection);
+		assert.strictEqual(missing.status, 401);
+		assert.strictEqual(missing.headers['WWW-Authenticate'], 'Bearer realm="MockMan"');
+		const expired = authorizeRequest(bearer, withToken({ role: 'viewer', exp: now() - 1 }), false, secret, collection);
+		assert.strictEqual(expired.status, 401);
+		assert.match(expired.headers['WWW-Authenticate'], /error="invalid_token"/);
+	});
+
+	test('lets write roles read and answers 403 for missing roles', () => {
+		assert.strictEqual(authorizeRequest(bearer, withToken({ role: 'viewer' }), false, secret, collection), null);
+		assert.strictEqual(authorizeRequest(bearer, withToken({ roles: ['editor'] }), false, secret, collection), null);
+		assert.strictEqual(authorizeRequest(bearer, withToken({ role: 'editor' }), true, secret, collection), null);
+		const denied = authorizeRequest(bearer, withToken({ role: 'viewer' }), true, secret, collection);
+		assert.strictEqual(denied.status, 403);
+		assert.deepStrictEqual(denied.body.requiredRoles, ['editor']);
+		assert.strictEqual(authorizeRequest(bearer, withToken({}), false, secret, collection).status, 403);
+	});
+
+	test('checks API key headers and their roles', () => {
+		const apiKey = {
+			mode: 'apiKey',
+			headerName: 'X-Client-Key',
+			keys: [
+				{ key: 'mk_read', role: 'viewer' },
+				{ key: 'mk_any', role: null },
+			],
+			readRoles: [],
+			writeRoles: ['editor'],
+		};
+		assert.strictEqual(authorizeRequest(apiKey, {}, false, secret, collection).status, 401);
+		assert.strictEqual(authorizeRequest(apiKey, { 'x-client-key': 'nope' }, false, secret, collection).status, 401);
+		assert.strictEqual(authorizeRequest(apiKey, { 'x-client-key': 'mk_any' }, false, secret, collection), null);
+		assert.strictEqual(authorizeRequest(apiKey, { 'x-client-key': 'mk_read' }, true, secret, collection).status, 403);
+	});
+});
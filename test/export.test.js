@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { exportAsCsv, exportAsSql } = require('../extension');
+
+const users = {
+	_id: 'c1',
+	collectionName: 'Team Users',
+	fields: [
+		{ fieldName: 'name', fieldType: 'fullName' },
+		{ fieldName: 'age', fieldType: 'number' },
+	],
+};
+
+suite('Document export', () => {
+	test('writes declared fields first, then keys only the documents have', () => {
+		const documents = [
+			{ _id: 'a', name: 'Ann, Jr.', age: 30, nickname: 'A' },
+			{ _id: 'b', name: 'Bo "B"', tags: ['x'] },
+		];
+		assert.strictEqual(
+			exportAsCsv(users, documents),
+			[
+				'_id,name,age,nickname,tags',
+				'a,"Ann, Jr.",30,A,',
+				'b,"Bo ""B""",,,"[""x""]"',
+			].join('\n')
+		);
+	});
+
+	test('exports every key of collections without declared fields', () => {
+		const sql = exportAsSql({ ...users, fields: [] }, [{ _id: 'a', title: "It's", done: false }]);
+		assert.strictEqual(
+			sql.split('\n')[1],
+			`INSERT INTO "team_users" ("_id", "title", "done") VALUES ('a', 'It''s', FALSE);`
+		);
+	});
+});
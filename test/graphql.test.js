@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { buildSchema } = require('graphql');
+const { buildGraphQLSdl } = require('../extension');
+
+const users = {
+	_id: 'c1',
+	collectionName: 'users',
+	fields: [
+		{ fieldName: 'name', fieldType: 'fullName' },
+		{ fieldName: 'age', fieldType: 'number' },
+		{ fieldName: 'first-name', fieldType: 'string' },
+	],
+};
+const orders = {
+	_id: 'c2',
+	collectionName: 'orders',
+	fields: [
+		{ fieldName: 'userId', fieldType: 'string', ref: 'users' },
+		{ fieldName: 'productIds', fieldType: 'array', ref: 'products' },
+		{ fieldName: 'paid', fieldType: 'boolean' },
+	],
+};
+const products = { _id: 'c3', collectionName: 'products', fields: [{ fieldName: 'title', fieldType: 'string' }] };
+
+suite('GraphQL schema', () => {
+	test('builds a valid schema with types, queries and mutations', () => {
+		const schema = buildSchema(buildGraphQLSdl([users, orders, products]));
+		const user = schema.getType('User').getFields();
+		assert.deepStrictEqual(Object.keys(user), ['_id', 'name', 'age']);
+		assert.strictEqual(String(user.age.type), 'Float');
+		assert.deepStrictEqual(Object.keys(schema.getQueryType().getFields()), [
+			'_collections',
+			'users',
+			'user',
+			'orders',
+			'order',
+			'products',
+			'product',
+		]);
+		assert.ok(schema.getMutationType().getFields().createOrder);
+		assert.ok(schema.getType('OrderInput'));
+	});
+
+	test('adds relation fields for references', () => {
+		const schema = buildSchema(buildGraphQLSdl([users, orders, products]));
+		const order = schema.getType('Order').getFields();
+		assert.strictEqual(String(order.userId.type), 'ID');
+		assert.strictEqual(String(order.user.type), 'User');
+		assert.strictEqual(String(order.productIds.type), '[ID]');
+		assert.strictEqual(String(order.products.type), '[Product]');
+	});
+
+	test('keeps names unique when collections clash or use reserved names', () => {
+		const schema = buildSchema(
+			buildGraphQLSdl([
+				users,
+				{ _id: 'c4', collectionName: 'user', fields: [{ fieldName: 'email', fieldType: 'email' }] },
+				{ _id: 'c5', collectionName: 'query', fields: [] },
+			])
+		);
+		assert.ok(schema.getType('User'));
+		assert.ok(schema.getType('User2'));
+		assert.ok(schema.getType('Query2'));
+		assert.strictEqual(schema.getMutationType().getFields().createQuery2, undefined);
+		assert.ok(schema.getMutationType().getFields().deleteQuery2);
+	});
+});
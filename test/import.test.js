@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { parseCsv, mapDocuments } = require('../extension');
+
+suite('CSV import', () => {
+	test('reads a header row and typed values', () => {
+		const csv = '\uFEFFname,age,active,zip\nAnn,34,true,01234\nBo,,FALSE,10115\n';
+		assert.deepStrictEqual(parseCsv(csv), [
+			{ name: 'Ann', age: 34, active: true, zip: '01234' },
+			{ name: 'Bo', age: null, active: false, zip: 10115 },
+		]);
+	});
+
+	test('handles quoted commas, escaped quotes, newlines and CRLF', () => {
+		const csv = 'title,notes\r\n"Hello, world","She said ""hi""\nthen left"\r\n';
+		assert.deepStrictEqual(parseCsv(csv), [
+			{ title: 'Hello, world', notes: 'She said "hi"\nthen left' },
+		]);
+	});
+
+	test('skips blank lines and names empty headers', () => {
+		const csv = 'id,\n\n1,x\n\n';
+		assert.deepStrictEqual(parseCsv(csv), [{ id: 1, column2: 'x' }]);
+	});
+});
+
+suite('Import mapping', () => {
+	test('renames, drops and coerces fields', () => {
+		const documents = [
+			{ Name: 'Ann', Age: '34', Member: 'yes', Meta: { a: 1 }, Ignored: 'x' },
+			{ Name: 'Bo', Age: 'n/a', Member: '0' },
+		];
+		const mapping = [
+			{ key: 'Name', fieldName: 'name', fieldType: 'string' },
+			{ key: 'Age', fieldName: 'age', fieldType: 'number' },
+			{ key: 'Member', fieldName: 'member', fieldType: 'boolean' },
+			{ key: 'Meta', fieldName: 'meta', fieldType: 'string' },
+		];
+		assert.deepStrictEqual(mapDocuments(documents, mapping), [
+			{ name: 'Ann', age: 34, member: true, meta: '{"a":1}' },
+			{ name: 'Bo', age: null, member: false },
+		]);
+	});
+});
@@ -0,0 +1,147 @@
+const assert = require('assert');
+const { buildOpenApiDocument, collectionsFromOpenApi } = require('../extension');
+
+const users = {
+	_id: 'c1',
+	collectionName: 'users',
+	fields: [
+		{ fieldName: 'name', fieldType: 'fullName' },
+		{ fieldName: 'age', fieldType: 'number' },
+	],
+};
+const user = {
+	_id: 'c2',
+	collectionName: 'user',
+	fields: [{ fieldName: 'email', fieldType: 'email' }],
+};
+
+suite('OpenAPI', () => {
+	test('gives collections with the same type name unique schemas and operationIds', () => {
+		const spec = buildOpenApiDocument([users, user], 'Test', 'http://localhost');
+		assert.deepStrictEqual(Object.keys(spec.components.schemas).sort(), [
+			'Error',
+			'User',
+			'User2',
+			'User2Input',
+			'UserInput',
+		]);
+		const operationIds = Object.values(spec.paths).flatMap((item) =>
+			Object.values(item).filter((op) => op.operationId).map((op) => op.operationId)
+		);
+		assert.strictEqual(new Set(operationIds).size, operationIds.length);
+	});
+
+	test('round-trips exported collections without input or error schemas', () => {
+		const spec = buildOpenApiDocument([users, user], 'Test', 'http://localhost');
+		const candidates = collectionsFromOpenApi(spec);
+		assert.deepStrictEqual(
+			candidates.map((c) => c.name),
+			['users', 'user']
+		);
+		assert.deepStrictEqual(
+			candidates[0].fields.map((f) => f.fieldName),
+			['name', 'age']
+		);
+		assert.strictEqual(candidates[0].fields[1].fieldType, 'number');
+	});
+
+	test('imports only schemas returned by successful operations', () => {
+		const spec = {
+			openapi: '3.0.0',
+			paths: {
+				'/pets': {
+					get: {
+						responses: {
+							200: {
+								content: {
+									'application/json': {
+										schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } },
+									},
+								},
+							},
+							default: { $ref: '#/components/responses/Problem' },
+						},
+					},
+					post: {
+						requestBody: {
+							content: { 'application/json': { schema: { $ref: '#/components/schemas/NewPet' } } },
+						},
+						responses: { 201: { $ref: '#/components/responses/PetCreated' } },
+					},
+				},
+			},
+			components: {
+				responses: {
+					PetCreated: {
+						content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } },
+					},
+					Problem: {
+						content: { 'application/json': { schema: { $ref: '#/components/schemas/Problem' } } },
+					},
+				},
+				schemas: {
+					Pet: { type: 'object', properties: { name: { type: 'string' } } },
+					NewPet: { type: 'object', properties: { name: { type: 'string' } } },
+					Problem: { type: 'object', properties: { message: { type: 'string' } } },
+				},
+			},
+		};
+		assert.deepStrictEqual(
+			collectionsFromOpenApi(spec).map((c) => c.name),
+			['Pet']
+		);
+	});
+
+	test('looks through array aliases and list envelopes to the item schema', () => {
+		const json = (schema) => ({ content: { 'application/json': { schema } } });
+		const spec = {
+			openapi: '3.0.0',
+			paths: {
+				'/pets': { get: { responses: { 200: json({ $ref: '#/components/schemas/Pets' }) } } },
+				'/pets/{petId}': { get: { responses: { 200: json({ $ref: '#/components/schemas/Pet' }) } } },
+				'/owners': { get: { responses: { 200: json({ $ref: '#/components/schemas/OwnerPage' }) } } },
+			},
+			components: {
+				schemas: {
+					Pet: {
+						type: 'object',
+						required: ['id', 'name'],
+						properties: {
+							id: { type: 'integer', format: 'int64' },
+							name: { type: 'string' },
+							tags: { type: 'array', items: { type: 'string' } },
+						},
+					},
+					Pets: { type: 'array', maxItems: 100, items: { $ref: '#/components/schemas/Pet' } },
+					Owner: { type: 'object', properties: { email: { type: 'string', format: 'email' } } },
+					OwnerPage: {
+						type: 'object',
+						properties: {
+							data: { type: 'array', items: { $ref: '#/components/schemas/Owner' } },
+							total: { type: 'integer' },
+						},
+					},
+				},
+			},
+		};
+		assert.deepStrictEqual(
+			collectionsFromOpenApi(spec).map((c) => c.name),
+			['Pet', 'Owner']
+		);
+	});
+
+	test('offers every schema when the spec has no paths', () => {
+		const spec = {
+			definitions: {
+				Pet: { type: 'object', properties: { name: { type: 'string' } } },
+				Owner: { type: 'object', properties: { email: { type: 'string', format: 'email' } } },
+			},
+		};
+		const candidates = collectionsFromOpenApi(spec);
+		assert.deepStrictEqual(
+			candidates.map((c) => c.name),
+			['Pet', 'Owner']
+		);
+		assert.strictEqual(candidates[1].fields[0].fieldType, 'email');
+	});
+});
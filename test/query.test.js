@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { queryDocuments, pageDocuments } = require('../extension');
+
+const products = {
+	_id: 'c1',
+	collectionName: 'products',
+	fields: [
+		{ fieldName: 'name', fieldType: 'string' },
+		{ fieldName: 'price', fieldType: 'number' },
+		{ fieldName: 'inStock', fieldType: 'boolean' },
+		{ fieldName: 'releasedAt', fieldType: 'date' },
+		{ fieldName: 'tags', fieldType: 'array' },
+	],
+};
+const documents = [
+	{ _id: 'a', name: 'Desk Lamp', price: 40, inStock: true, releasedAt: '2024-03-01', tags: ['home', 'light'] },
+	{ _id: 'b', name: 'Office Chair', price: 180, inStock: false, releasedAt: '2023-11-15', tags: ['office'] },
+	{ _id: 'c', name: 'Standing Desk', price: 420, inStock: true, releasedAt: '2024-06-20', tags: ['office', 'home'] },
+	{ _id: 'd', name: 'Monitor Arm', price: null, inStock: true, releasedAt: '2022-01-05', tags: [] },
+];
+
+const query = (text) => new URLSearchParams(text);
+const ids = (docs) => docs.map((d) => d._id);
+
+suite('Document queries', () => {
+	test('filters with equality, range, list and contains operators', () => {
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('inStock=true'))), ['a', 'c', 'd']);
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('price[gte]=100&price[lt]=400'))), ['b']);
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('name[in]=Desk Lamp,Monitor Arm'))), ['a', 'd']);
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('name[contains]=desk'))), ['a', 'c']);
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('tags=office'))), ['b', 'c']);
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('releasedAt[gt]=2024-01-01'))), ['a', 'c']);
+	});
+
+	test('searches every value with q', () => {
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('q=OFFICE'))), ['b', 'c']);
+	});
+
+	test('sorts by several fields, with missing values last in ascending order', () => {
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('sort=price'))), ['a', 'b', 'c', 'd']);
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('sort=-price'))), ['d', 'c', 'b', 'a']);
+		assert.deepStrictEqual(ids(queryDocuments(products, documents, query('sort=-inStock,name'))), ['a', 'd', 'c', 'b']);
+	});
+
+	test('projects fields and always keeps _id', () => {
+		assert.deepStrictEqual(queryDocuments(products, documents, query('fields=name&price[gt]=400')), [
+			{ _id: 'c', name: 'Standing Desk' },
+		]);
+	});
+
+	test('rejects unknown fields and invalid values with a 400', () => {
+		for (const text of ['color=red', 'price=cheap', 'name[gt]=a', 'price[near]=1', 'sort=color', 'fields=color']) {
+			assert.throws(() => queryDocuments(products, documents, query(text)), { status: 400 }, text);
+		}
+	});
+});
+
+suite('Document pages', () => {
+	test('returns everything without a limit', () => {
+		const page = pageDocuments(documents, query(''));
+		assert.strictEqual(page.documents.length, 4);
+		assert.strictEqual(page.nextCursor, null);
+	});
+
+	test('pages with limit and offset or page', () => {
+		assert.deepStrictEqual(ids(pageDocuments(documents, query('limit=2&offset=1')).documents), ['b', 'c']);
+		assert.deepStrictEqual(ids(pageDocuments(documents, query('limit=3&page=2')).documents), ['d']);
+	});
+
+	test('continues from the next cursor', () => {
+		const first = pageDocuments(documents, query('limit=3'));
+		assert.deepStrictEqual(ids(first.documents), ['a', 'b', 'c']);
+		const second = pageDocuments(documents, query(`limit=3&cursor=${first.nextCursor}`));
+		assert.deepStrictEqual(ids(second.documents), ['d']);
+		assert.strictEqual(second.nextCursor, null);
+	});
+
+	test('rejects invalid limits, offsets and cursors', () => {
+		for (const text of ['limit=0', 'limit=1001', 'offset=-1', 'page=0', 'cursor=nope']) {
+			assert.throws(() => pageDocuments(documents, query(text)), { status: 400 }, text);
+		}
+	});
+});
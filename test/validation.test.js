@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { validateDocument } = require('../extension');
+
+const people = {
+	_id: 'c1',
+	collectionName: 'people',
+	fields: [
+		{ fieldName: 'name', fieldType: 'fullName' },
+		{ fieldName: 'age', fieldType: 'number' },
+		{ fieldName: 'email', fieldType: 'email' },
+		{ fieldName: 'website', fieldType: 'url' },
+		{ fieldName: 'birthday', fieldType: 'date' },
+		{ fieldName: 'active', fieldType: 'boolean' },
+		{ fieldName: 'friendIds', fieldType: 'array', ref: 'people' },
+		{ fieldName: 'address', fieldType: 'object' },
+	],
+};
+const valid = {
+	_id: 'a',
+	__v: 0,
+	name: 'Ann Lee',
+	age: 34,
+	email: 'ann@example.com',
+	website: 'https://example.com',
+	birthday: '1990-04-01',
+	active: true,
+	friendIds: ['b', 'c'],
+	address: { city: 'Berlin' },
+};
+
+const problems = (document) =>
+	validateDocument(people, document).map((p) => `${p.kind} ${p.field}`);
+
+suite('Document validation', () => {
+	test('accepts a matching document, system keys and nulls', () => {
+		assert.deepStrictEqual(problems(valid), []);
+		assert.deepStrictEqual(problems({ ...valid, age: null, address: null }), []);
+	});
+
+	test('reports missing and unknown fields', () => {
+		const withoutEmail = { ...valid };
+		delete withoutEmail.email;
+		assert.deepStrictEqual(problems({ ...withoutEmail, nickname: 'A' }), [
+			'missing-field email',
+			'unknown-field nickname',
+		]);
+	});
+
+	test('reports values that do not match the field type', () => {
+		assert.deepStrictEqual(
+			problems({
+				...valid,
+				age: '34',
+				email: 'not-an-email',
+				website: 'example',
+				birthday: 'someday',
+				active: 'yes',
+				friendIds: ['b', 2],
+				address: 'Berlin',
+			}),
+			[
+				'type-mismatch age',
+				'type-mismatch email',
+				'type-mismatch website',
+				'type-mismatch birthday',
+				'type-mismatch active',
+				'type-mismatch friendIds',
+				'type-mismatch address',
+			]
+		);
+		assert.deepStrictEqual(problems({ ...valid, age: Infinity }), ['type-mismatch age']);
+	});
+
+	test('accepts anything in a collection without fields', () => {
+		assert.deepStrictEqual(validateDocument({ collectionName: 'free', fields: [] }, { any: 'thing' }), []);
+	});
+});